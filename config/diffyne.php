@@ -7,14 +7,88 @@ return [
     | Default Transport Mode
     |--------------------------------------------------------------------------
     |
-    | Diffyne supports two transport modes:
+    | Diffyne supports three transport modes:
     | - 'ajax': Standard HTTP requests (default)
     | - 'websocket': Real-time WebSocket connections
+    | - 'sse': HTTP requests, with server pushes over Server-Sent Events
     |
     */
 
     'transport' => env('DIFFYNE_TRANSPORT', 'ajax'),
 
+    /*
+    |--------------------------------------------------------------------------
+    | Request Concurrency
+    |--------------------------------------------------------------------------
+    |
+    | How the client handles a new request while another one is running for
+    | the same component. Override per component with #[Concurrency] or per
+    | directive with modifiers such as diff:click.queue.
+    | - 'cancel': Abort the running request, only the latest one applies (default)
+    | - 'queue': Run requests in order, each using the previous response's state
+    | - 'parallel': Run requests side by side and apply every response
+    |
+    | An aborted AJAX request is only reported to the server, so it can skip
+    | the work, once it has been in flight for cancel_after milliseconds.
+    |
+    */
+
+    'concurrency' => env('DIFFYNE_CONCURRENCY', 'cancel'),
+
+    'cancel_after' => 250, // milliseconds in flight before an abort is sent to the server
+
+    /*
+    |--------------------------------------------------------------------------
+    | Offline Mode
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, method calls and property updates made without a network
+    | connection are stored in IndexedDB and replayed in order once the
+    | connection is back. Style components with diff:offline while offline.
+    |
+    */
+
+    'offline' => [
+        'enabled' => env('DIFFYNE_OFFLINE', false),
+        'retry_interval' => 5000, // milliseconds between replay attempts
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Retries
+    |--------------------------------------------------------------------------
+    |
+    | Requests that fail with a network error, 502, 503, 504 or 429 are retried
+    | with exponential backoff (429 and 503 respect Retry-After). Calls and
+    | updates carry an idempotency key, so a retry of a request the server
+    | already ran returns the stored result instead of running it twice.
+    | Override per directive with diff:click.retry.5 or diff:click.noretry.
+    |
+    */
+
+    'retry' => [
+        'attempts' => (int) env('DIFFYNE_RETRY_ATTEMPTS', 2), // retries after the first attempt, 0 disables retries
+        'delay' => 500, // milliseconds before the first retry, doubled per attempt
+        'max_delay' => 10000, // upper bound for the retry delay in milliseconds
+        'idempotency_ttl' => 300, // seconds a result is kept for retries of the same request
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | HTTP Requests
+    |--------------------------------------------------------------------------
+    |
+    | Update, lazy, upload and navigation requests share one client pipeline.
+    | Register middlewares in JavaScript with diffyne.middleware() to add
+    | headers such as Authorization or change requests and responses.
+    |
+    */
+
+    'http' => [
+        'csrf' => true, // send the csrf-token meta tag as X-CSRF-TOKEN and verify it on POST routes
+        'credentials' => 'same-origin', // fetch credentials mode: 'omit', 'same-origin' or 'include'
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | WebSocket Configuration
@@ -31,6 +105,11 @@ return [
         'path' => env('DIFFYNE_WS_PATH', '/diffyne'),
         'key' => env('DIFFYNE_WS_KEY', 'd2c61c0f8393e8b5273e84879276cbe7'),
         'max_message_size' => env('DIFFYNE_WS_MAX_MESSAGE_SIZE', 1048576),
+        'reconnect_delay' => 1000, // milliseconds before the first reconnect, doubled per attempt
+        'max_reconnect_delay' => 30000, // upper bound for the reconnect delay in milliseconds
+        'heartbeat_interval' => 25000, // milliseconds between pings
+        'heartbeat_timeout' => 10000, // milliseconds without a reply before the connection is dropped
+        'request_timeout' => 30000, // milliseconds to wait for a response, plugins can set options.timeout per request
         'cors' => [
             'allowed_origins' => explode(',', env('DIFFYNE_WS_CORS_ORIGINS', '*')),
             'allowed_methods' => ['GET', 'POST', 'OPTIONS'],
@@ -38,6 +117,32 @@ return [
         ],
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Server-Sent Events Configuration
+    |--------------------------------------------------------------------------
+    |
+    | Configuration for the push stream used by the 'sse' transport mode.
+    | Pushes are shared between PHP workers through the cache, so use a
+    | cache store every worker can reach (redis, database, memcached).
+    |
+    | Every open stream keeps one PHP worker busy (sleeping between polls)
+    | for up to max_duration seconds, so each open page takes a worker from
+    | PHP-FPM's pool. Size the pool for it, or lower max_duration to trade
+    | held workers for more reconnects. Keep retention above max_duration
+    | plus retry so pushes sent during a reconnect are still replayed.
+    |
+    */
+
+    'sse' => [
+        'poll_interval' => (int) env('DIFFYNE_SSE_POLL_INTERVAL', 1000), // milliseconds between checks for new pushes
+        'heartbeat' => 15, // seconds of silence before a keep-alive comment is sent
+        'max_duration' => (int) env('DIFFYNE_SSE_MAX_DURATION', 30), // seconds a stream holds a worker before the client reconnects
+        'retry' => 2000, // milliseconds the browser waits before reconnecting
+        'retention' => 60, // seconds a push is kept for clients that reconnect
+        'max_replay' => 100, // most pushes replayed to a reconnecting client
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Component Namespace
@@ -62,6 +167,10 @@ return [
         // HMAC signing key for state verification (defaults to APP_KEY)
         'signing_key' => env('DIFFYNE_SIGNING_KEY'),
 
+        // Signing keys used before a rotation, comma separated (defaults to APP_PREVIOUS_KEYS
+        // when signing_key is not set). Only mount tokens are accepted with them
+        'previous_signing_keys' => array_filter(explode(',', (string) env('DIFFYNE_PREVIOUS_SIGNING_KEYS', ''))),
+
         // Verify state signature on every request
         // Options: 'strict' (verify all), 'property-updates' (only property updates), 'none' (disabled)
         // Recommended: 'property-updates' for better UX while maintaining security
@@ -72,10 +181,36 @@ return [
         // When false, form submissions require exact signature match
         'lenient_form_verification' => env('DIFFYNE_LENIENT_FORMS', true),
 
+        // Re-mount a component whose state signature is rejected (rotated signing key,
+        // tampered or corrupted state) and replay the action once on the fresh state.
+        // After a rotation the old key must be listed in previous_signing_keys
+        'recover_state' => env('DIFFYNE_RECOVER_STATE', true),
+
+        // Minutes a channel subscription token rendered in diff:channel-tokens stays valid.
+        // Pages left open longer stop receiving channel pushes until they are reloaded
+        'channel_token_ttl' => env('DIFFYNE_CHANNEL_TOKEN_TTL', 120),
+
         // Rate limiting for component updates (requests per minute)
         'rate_limit' => env('DIFFYNE_RATE_LIMIT', 60),
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Lazy Components
+    |--------------------------------------------------------------------------
+    |
+    | When #[Lazy] components load unless the attribute sets 'on': 'load'
+    | (right after the page loads), 'visible' (when scrolled near the
+    | viewport) or 'idle' (when the browser has nothing else to do).
+    |
+    */
+
+    'lazy' => [
+        'on' => env('DIFFYNE_LAZY_ON', 'load'),
+        'root_margin' => '200px', // distance from the viewport at which 'visible' components start loading
+        'idle_timeout' => 2000, // milliseconds after which 'idle' components load even if the browser stays busy
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | View Path
@@ -147,6 +282,9 @@ return [
         'max_request_size' => 512 * 1024, // 512KB max request
         'enable_compression' => env('DIFFYNE_COMPRESSION', true),
         'snapshot_cache_size' => 100, // Max components to cache snapshots for
+        'batch_requests' => env('DIFFYNE_BATCH_REQUESTS', true), // Combine updates made in the same tick into one request
+        'max_batch_size' => 20, // Max component updates per batch request
+        'binary_patches' => env('DIFFYNE_BINARY_PATCHES', false), // Ask for MessagePack update responses instead of JSON (negotiated via the Accept header)
     ],
 
     /*
@@ -4,8 +4,12 @@
  */
 
 import { ComponentRegistry } from './core/ComponentRegistry.js';
+import { DOMMorpher } from './core/DOMMorpher.js';
 import { EventBinder } from './core/EventBinder.js';
 import { PatchApplier } from './core/PatchApplier.js';
+import { PluginManager } from './core/PluginManager.js';
+import { RequestQueue } from './core/RequestQueue.js';
+import { RequestPipeline, csrfMiddleware } from './core/RequestPipeline.js';
 import { VNodeConverter } from './core/VNodeConverter.js';
 import { TransportService } from './services/TransportService.js';
 import { LoadingService } from './services/LoadingService.js';
@@ -13,9 +17,35 @@ import { ErrorService } from './services/ErrorService.js';
 import { ModelSyncService } from './services/ModelSyncService.js';
 import { EventManager } from './services/EventManager.js';
 import { FileUploadService } from './services/FileUploadService.js';
-import { parseJSON, parseAction, updateQueryString, getQueryParams, Logger } from './utils/helpers.js';
+import { OfflineQueueService } from './services/OfflineQueueService.js';
+import { OfflineIndicatorService } from './services/OfflineIndicatorService.js';
+import { OptimisticService } from './services/OptimisticService.js';
+import { ConnectionIndicatorService } from './services/ConnectionIndicatorService.js';
+import { decodeResponse, isSupportedVersion, createProtocolError, PROTOCOL_VERSION } from './protocol/index.js';
+import { parseJSON, parseAction, updateQueryString, getQueryParams, generateIdempotencyKey, Logger } from './utils/helpers.js';
+
+const CONCURRENCY_POLICIES = ['cancel', 'queue', 'parallel'];
+const OFFLINE_REQUEST_TYPES = ['call', 'update'];
 
 export class Diffyne {
+    /**
+     * Plugins registered through Diffyne.use() before an instance exists
+     */
+    static plugins = [];
+
+    /**
+     * Register a plugin globally (applies to current and future instances)
+     */
+    static use(plugin, options = {}) {
+        Diffyne.plugins.push([plugin, options]);
+
+        if (typeof window !== 'undefined' && window.diffyne instanceof Diffyne) {
+            window.diffyne.use(plugin, options);
+        }
+
+        return Diffyne;
+    }
+
     constructor(config = {}) {
         this.config = {
             transport: config.transport || 'ajax',
@@ -23,54 +53,156 @@ export class Diffyne {
             endpoint: config.endpoint || '/_diffyne',
             debug: config.debug || false,
             maxMessageSize: config.maxMessageSize || 1048576,
+            concurrency: config.concurrency || 'cancel',
+            cancelAfter: config.cancelAfter ?? 250,
+            batchRequests: config.batchRequests ?? true,
+            maxBatchSize: config.maxBatchSize || 20,
+            binaryPatches: config.binaryPatches ?? false,
+            offline: config.offline || false,
+            offlineRetryInterval: config.offlineRetryInterval || 5000,
+            retryAttempts: config.retryAttempts ?? 2,
+            retryDelay: config.retryDelay || 500,
+            maxRetryDelay: config.maxRetryDelay || 10000,
+            reconnectDelay: config.reconnectDelay || 1000,
+            maxReconnectDelay: config.maxReconnectDelay || 30000,
+            heartbeatInterval: config.heartbeatInterval || 25000,
+            heartbeatTimeout: config.heartbeatTimeout || 10000,
+            requestTimeout: config.requestTimeout || 30000,
+            credentials: config.credentials || 'same-origin',
+            csrf: config.csrf ?? true,
+            recovery: config.recovery ?? true,
+            lazyRootMargin: config.lazyRootMargin || '200px',
+            lazyIdleTimeout: config.lazyIdleTimeout || 2000,
             ...config
         };
 
         // Initialize services (Dependency Injection)
         this.logger = new Logger(this.config.debug);
         this.registry = new ComponentRegistry();
-        this.transport = new TransportService(this.config, this.logger, this.maxMessageSize);
+        this.http = new RequestPipeline(this.config);
+        this.transport = new TransportService(this.config, this.logger, this.maxMessageSize, this.http);
         this.patchApplier = new PatchApplier();
+        this.morpher = new DOMMorpher();
         this.vNodeConverter = new VNodeConverter();
         this.loadingService = new LoadingService();
         this.errorService = new ErrorService();
         this.modelSync = new ModelSyncService();
         this.eventManager = new EventManager(this.registry, this.logger);
-        this.fileUpload = new FileUploadService(this.config);
+        this.fileUpload = new FileUploadService(this.config, this.http);
+        this.plugins = new PluginManager(this.logger);
+        this.offlineIndicator = new OfflineIndicatorService();
+        this.connectionIndicator = new ConnectionIndicatorService();
+        this.optimistic = new OptimisticService(this.modelSync, this.logger);
+        this.offlineQueue = this.config.offline ? new OfflineQueueService(this.logger) : null;
+
+        // Offline mode state
+        this.offline = false;
+        this.replayingOffline = false;
+        this.offlineRetryTimer = null;
+        this.offlineLayers = new Map(); // Stored record id => optimistic layer, kept until its replay settles
+
+        // Realtime connection status, AJAX has no connection to lose
+        this.connectionStatus = this.config.transport === 'ajax' ? 'open' : 'connecting';
         
         // Request tracking for cancellation and sequencing
-        this.pendingRequests = new Map();
+        this.pendingRequests = new Map(); // componentId => Map(requestId => AbortController)
         this.requestSequence = new Map();
+        this.requestQueue = new RequestQueue();
+
+        // Re-mounts in flight after the server rejected a component's signed state
+        this.recoveries = new Map(); // componentId => Promise<boolean>
+
+        // Lazy components: loads in flight, and the placeholder markup restored on retry
+        this.lazyLoading = new WeakSet();
+        this.lazyPlaceholders = new WeakMap(); // element => innerHTML
+        this.lazyObserver = null;
         
         // Initialize event binder with handlers
         this.eventBinder = new EventBinder(
-            (id, action, event) => this.handleAction(id, action, event),
+            (id, action, event, options) => this.handleAction(id, action, event, options),
             (id, property, value) => this.handleModelUpdate(id, property, value),
             (id, property, value) => this.updateLocalState(id, property, value),
             (id, property, file, isMultiple) => this.handleFileUpload(id, property, file, isMultiple)
         );
 
+        // CSRF runs first so app middlewares see (and may override) the token header
+        if (this.config.csrf) {
+            this.http.use(csrfMiddleware);
+        }
+        (this.config.middleware || []).forEach(middleware => this.http.use(middleware));
+
+        // Install plugins before hydration so onHydrate fires for initial components
+        Diffyne.plugins.forEach(([plugin, options]) => this.use(plugin, options));
+        (this.config.plugins || []).forEach(plugin => {
+            Array.isArray(plugin) ? this.use(...plugin) : this.use(plugin);
+        });
+
         this.init();
     }
 
+    /**
+     * Install a plugin on this instance
+     */
+    use(plugin, options = {}) {
+        this.plugins.install(plugin, this, options);
+        return this;
+    }
+
+    /**
+     * Register a lifecycle hook handler, returns an unsubscribe function
+     */
+    on(hook, handler) {
+        return this.plugins.on(hook, handler);
+    }
+
+    /**
+     * Register an HTTP request middleware, returns an unsubscribe function
+     *
+     * Middlewares run for update, lazy, upload and navigation requests:
+     *   diffyne.middleware((request, next) => {
+     *       request.headers['Authorization'] = `Bearer ${token}`;
+     *       return next();
+     *   });
+     */
+    middleware(middleware) {
+        return this.http.use(middleware);
+    }
+
     /**
      * Initialize Diffyne
      */
     init() {
         this.logger.log('Initializing Diffyne...');
 
+        // Hydrate first so the push connection subscribes to the page's channels right away
+        this.hydrateComponents();
+
         if (this.config.transport === 'websocket') {
-            this.transport.connectWebSocket(
-                () => this.logger.log('WebSocket connected'),
-                () => this.logger.log('WebSocket disconnected'),
-                (error) => this.logger.error('WebSocket error:', error)
-            );
+            this.transport.connectWebSocket({
+                onOpen: () => this.logger.log('WebSocket connected'),
+                onClose: () => this.logger.log('WebSocket disconnected'),
+                onError: (error) => this.logger.error('WebSocket error:', error),
+                onStatus: (status, detail) => this.setConnectionStatus(status, detail),
+                onPush: (message) => this.handlePush(message)
+            });
+        }
+
+        if (this.config.transport === 'sse') {
+            this.transport.connectEventStream({
+                onOpen: () => this.logger.log('Event stream connected'),
+                onError: () => this.logger.log('Event stream interrupted'),
+                onStatus: (status, detail) => this.setConnectionStatus(status, detail),
+                onPush: (message) => this.handlePush(message)
+            });
         }
 
-        this.hydrateComponents();
         setTimeout(() => this.loadLazyComponents(), 100);
         this.observeDOMChanges();
 
+        if (this.offlineQueue) {
+            this.initOfflineMode();
+        }
+
         // Listen for custom action events from EventManager
         document.addEventListener('diff:action', (e) => {
             const { componentId, method, params } = e.detail;
@@ -115,6 +247,7 @@ export class Diffyne {
             componentClass,
             componentName,
             element,
+            parentId: this.getParentId(element),
             state,
             fingerprint,
             signature,
@@ -129,33 +262,126 @@ export class Diffyne {
         this.modelSync.sync(element, state);
         this.eventBinder.bind(element, id);
         this.eventManager.bindEventListeners(element, id);
+        this.applyOfflineState(component);
+        this.applyConnectionState(component);
 
         // Register event listeners from #[On] attributes
         if (eventListeners && Object.keys(eventListeners).length > 0) {
             this.registerServerEventListeners(id, eventListeners);
         }
+
+        this.syncSubscriptions();
+        this.plugins.run('onHydrate', { component });
         
         this.logger.log(`Hydrated component: ${id} (${componentName})`);
     }
 
     /**
-     * Load all lazy components
+     * Get the ID of the component a nested component was rendered in
+     */
+    getParentId(element) {
+        return element.getAttribute('diff:parent')
+            || element.parentElement?.closest('[diff\\:id]')?.getAttribute('diff:id')
+            || null;
+    }
+
+    /**
+     * Hydrate components added to the DOM, such as children created by a parent's patches
+     */
+    hydrateAddedComponents(node) {
+        const elements = Array.from(node.querySelectorAll('[diff\\:id]'));
+        if (node.hasAttribute('diff:id')) {
+            elements.unshift(node);
+        }
+
+        elements.forEach(el => {
+            // Preserved children are moved, not added, and are still registered
+            if (this.registry.get(el.getAttribute('diff:id'))?.element === el) return;
+
+            if (el.hasAttribute('data-diffyne-lazy')) {
+                this.scheduleLazyComponent(el);
+            } else {
+                this.hydrateComponent(el);
+            }
+        });
+    }
+
+    /**
+     * Schedule all lazy components
      */
     loadLazyComponents() {
         const lazyElements = document.querySelectorAll('[data-diffyne-lazy]');
-        lazyElements.forEach(element => this.loadLazyComponent(element));
+        lazyElements.forEach(element => this.scheduleLazyComponent(element));
+    }
+
+    /**
+     * Load a lazy component when its diff:lazy mode says so
+     * - load: right away
+     * - visible: once it comes near the viewport
+     * - idle: once the browser is idle
+     */
+    scheduleLazyComponent(element) {
+        const mode = element.getAttribute('diff:lazy') || 'load';
+
+        if (mode === 'visible' && typeof IntersectionObserver !== 'undefined') {
+            this.getLazyObserver().observe(element);
+        } else if (mode === 'idle' && typeof requestIdleCallback === 'function') {
+            requestIdleCallback(() => this.loadLazyComponent(element), { timeout: this.config.lazyIdleTimeout });
+        } else {
+            this.loadLazyComponent(element);
+        }
+    }
+
+    /**
+     * Get the observer that loads diff:lazy="visible" components
+     */
+    getLazyObserver() {
+        if (!this.lazyObserver) {
+            this.lazyObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+
+                    this.lazyObserver.unobserve(entry.target);
+                    this.loadLazyComponent(entry.target);
+                });
+            }, { rootMargin: this.config.lazyRootMargin });
+        }
+
+        return this.lazyObserver;
     }
 
     /**
      * Load single lazy component
      */
     async loadLazyComponent(element) {
+        // Skip removed placeholders, loaded components and loads already running
+        if (!element.isConnected || !element.hasAttribute('data-diffyne-lazy') || this.lazyLoading.has(element)) {
+            return;
+        }
+
         const id = element.getAttribute('diff:id');
         const componentClass = element.getAttribute('diff:class');
         const componentName = element.getAttribute('diff:name');
-        const params = parseJSON(element.getAttribute('diff:params') || '{}');
+        // Sent back verbatim, the mount token signs this exact string
+        const params = element.getAttribute('diff:params') || '{}';
+        const token = element.getAttribute('diff:mount-token');
         const queryParams = getQueryParams();
 
+        this.lazyLoading.add(element);
+
+        // Placeholders rendered without a mount token (such as an old page from a cache) are
+        // refused by the server, only a reload renders them again. They stay in lazyLoading
+        // so later scans do not try them again.
+        if (token === null) {
+            this.logger.error(`Lazy component ${id} has no mount token, reload the page to load it`);
+            this.showLazyError(element, { reload: true });
+            return;
+        }
+
+        if (!this.lazyPlaceholders.has(element)) {
+            this.lazyPlaceholders.set(element, element.innerHTML);
+        }
+
         this.logger.log(`Loading lazy component: ${id} (${componentName})`);
 
         try {
@@ -163,57 +389,89 @@ export class Diffyne {
                 componentClass, 
                 id, 
                 params, 
+                token,
                 queryParams
             );
 
-            if (data.success) {
-                element.setAttribute('diff:state', JSON.stringify(data.state));
-                element.setAttribute('diff:fingerprint', data.fingerprint);
-                element.removeAttribute('data-diffyne-lazy');
-                element.setAttribute('data-diffyne-loaded', '');
-                element.innerHTML = data.html;
-
-                this.registry.register(id, {
-                    id,
-                    componentClass,
-                    componentName,
-                    element,
-                    state: data.state,
-                    fingerprint: data.fingerprint,
-                    vdom: this.vNodeConverter.buildVDOM(element),
-                });
-                
-                const lazyComponent = this.registry.get(id);
-                if (lazyComponent) {
-                    lazyComponent.serverState = JSON.parse(JSON.stringify(data.state));
-                }
-
-                this.modelSync.sync(element, data.state);
-                this.eventBinder.bind(element, id);
-                this.eventManager.bindEventListeners(element, id);
+            element.setAttribute('diff:state', JSON.stringify(data.state));
+            element.setAttribute('diff:fingerprint', data.fingerprint);
+            element.setAttribute('diff:signature', data.signature);
+            element.removeAttribute('data-diffyne-lazy');
+            element.setAttribute('data-diffyne-loaded', '');
+            element.innerHTML = data.html;
+
+            this.registry.register(id, {
+                id,
+                componentClass,
+                componentName,
+                element,
+                parentId: this.getParentId(element),
+                state: data.state,
+                fingerprint: data.fingerprint,
+                signature: data.signature,
+                vdom: this.vNodeConverter.buildVDOM(element),
+            });
+            
+            const lazyComponent = this.registry.get(id);
+            if (lazyComponent) {
+                lazyComponent.serverState = JSON.parse(JSON.stringify(data.state));
+            }
 
-                // Register event listeners from #[On] attributes
-                if (data.eventListeners) {
-                    this.registerServerEventListeners(id, data.eventListeners);
-                }
+            this.modelSync.sync(element, data.state);
+            this.eventBinder.bind(element, id);
+            this.eventManager.bindEventListeners(element, id);
+            this.applyOfflineState(lazyComponent);
+            this.applyConnectionState(lazyComponent);
 
-                this.logger.log(`Lazy component loaded: ${id} (${componentName})`);
-            } else {
-                element.innerHTML = `<div style="color: red; padding: 1rem;">Failed to load component: ${data.error}</div>`;
+            // Register event listeners from #[On] attributes
+            if (data.eventListeners) {
+                this.registerServerEventListeners(id, data.eventListeners);
             }
+
+            this.syncSubscriptions();
+            this.plugins.run('onHydrate', { component: lazyComponent });
+
+            this.logger.log(`Lazy component loaded: ${id} (${componentName})`);
         } catch (error) {
-            this.logger.error('Error loading lazy component:', error);
-            element.innerHTML = `<div style="color: red; padding: 1rem;">Error loading component</div>`;
+            this.logger.error(`Failed to load lazy component ${id}:`, error);
+            this.showLazyError(element);
+
+            if (error.type === 'protocol_mismatch') {
+                this.handleProtocolMismatch(error);
+            }
+        } finally {
+            this.lazyLoading.delete(element);
         }
     }
 
+    /**
+     * Replace the placeholder with the component's error template
+     * Its diff:lazy-retry elements restore the placeholder and load again, or reload the page
+     */
+    showLazyError(element, { reload = false } = {}) {
+        const template = element.querySelector(':scope > template[diff\\:lazy-error]');
+        element.innerHTML = template ? template.innerHTML : '';
+
+        element.querySelectorAll('[diff\\:lazy-retry]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (reload) {
+                    window.location.reload();
+                    return;
+                }
+
+                element.innerHTML = this.lazyPlaceholders.get(element);
+                this.loadLazyComponent(element);
+            }, { once: true });
+        });
+    }
+
     /**
      * Handle action (method call)
      */
-    async handleAction(componentId, action, event = null) {
+    async handleAction(componentId, action, event = null, options = {}) {
         const [method, ...args] = parseAction(action);
         this.logger.log(`Action: ${method}`, args);
-        await this.callMethod(componentId, method, args);
+        await this.callMethod(componentId, method, args, options);
     }
 
     /**
@@ -290,30 +548,70 @@ export class Diffyne {
     /**
      * Call component method
      */
-    async callMethod(componentId, method, params = []) {
+    async callMethod(componentId, method, params = [], options = {}) {
         const component = this.registry.get(componentId);
         if (!component) {
             return;
         }
 
-        // Cancel any pending requests for this component
-        this.cancelPendingRequest(componentId);
+        const concurrency = this.resolveConcurrency(component, options.concurrency);
+
+        // Show the expected result right away, even if the request has to wait in the queue
+        const optimisticUpdate = options.optimistic
+            ? this.optimistic.apply(component, options.optimistic)
+            : null;
+
+        // A bare .retry modifier uses the configured attempts, and at least one when retryAttempts is 0
+        const retry = options.retry === true ? Math.max(1, this.config.retryAttempts) : options.retry;
+
+        // One key per call: retries and an offline replay of it run at most once on the server
+        const idempotencyKey = generateIdempotencyKey();
+
+        // A queued call dropped by a later cancel never reaches performCall, take its layer down then
+        const dropOptimistic = optimisticUpdate
+            ? () => this.optimistic.discard(component, optimisticUpdate)
+            : null;
+
+        return this.scheduleRequest(componentId, concurrency, () => {
+            return this.performCall(componentId, method, params, concurrency, optimisticUpdate, retry, idempotencyKey);
+        }, dropOptimistic);
+    }
+
+    /**
+     * Send a method call once the concurrency policy allows it
+     */
+    async performCall(componentId, method, params, concurrency, optimisticUpdate = null, retry = undefined, idempotencyKey = undefined) {
+        // Queued calls may start after the component was destroyed
+        const component = this.registry.get(componentId);
+        if (!component) {
+            return;
+        }
 
         this.loadingService.show(component.element);
 
-        const currentState = JSON.parse(JSON.stringify(component.state));
+        // Read state when the request starts so queued calls build on the previous response
+        const currentState = this.optimistic.confirmedState(component);
 
         // Create abort controller for request cancellation
         const abortController = new AbortController();
         const requestId = this.getNextRequestId(componentId);
-        
-        this.pendingRequests.set(componentId, {
-            controller: abortController,
-            requestId: requestId
-        });
+        this.trackPendingRequest(componentId, requestId, abortController);
+
+        // Parallel responses are applied as they arrive instead of only the latest one
+        const sequenceId = concurrency === 'parallel' ? null : requestId;
+
+        // #[Stream] methods send intermediate renders, applied in order before the final response
+        let frames = Promise.resolve();
+        let framesApplied = 0;
+        const onFrame = this.isStreamingMethod(component, method)
+            ? frame => {
+                frames = frames.then(() => this.processFrame(componentId, frame, sequenceId));
+                framesApplied++;
+            }
+            : null;
 
         try {
-            const response = await this.transport.send({
+            const response = await this.sendRequest(component, {
                 type: 'call',
                 componentId,
                 componentClass: component.componentClass,
@@ -321,24 +619,84 @@ export class Diffyne {
                 params,
                 state: currentState,
                 fingerprint: component.fingerprint,
-                signature: component.signature
-            });
+                signature: component.signature,
+                idempotencyKey
+            }, { signal: abortController.signal, onFrame, retry, optimistic: optimisticUpdate });
 
-            // Check if this request is still valid (not superseded)
-            if (this.isRequestValid(componentId, requestId)) {
-                this.processResponse(componentId, response, requestId, 'call');
+            await frames;
+
+            // Check if this request is still valid (not superseded) or was vetoed by a plugin
+            if (response && this.isRequestValid(componentId, sequenceId)) {
+                await this.processResponse(componentId, response, sequenceId, 'call');
             }
         } catch (error) {
             // Only handle error if request wasn't cancelled
-            if (error.name !== 'AbortError' && this.isRequestValid(componentId, requestId)) {
+            if (error.name !== 'AbortError' && this.isRequestValid(componentId, sequenceId)) {
                 this.handleError(componentId, error);
+
+                // Frames moved the DOM ahead of the confirmed state, bring it back in line
+                if (framesApplied > 0) {
+                    this.fallbackRerender(componentId);
+                }
             }
         } finally {
-            // Only hide loading if this is still the latest request
-            if (this.isRequestValid(componentId, requestId)) {
+            this.untrackPendingRequest(componentId, requestId);
+
+            // Keep the server result when it was applied, otherwise this rolls back to serverState
+            // Calls stored for offline replay keep showing their layer until the replay settles
+            if (optimisticUpdate && !this.isStoredOffline(optimisticUpdate)) {
+                this.optimistic.discard(component, optimisticUpdate);
+            }
+
+            // Only hide loading once no other request is running or waiting
+            if (!this.hasPendingRequests(componentId)) {
                 this.loadingService.hide(component.element);
             }
-            this.pendingRequests.delete(componentId);
+        }
+    }
+
+    /**
+     * Check if a method is marked #[Stream] on the server
+     */
+    isStreamingMethod(component, method) {
+        const methods = component.element.getAttribute('diff:stream');
+        return methods !== null && methods.split(',').includes(method);
+    }
+
+    /**
+     * Apply an intermediate render of a streamed method call
+     * Signature and fingerprint only change with the final response
+     */
+    async processFrame(componentId, frame, requestId) {
+        const component = this.registry.get(componentId);
+        if (!component || (requestId && !this.isRequestValid(componentId, requestId))) return;
+
+        const decoded = decodeResponse(frame, frame.v);
+        if (!decoded.success || !decoded.component) return;
+
+        const { patches, state } = decoded.component;
+
+        await this.patchApplier.nextFrame();
+        if (this.registry.get(componentId) !== component || (requestId && !this.isRequestValid(componentId, requestId))) {
+            return;
+        }
+
+        const contentRoot = component.element.firstElementChild;
+        if (contentRoot && patches.length > 0) {
+            this.patchApplier.applyPatches(contentRoot, patches);
+        }
+
+        if (state) {
+            component.updateState(state);
+            this.modelSync.sync(component.element, state);
+        }
+
+        if (decoded.events) {
+            this.eventManager.dispatchEvents(decoded.events);
+        }
+
+        if (decoded.browserEvents) {
+            this.eventManager.dispatchBrowserEvents(decoded.browserEvents);
         }
     }
 
@@ -349,8 +707,20 @@ export class Diffyne {
         const component = this.registry.get(componentId);
         if (!component) return;
 
-        // Cancel any pending requests for this component
-        this.cancelPendingRequest(componentId);
+        const concurrency = this.resolveConcurrency(component);
+        const idempotencyKey = generateIdempotencyKey();
+
+        return this.scheduleRequest(componentId, concurrency, () => {
+            return this.performUpdate(componentId, property, value, concurrency, idempotencyKey);
+        });
+    }
+
+    /**
+     * Send a property update once the concurrency policy allows it
+     */
+    async performUpdate(componentId, property, value, concurrency, idempotencyKey = undefined) {
+        const component = this.registry.get(componentId);
+        if (!component) return;
 
         const serverState = component.serverState || component.state;
         const serverSignature = component.signature;
@@ -361,15 +731,12 @@ export class Diffyne {
         // Create abort controller for request cancellation
         const abortController = new AbortController();
         const requestId = this.getNextRequestId(componentId);
-        
-        this.pendingRequests.set(componentId, {
-            controller: abortController,
-            requestId: requestId,
-            updatingProperty: updatingProperty // Track which property is being updated
-        });
+        this.trackPendingRequest(componentId, requestId, abortController);
+
+        const sequenceId = concurrency === 'parallel' ? null : requestId;
 
         try {
-            const response = await this.transport.send({
+            const response = await this.sendRequest(component, {
                 type: 'update',
                 componentId,
                 componentClass: component.componentClass,
@@ -377,145 +744,667 @@ export class Diffyne {
                 value,
                 state: serverState,
                 fingerprint: component.fingerprint,
-                signature: serverSignature
-            });
+                signature: serverSignature,
+                idempotencyKey
+            }, { signal: abortController.signal });
 
-            // Check if this request is still valid (not superseded)
-            if (this.isRequestValid(componentId, requestId)) {
-                this.processResponse(componentId, response, requestId, 'update', updatingProperty);
+            // Check if this request is still valid (not superseded) or was vetoed by a plugin
+            if (response && this.isRequestValid(componentId, sequenceId)) {
+                await this.processResponse(componentId, response, sequenceId, 'update', updatingProperty);
             }
         } catch (error) {
             // Only handle error if request wasn't cancelled
-            if (error.name !== 'AbortError' && this.isRequestValid(componentId, requestId)) {
+            if (error.name !== 'AbortError' && this.isRequestValid(componentId, sequenceId)) {
                 this.handleError(componentId, error);
             }
         } finally {
-            this.pendingRequests.delete(componentId);
+            this.untrackPendingRequest(componentId, requestId);
         }
     }
 
     /**
-     * Process server response
+     * Resolve the concurrency policy: directive, then component, then global config
      */
-    processResponse(componentId, response, requestId = null, requestType = 'call', updatedProperty = null) {
-        const component = this.registry.get(componentId);
-        if (!component) return;
+    resolveConcurrency(component, requested = null) {
+        const policy = requested
+            || component.element.getAttribute('diff:concurrency')
+            || this.config.concurrency;
+
+        if (!CONCURRENCY_POLICIES.includes(policy)) {
+            this.logger.error(`Unknown concurrency policy '${policy}', falling back to 'cancel'`);
+            return 'cancel';
+        }
 
-        // Double-check request is still valid
-        if (requestId && !this.isRequestValid(componentId, requestId)) {
-            this.logger.log(`Ignoring stale response for ${componentId} (request ${requestId})`);
-            return;
+        return policy;
+    }
+
+    /**
+     * Schedule a request according to its concurrency policy
+     * - cancel: abort running and queued requests, then run
+     * - queue: run after every earlier request for the component has settled
+     * - parallel: run alongside running requests
+     * onDrop runs when a queued request is cancelled before it starts
+     */
+    scheduleRequest(componentId, concurrency, perform, onDrop = null) {
+        if (concurrency === 'queue') {
+            return this.requestQueue.enqueue(componentId, perform, onDrop);
         }
 
-        const success = response.s !== undefined ? response.s : response.success;
-        
-        if (success && response.redirect) {
-            const url = response.redirect.url;
-            const spa = response.redirect.spa !== undefined ? response.redirect.spa : true;
-            
-            if (spa) {
-                // SPA navigation - fetch and replace content
-                this.spaNavigate(url);
-            } else {
-                // Full page redirect
-                window.location.href = url;
-            }
-            return;
+        if (concurrency === 'cancel') {
+            this.cancelPendingRequest(componentId);
         }
-        
-        const componentData = response.c || response.component;
-        if (!success || !componentData) return;
 
-        const patches = componentData.p || componentData.patches || [];
-        const state = componentData.st || componentData.state;
-        const fingerprint = componentData.f || componentData.fingerprint;
-        const signature = componentData.sig || componentData.signature;
-        const errors = componentData.e || componentData.errors;
-        const queryString = componentData.q || componentData.queryString;
+        return this.requestQueue.run(componentId, perform);
+    }
 
-        this.logger.log(`Applying ${patches.length} patches to ${componentId}`, patches);
+    /**
+     * Send a request through the beforeRequest/afterResponse hooks
+     * Returns null when a plugin vetoes the request or it was stored for offline replay
+     * Options: signal, replaying (an offline replay), onFrame (streamed calls), retry (attempts)
+     * and optimistic (the layer to keep while stored offline)
+     */
+    async sendRequest(component, payload, { signal = null, replaying = false, onFrame = null, retry, optimistic = null } = {}) {
+        const requestContext = { component, payload, options: { headers: {}, signal, onFrame, retry } };
+        if (!await this.plugins.runAsync('beforeRequest', requestContext)) {
+            return null;
+        }
 
-        const contentRoot = component.element.firstElementChild;
-        if (contentRoot) {
-            try {
-                this.patchApplier.applyPatches(contentRoot, patches);
-            } catch (patchError) {
-                this.logger.error(`Failed to apply patches to ${componentId}:`, patchError);
-                // Fallback: re-render the component
-                this.fallbackRerender(componentId, componentData);
-                return;
-            }
+        // Keep stored actions in order: queue behind them until they have been replayed
+        const canQueueOffline = !replaying && this.canQueueOffline(requestContext.payload);
+        if (canQueueOffline && (!this.offlineQueue.isOnline() || this.offlineQueue.hasPending())) {
+            await this.queueOfflineAction(component, requestContext.payload, optimistic);
+            return null;
         }
 
-        if (state) {
-            if (requestType === 'update' && updatedProperty) {
-                const mergedState = { ...component.state };
-                if (state.hasOwnProperty(updatedProperty)) {
-                    mergedState[updatedProperty] = state[updatedProperty];
+        let response;
+        let recovered = false;
+        for (;;) {
+            try {
+                response = await this.transport.send(requestContext.payload, requestContext.options);
+                break;
+            } catch (error) {
+                if (canQueueOffline && this.offlineQueue.isNetworkError(error)) {
+                    await this.queueOfflineAction(component, requestContext.payload, optimistic);
+                    return null;
                 }
-                component.updateState(mergedState);
-                component.serverState = JSON.parse(JSON.stringify(state));
-                
-                const propertyValue = state[updatedProperty];
-                if (propertyValue !== undefined) {
-                    const modelInputs = this.modelSync.findModelInputs(component.element);
-                    modelInputs.forEach(input => {
-                        if (input.type === 'file') {
-                            return;
-                        }
-                        
-                        const modelAttr = this.modelSync.findModelAttribute(input);
-                        if (modelAttr) {
-                            const property = input.getAttribute(modelAttr.name);
-                            if (property === updatedProperty) {
-                                this.modelSync.syncInput(input, propertyValue);
-                            }
-                        }
-                    });
+
+                // Replay the action once on a freshly signed snapshot of the component
+                // The rejected request did not run, and the server stored its error under the old key
+                if (recovered || signal?.aborted || !await this.recoverFrom(component, error)) {
+                    throw error;
                 }
-            } else {
-                component.updateState(state);
-                component.serverState = JSON.parse(JSON.stringify(state));
-                this.modelSync.sync(component.element, state);
+
+                recovered = true;
+                requestContext.payload = {
+                    ...requestContext.payload,
+                    state: component.serverState,
+                    fingerprint: component.fingerprint,
+                    signature: component.signature,
+                    idempotencyKey: requestContext.payload.idempotencyKey ? generateIdempotencyKey() : undefined,
+                };
             }
         }
-        
-        if (fingerprint) {
-            component.updateFingerprint(fingerprint);
-        }
 
-        if (signature) {
-            component.updateSignature(signature);
+        const responseContext = { component, payload: requestContext.payload, response };
+        if (!await this.plugins.runAsync('afterResponse', responseContext)) {
+            return null;
         }
 
-        if (queryString) {
-            updateQueryString(queryString);
-        }
+        return responseContext.response;
+    }
 
-        if (errors) {
-            component.setErrors(errors);
-            this.errorService.display(component.element, errors);
-        } else {
-            component.clearErrors();
-            this.errorService.clear(component.element);
+    /**
+     * Re-mount a component after the server rejected its state signature
+     * Resolves to true when the component holds a freshly signed snapshot
+     */
+    recoverFrom(component, error) {
+        if (!component || error.type !== 'signature_mismatch' || !this.config.recovery) {
+            return Promise.resolve(false);
         }
 
-        // Handle dispatched events
-        if (response.events) {
-            this.eventManager.dispatchEvents(response.events);
+        // Parallel requests failing together share one re-mount
+        if (!this.recoveries.has(component.id)) {
+            const recovery = this.remountComponent(component).finally(() => {
+                // A destroyed component's entry may already belong to a new one with its id
+                if (this.recoveries.get(component.id) === recovery) {
+                    this.recoveries.delete(component.id);
+                }
+            });
+            this.recoveries.set(component.id, recovery);
         }
 
-        // Handle browser events
-        if (response.browserEvents) {
-            this.eventManager.dispatchBrowserEvents(response.browserEvents);
-        }
+        return this.recoveries.get(component.id);
     }
 
     /**
-     * Handle errors
+     * Mount a component again through the lazy endpoint and morph the fresh render into the page
      */
-    handleError(componentId, error) {
-        const component = this.registry.get(componentId);
+    async remountComponent(component) {
+        // Components mounted with objects cannot be rebuilt from their parameters
+        const params = component.element.getAttribute('diff:params');
+        const token = component.element.getAttribute('diff:mount-token');
+        if (params === null || token === null) {
+            return false;
+        }
+
+        this.logger.log(`State of ${component.id} was rejected, re-mounting it`);
+
+        try {
+            const data = await this.transport.loadLazy(component.componentClass, component.id, params, token, getQueryParams());
+
+            if (!data.signature || this.registry.get(component.id) !== component) {
+                return false;
+            }
+
+            this.applySnapshot(component, data);
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to re-mount component ${component.id}:`, error);
+
+            if (error.type === 'protocol_mismatch') {
+                this.handleProtocolMismatch(error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Set up offline detection and replay stored actions from a previous visit
+     */
+    initOfflineMode() {
+        window.addEventListener('online', () => {
+            this.logger.log('Connection restored');
+            this.replayOfflineActions();
+        });
+
+        window.addEventListener('offline', () => {
+            this.logger.log('Connection lost');
+            this.setOffline(true);
+        });
+
+        if (!this.offlineQueue.isOnline()) {
+            this.setOffline(true);
+        }
+
+        this.offlineQueue.ready.then(() => {
+            if (this.offlineQueue.hasPending()) {
+                this.setOffline(true);
+                this.replayOfflineActions();
+            }
+        });
+    }
+
+    /**
+     * Check if a request may be stored while offline
+     */
+    canQueueOffline(payload) {
+        return this.offlineQueue !== null && OFFLINE_REQUEST_TYPES.includes(payload.type);
+    }
+
+    /**
+     * Store an action for replay and mark components offline
+     */
+    async queueOfflineAction(component, payload, optimistic = null) {
+        try {
+            const recordId = await this.offlineQueue.store(payload, this.componentIdentity(component));
+            if (optimistic) {
+                this.offlineLayers.set(recordId, optimistic);
+            }
+        } catch (error) {
+            this.logger.error('Failed to store offline action:', error);
+            throw error;
+        }
+
+        this.setOffline(true);
+
+        // navigator.onLine can report online while requests still fail, so retry periodically
+        if (this.offlineQueue.isOnline()) {
+            this.scheduleOfflineReplay();
+        }
+    }
+
+    /**
+     * Identify a component across reloads, its diff:id changes on every render
+     * The class, the mount parameters and its position among the components sharing both
+     */
+    componentIdentity(component) {
+        const key = candidate => `${candidate.componentClass}|${candidate.element.getAttribute('diff:params') ?? ''}`;
+        const position = this.registry.getAll()
+            .filter(candidate => key(candidate) === key(component))
+            .sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .indexOf(component);
+
+        return `${key(component)}|${position}`;
+    }
+
+    /**
+     * Find the component a stored action belongs to, by its id or after a reload by its identity
+     */
+    findOfflineComponent(record) {
+        const component = this.registry.get(record.payload.componentId);
+        if (component || record.identity === null || record.identity === undefined) {
+            return component || null;
+        }
+
+        return this.registry.getAll().find(candidate => this.componentIdentity(candidate) === record.identity) || null;
+    }
+
+    /**
+     * Tell the app a stored action will never be sent
+     *
+     * Listeners of diffyne:offline-dropped receive the action's payload and the reason:
+     * 'missing' when its component is not on the page, 'destroyed' when it was removed.
+     */
+    announceDroppedAction(record, reason) {
+        this.logger.error(`Dropped offline action for component ${record.payload.componentId} (${reason})`);
+
+        window.dispatchEvent(new CustomEvent('diffyne:offline-dropped', {
+            detail: { action: record.payload, reason }
+        }));
+    }
+
+    /**
+     * Check if an optimistic layer belongs to an action waiting for replay
+     */
+    isStoredOffline(layer) {
+        return [...this.offlineLayers.values()].includes(layer);
+    }
+
+    /**
+     * Drop the optimistic layers and stored offline actions of a component that left the page
+     * A component mounted later with the same id must not receive them
+     */
+    discardOptimisticState(component) {
+        this.offlineLayers.forEach((layer, recordId) => {
+            if (component.optimisticUpdates.includes(layer)) {
+                this.offlineLayers.delete(recordId);
+            }
+        });
+        component.optimisticUpdates = [];
+        component.optimisticProperties.clear();
+
+        if (this.offlineQueue) {
+            this.offlineQueue.removeComponent(component.id, this.componentIdentity(component))
+                .then(records => records.forEach(record => {
+                    this.offlineLayers.delete(record.id);
+                    this.announceDroppedAction(record, 'destroyed');
+                }))
+                .catch(error => this.logger.error('Failed to remove offline actions:', error));
+        }
+    }
+
+    /**
+     * Retry replaying stored actions after the configured interval
+     */
+    scheduleOfflineReplay() {
+        if (this.offlineRetryTimer) return;
+
+        this.offlineRetryTimer = setTimeout(() => {
+            this.offlineRetryTimer = null;
+            this.replayOfflineActions();
+        }, this.config.offlineRetryInterval);
+    }
+
+    /**
+     * Replay stored actions in the order they were made
+     * Stops at the first network failure and keeps the remaining actions
+     */
+    async replayOfflineActions() {
+        if (!this.offlineQueue || this.replayingOffline || !this.offlineQueue.isOnline()) {
+            return;
+        }
+
+        this.replayingOffline = true;
+        clearTimeout(this.offlineRetryTimer);
+        this.offlineRetryTimer = null;
+
+        try {
+            await this.offlineQueue.ready;
+
+            let records = await this.offlineQueue.getAll();
+            while (records.length > 0) {
+                for (const record of records) {
+                    if (!await this.replayOfflineAction(record)) {
+                        this.scheduleOfflineReplay();
+                        return;
+                    }
+                }
+
+                // Actions made while replaying were stored behind the ones just sent
+                records = await this.offlineQueue.getAll();
+            }
+
+            this.setOffline(false);
+            this.logger.log('Offline actions replayed');
+        } finally {
+            this.replayingOffline = false;
+        }
+    }
+
+    /**
+     * Replay a single stored action, returns false if the network is still down
+     */
+    async replayOfflineAction(record) {
+        const { payload } = record;
+        const component = this.findOfflineComponent(record);
+
+        // The component is no longer on the page, there is no state to replay the action on
+        if (!component) {
+            await this.offlineQueue.remove(record.id);
+            this.offlineLayers.delete(record.id);
+            this.announceDroppedAction(record, 'missing');
+            return true;
+        }
+
+        // After a reload the component was rendered with a new id
+        payload.componentId = component.id;
+
+        // Earlier replayed actions changed the state, so send the latest signed snapshot
+        payload.state = payload.type === 'update'
+            ? component.serverState
+            : this.optimistic.confirmedState(component);
+        payload.fingerprint = component.fingerprint;
+        payload.signature = component.signature;
+
+        try {
+            const response = await this.sendRequest(component, payload, { replaying: true });
+            await this.offlineQueue.remove(record.id);
+
+            if (response) {
+                await this.processResponse(payload.componentId, response, null, payload.type, payload.property);
+            }
+        } catch (error) {
+            if (this.offlineQueue.isNetworkError(error)) {
+                this.logger.log('Still offline, keeping stored actions');
+                return false;
+            }
+
+            // The server rejected the action, replaying it again would fail the same way
+            await this.offlineQueue.remove(record.id);
+            this.handleError(payload.componentId, error);
+        }
+
+        // Settled: the server result replaces the layer, or it rolls back
+        const layer = this.offlineLayers.get(record.id);
+        if (layer) {
+            this.offlineLayers.delete(record.id);
+            this.optimistic.discard(component, layer);
+        }
+
+        return true;
+    }
+
+    /**
+     * Mark every component as offline or online
+     */
+    setOffline(offline) {
+        if (this.offline === offline) return;
+
+        this.offline = offline;
+        this.registry.getAll().forEach(component => this.applyOfflineState(component));
+    }
+
+    /**
+     * Apply the current offline flag to a component and its diff:offline directives
+     */
+    applyOfflineState(component) {
+        if (!component) return;
+
+        component.setOffline(this.offline);
+        this.offlineIndicator.update(component.element, this.offline);
+    }
+
+    /**
+     * Record the realtime connection status, announce it and update diff:connection directives
+     */
+    setConnectionStatus(status, detail = {}) {
+        if (this.connectionStatus === status) return;
+
+        this.connectionStatus = status;
+        this.registry.getAll().forEach(component => this.applyConnectionState(component));
+
+        window.dispatchEvent(new CustomEvent('diffyne:connection', {
+            detail: { status, ...detail }
+        }));
+    }
+
+    /**
+     * Apply the current connection status to a component's diff:connection directives
+     */
+    applyConnectionState(component) {
+        if (!component) return;
+
+        this.connectionIndicator.update(component.element, this.connectionStatus);
+    }
+
+    /**
+     * Process server response
+     */
+    async processResponse(componentId, response, requestId = null, requestType = 'call', updatedProperty = null) {
+        const component = this.registry.get(componentId);
+        if (!component) return;
+
+        // Double-check request is still valid
+        if (requestId && !this.isRequestValid(componentId, requestId)) {
+            this.logger.log(`Ignoring stale response for ${componentId} (request ${requestId})`);
+            return;
+        }
+
+        const decoded = decodeResponse(response, response.v);
+        const { success, redirect } = decoded;
+        
+        if (success && redirect) {
+            const url = redirect.url;
+            const spa = redirect.spa !== undefined ? redirect.spa : true;
+            
+            if (spa) {
+                // SPA navigation - fetch and replace content
+                this.spaNavigate(url);
+            } else {
+                // Full page redirect
+                window.location.href = url;
+            }
+            return;
+        }
+        
+        const componentData = decoded.component;
+        if (!success || !componentData) return;
+
+        let { patches } = componentData;
+        const { state, fingerprint, signature, errors, queryString } = componentData;
+
+        // DOM writes happen in an animation frame, the component may be gone by then
+        if (patches.length > 0) {
+            await this.patchApplier.nextFrame();
+
+            if (this.registry.get(componentId) !== component || (requestId && !this.isRequestValid(componentId, requestId))) {
+                return;
+            }
+        }
+
+        this.logger.log(`Applying ${patches.length} patches to ${componentId}`, patches);
+
+        const patchContext = { component, patches, response };
+        const contentRoot = component.element.firstElementChild;
+        const shouldPatch = contentRoot && this.plugins.run('beforePatch', patchContext);
+        let patchFailed = false;
+        if (shouldPatch) {
+            patches = patchContext.patches;
+            try {
+                this.patchApplier.applyPatches(contentRoot, patches);
+            } catch (patchError) {
+                // The batch was rolled back, the DOM is as it was before this response
+                this.logger.error(`Failed to apply patches to ${componentId}:`, patchError);
+                patchFailed = true;
+
+                this.plugins.run('onError', { component, error: patchError });
+                window.dispatchEvent(new CustomEvent('diffyne:patch-failed', {
+                    detail: { componentId, error: patchError, ...patchError.details }
+                }));
+            }
+        }
+
+        if (state) {
+            if (requestType === 'update' && updatedProperty) {
+                const mergedState = { ...component.state };
+                if (state.hasOwnProperty(updatedProperty)) {
+                    mergedState[updatedProperty] = state[updatedProperty];
+                }
+                component.updateState(mergedState);
+                component.serverState = JSON.parse(JSON.stringify(state));
+                
+                const propertyValue = state[updatedProperty];
+                if (propertyValue !== undefined) {
+                    const modelInputs = this.modelSync.findModelInputs(component.element);
+                    modelInputs.forEach(input => {
+                        if (input.type === 'file') {
+                            return;
+                        }
+                        
+                        const modelAttr = this.modelSync.findModelAttribute(input);
+                        if (modelAttr) {
+                            const property = input.getAttribute(modelAttr.name);
+                            if (property === updatedProperty) {
+                                this.modelSync.syncInput(input, propertyValue);
+                            }
+                        }
+                    });
+                }
+            } else {
+                component.updateState(state);
+                component.serverState = JSON.parse(JSON.stringify(state));
+                this.modelSync.sync(component.element, state);
+            }
+        }
+        
+        // Keep pending optimistic changes on top of the new server state
+        if (state && component.optimisticUpdates.length > 0) {
+            this.optimistic.rebase(component);
+        }
+
+        if (fingerprint) {
+            component.updateFingerprint(fingerprint);
+        }
+
+        if (signature) {
+            component.updateSignature(signature);
+        }
+
+        if (queryString) {
+            updateQueryString(queryString);
+        }
+
+        if (errors) {
+            component.setErrors(errors);
+            this.errorService.display(component.element, errors);
+        } else {
+            component.clearErrors();
+            this.errorService.clear(component.element);
+        }
+
+        if (shouldPatch && !patchFailed) {
+            this.plugins.run('afterPatch', patchContext);
+        }
+
+        // The state above is the server's, re-render the DOM from it
+        if (patchFailed) {
+            this.fallbackRerender(componentId);
+        }
+
+        // Handle dispatched events
+        if (decoded.events) {
+            this.eventManager.dispatchEvents(decoded.events);
+        }
+
+        // Handle browser events
+        if (decoded.browserEvents) {
+            this.eventManager.dispatchBrowserEvents(decoded.browserEvents);
+        }
+    }
+
+    /**
+     * Apply a server push to the components it is addressed to
+     * Pushes target a component id, class or #[Channel], or carry only events for the whole page
+     */
+    handlePush(message) {
+        if (!isSupportedVersion(message.v)) {
+            this.handleProtocolMismatch(createProtocolError(message.v));
+            return;
+        }
+
+        const { to = {}, refresh, events, browserEvents, ...response } = message;
+        const components = this.registry.getAll().filter(component =>
+            (to.id !== undefined && component.id === to.id) ||
+            (to.class !== undefined && component.componentClass === to.class) ||
+            (to.channel !== undefined && this.getChannels(component).includes(to.channel))
+        );
+
+        this.logger.log(`Push for ${components.length} component(s)`, message);
+
+        components.forEach(component => {
+            if (refresh) {
+                this.refresh(component.id);
+            } else if (response.c) {
+                this.processResponse(component.id, { ...response, s: true, c: { ...response.c, i: component.id } })
+                    .catch(error => this.handleError(component.id, error));
+            }
+        });
+
+        // Events go out once, not once per addressed component
+        if (events) {
+            this.eventManager.dispatchEvents(events);
+        }
+
+        if (browserEvents) {
+            this.eventManager.dispatchBrowserEvents(browserEvents);
+        }
+    }
+
+    /**
+     * Get the channels a component subscribed to with #[Channel]
+     */
+    getChannels(component) {
+        const channels = component.element.getAttribute('diff:channels');
+        return channels ? channels.split(',') : [];
+    }
+
+    /**
+     * Pass the channels of the page's components and their tokens to the push connection
+     */
+    syncSubscriptions() {
+        const subscriptions = {};
+
+        this.registry.getAll().forEach(component => {
+            const tokens = (component.element.getAttribute('diff:channel-tokens') || '').split(',');
+            this.getChannels(component).forEach((channel, index) => {
+                if (tokens[index]) {
+                    subscriptions[channel] = tokens[index];
+                }
+            });
+        });
+
+        this.transport.subscribe(subscriptions);
+    }
+
+    /**
+     * Handle errors
+     */
+    handleError(componentId, error) {
+        const component = this.registry.get(componentId);
+
+        if (!this.plugins.run('onError', { component, error })) {
+            return;
+        }
+
+        if (error.type === 'protocol_mismatch') {
+            this.handleProtocolMismatch(error);
+            return;
+        }
+
+        if (error.type === 'session_expired') {
+            this.handleSessionExpired(component, error);
+            return;
+        }
         
         // Support both formats: errors at root or nested in details
         const errors = error.details?.errors || error.details?.details?.errors;
@@ -541,16 +1430,67 @@ export class Diffyne {
         }
     }
 
+    /**
+     * Ask the user to reload when the page's bundle and the server speak different protocol versions
+     *
+     * Listeners of the cancelable diffyne:protocol-mismatch event can take over
+     * (for example to show their own banner) by calling preventDefault().
+     */
+    handleProtocolMismatch(error) {
+        if (this.protocolMismatchHandled) return;
+        this.protocolMismatchHandled = true;
+
+        this.logger.error(error.message);
+
+        const event = new CustomEvent('diffyne:protocol-mismatch', {
+            cancelable: true,
+            detail: { clientVersion: PROTOCOL_VERSION, serverVersion: error.details?.v ?? error.details?.serverVersion, error }
+        });
+
+        if (window.dispatchEvent(event) && window.confirm('This page is out of date. Reload to get the latest version?')) {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Let the app handle an expired session, or ask the user to reload
+     *
+     * Listeners of the cancelable diffyne:session-expired event can take over
+     * (for example to show a login dialog) by calling preventDefault().
+     */
+    handleSessionExpired(component, error) {
+        this.logger.error(error.message);
+
+        const event = new CustomEvent('diffyne:session-expired', {
+            cancelable: true,
+            detail: { component, error }
+        });
+
+        if (!window.dispatchEvent(event) || this.sessionExpiredPrompted) {
+            return;
+        }
+        this.sessionExpiredPrompted = true;
+
+        if (window.confirm('Your session has expired. Reload the page?')) {
+            window.location.reload();
+        }
+    }
+
     /**
      * Observe DOM changes
      */
     observeDOMChanges() {
         const observer = new MutationObserver((mutations) => {
             mutations.forEach(mutation => {
-                mutation.addedNodes.forEach(node => {
+                mutation.removedNodes.forEach(node => {
                     if (node.nodeType === Node.ELEMENT_NODE) {
-                        const newComponents = node.querySelectorAll('[diff\\:id]');
-                        newComponents.forEach(el => this.hydrateComponent(el));
+                        this.destroyRemovedComponents(node);
+                    }
+                });
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                        this.hydrateAddedComponents(node);
                     }
                 });
             });
@@ -562,6 +1502,59 @@ export class Diffyne {
         });
     }
 
+    /**
+     * Destroy components whose wrappers were removed with the given node
+     */
+    destroyRemovedComponents(node) {
+        const elements = Array.from(node.querySelectorAll('[diff\\:id]'));
+        if (node.hasAttribute('diff:id')) {
+            elements.unshift(node);
+        }
+
+        let destroyed = false;
+        elements.forEach(el => {
+            // Nodes moved elsewhere in the document are reconnected by the time the observer runs
+            if (el.isConnected) return;
+
+            const component = this.registry.get(el.getAttribute('diff:id'));
+            if (component && component.element === el) {
+                this.destroyComponent(component.id);
+                destroyed = true;
+            }
+        });
+
+        // Leave the channels no remaining component listens to
+        if (destroyed) {
+            this.syncSubscriptions();
+        }
+    }
+
+    /**
+     * Tear down a component: abort its request, stop polling and drop its listeners
+     */
+    destroyComponent(componentId) {
+        const component = this.registry.get(componentId);
+        if (!component) return;
+
+        this.registry.getChildren(componentId).forEach(child => this.destroyComponent(child.id));
+
+        this.cancelPendingRequest(componentId);
+        this.requestSequence.delete(componentId);
+        this.recoveries.delete(componentId);
+        this.eventBinder.clearPollTimers(componentId);
+        this.eventManager.removeListenersForComponent(componentId);
+        this.discardOptimisticState(component);
+
+        this.plugins.run('onDestroy', { component });
+        this.registry.remove(componentId);
+
+        window.dispatchEvent(new CustomEvent('diffyne:destroyed', {
+            detail: { componentId, component }
+        }));
+
+        this.logger.log(`Destroyed component: ${componentId} (${component.componentName})`);
+    }
+
     /**
      * Perform SPA navigation to a new URL
      */
@@ -569,7 +1562,8 @@ export class Diffyne {
         try {
             this.logger.log('SPA navigation to:', url);
 
-            const response = await fetch(url, {
+            const response = await this.http.send(url, {
+                kind: 'navigate',
                 headers: {
                     'Accept': 'text/html',
                     'X-Requested-With': 'XMLHttpRequest'
@@ -595,8 +1589,9 @@ export class Diffyne {
             window.history.pushState({}, '', url);
             
             // Re-hydrate all components on the new page
-            this.registry.clear();
+            this.registry.getAll().forEach(component => this.destroyComponent(component.id));
             this.hydrateComponents();
+            this.syncSubscriptions();
             
             this.logger.log('SPA navigation completed');
         } catch (error) {
@@ -624,17 +1619,49 @@ export class Diffyne {
     }
 
     /**
-     * Cancel pending request for a component
+     * Cancel running and queued requests for a component
      */
     cancelPendingRequest(componentId) {
+        this.requestQueue.clear(componentId);
+
+        const pending = this.pendingRequests.get(componentId);
+        if (pending && pending.size > 0) {
+            pending.forEach(controller => controller.abort());
+            this.pendingRequests.delete(componentId);
+            this.logger.log(`Cancelled pending requests for ${componentId}`);
+        }
+    }
+
+    /**
+     * Track a running request so it can be cancelled
+     */
+    trackPendingRequest(componentId, requestId, controller) {
+        if (!this.pendingRequests.has(componentId)) {
+            this.pendingRequests.set(componentId, new Map());
+        }
+        this.pendingRequests.get(componentId).set(requestId, controller);
+    }
+
+    /**
+     * Stop tracking a finished request
+     */
+    untrackPendingRequest(componentId, requestId) {
         const pending = this.pendingRequests.get(componentId);
-        if (pending && pending.controller) {
-            pending.controller.abort();
+        if (!pending) return;
+
+        pending.delete(requestId);
+        if (pending.size === 0) {
             this.pendingRequests.delete(componentId);
-            this.logger.log(`Cancelled pending request for ${componentId}`);
         }
     }
 
+    /**
+     * Check if a component has running or queued requests
+     */
+    hasPendingRequests(componentId) {
+        return this.pendingRequests.has(componentId) || this.requestQueue.hasWaiting(componentId);
+    }
+
     /**
      * Get next request ID for sequencing
      */
@@ -647,8 +1674,13 @@ export class Diffyne {
 
     /**
      * Check if request is still valid (not superseded)
+     * A null request ID (parallel requests) is never superseded
      */
     isRequestValid(componentId, requestId) {
+        if (requestId === null) {
+            return true;
+        }
+
         const currentSequence = this.requestSequence.get(componentId) || 0;
         return requestId >= currentSequence;
     }
@@ -656,15 +1688,118 @@ export class Diffyne {
     /**
      * Fallback re-render when patch application fails
      */
-    fallbackRerender(componentId, componentData) {
+    fallbackRerender(componentId) {
         const component = this.registry.get(componentId);
         if (!component) return;
 
         this.logger.log(`Fallback: Re-rendering component ${componentId} due to patch failure`);
-        
-        // For now, just log the error - full re-render would require server support
-        // In production, we might want to reload the page or request a full HTML render
-        this.logger.error(`Patch application failed for ${componentId}. Consider using keys for list items.`);
+
+        return this.refresh(componentId);
+    }
+
+    /**
+     * Re-render a component from its current signed state and morph the result into the page
+     */
+    async refresh(componentId) {
+        const component = this.registry.get(componentId);
+        if (!component) return;
+
+        // Wait for running requests so the render uses the latest state
+        return this.scheduleRequest(componentId, 'queue', () => this.performRender(componentId));
+    }
+
+    /**
+     * Request the full HTML of a component
+     */
+    async performRender(componentId) {
+        const component = this.registry.get(componentId);
+        if (!component) return;
+
+        this.loadingService.show(component.element);
+
+        const abortController = new AbortController();
+        const requestId = this.getNextRequestId(componentId);
+        this.trackPendingRequest(componentId, requestId, abortController);
+
+        try {
+            const response = await this.sendRequest(component, {
+                type: 'render',
+                componentId,
+                componentClass: component.componentClass,
+                state: component.serverState || component.state,
+                fingerprint: component.fingerprint,
+                signature: component.signature,
+                errors: component.errors,
+            }, { signal: abortController.signal });
+
+            if (response && this.isRequestValid(componentId, requestId)) {
+                this.processRenderResponse(componentId, response);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError' && this.isRequestValid(componentId, requestId)) {
+                this.handleError(componentId, error);
+            }
+        } finally {
+            this.untrackPendingRequest(componentId, requestId);
+
+            if (!this.hasPendingRequests(componentId)) {
+                this.loadingService.hide(component.element);
+            }
+        }
+    }
+
+    /**
+     * Apply the full render of a render request
+     */
+    processRenderResponse(componentId, response) {
+        const component = this.registry.get(componentId);
+        const componentData = decodeResponse(response, response.v).component;
+        if (!component || !componentData) return;
+
+        this.applySnapshot(component, componentData);
+        this.logger.log(`Re-rendered component: ${componentId}`);
+    }
+
+    /**
+     * Morph a full render into the component wrapper, then re-bind and resync
+     * The snapshot holds html, state, fingerprint, signature and eventListeners
+     */
+    applySnapshot(component, snapshot) {
+        const { html, state, eventListeners } = snapshot;
+        const componentId = component.id;
+
+        this.morpher.morphHTML(component.element, html);
+
+        if (state) {
+            component.updateState(state);
+            component.serverState = JSON.parse(JSON.stringify(state));
+        }
+        if (snapshot.fingerprint) {
+            component.updateFingerprint(snapshot.fingerprint);
+        }
+        if (snapshot.signature) {
+            component.updateSignature(snapshot.signature);
+        }
+        component.vdom = this.vNodeConverter.buildVDOM(component.element);
+
+        // Delegated listeners live on the wrapper, only per-element bindings need redoing
+        this.eventBinder.bindPollEvents(component.element, componentId);
+        this.eventManager.removeListenersForComponent(componentId);
+        this.eventManager.bindEventListeners(component.element, componentId);
+        if (eventListeners && Object.keys(eventListeners).length > 0) {
+            this.registerServerEventListeners(componentId, eventListeners);
+        }
+
+        this.modelSync.sync(component.element, component.state);
+        if (component.optimisticUpdates.length > 0) {
+            this.optimistic.rebase(component);
+        }
+        this.applyOfflineState(component);
+        this.applyConnectionState(component);
+
+        if (Object.keys(component.errors).length > 0) {
+            this.errorService.display(component.element, component.errors);
+        }
     }
 }
 
@@ -678,4 +1813,11 @@ if (typeof window !== 'undefined') {
     });
 }
 
+/**
+ * Named export so `Diffyne.use()` also works on the IIFE bundle global
+ */
+export function use(plugin, options = {}) {
+    return Diffyne.use(plugin, options);
+}
+
 export default Diffyne;
@@ -9,12 +9,18 @@ export class Component {
         this.componentClass = data.componentClass;
         this.componentName = data.componentName;
         this.element = data.element;
+        this.parentId = data.parentId || null;
         this.state = data.state || {};
         this.serverState = JSON.parse(JSON.stringify(data.state || {}));
         this.fingerprint = data.fingerprint;
         this.signature = data.signature;
         this.vdom = data.vdom;
         this.errors = {};
+        this.offline = false;
+
+        // Pending diff:optimistic layers and the properties they changed
+        this.optimisticUpdates = [];
+        this.optimisticProperties = new Set();
     }
 
     /**
@@ -55,6 +61,14 @@ export class Component {
         this.errors = {};
     }
 
+    /**
+     * Set offline flag
+     */
+    setOffline(offline) {
+        this.offline = offline;
+        this.element.toggleAttribute('data-diffyne-offline', offline);
+    }
+
     /**
      * Check if component is lazy
      */
@@ -40,6 +40,13 @@ export class ComponentRegistry {
         return this.components.delete(id);
     }
 
+    /**
+     * Get components nested directly inside a component
+     */
+    getChildren(id) {
+        return this.getAll().filter(component => component.parentId === id);
+    }
+
     /**
      * Get all components
      */
@@ -0,0 +1,159 @@
+/**
+ * DOMMorpher.js
+ * Morphs existing DOM into freshly rendered HTML in place (Single Responsibility)
+ *
+ * Nodes are reused where they match (same type and tag, or same diff:key) so
+ * focus, listeners on elements and nested child components survive.
+ */
+
+export class DOMMorpher {
+    /**
+     * Morph the children of an element to match the given HTML
+     */
+    morphHTML(element, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this.morphChildren(element, template.content);
+    }
+
+    /**
+     * Morph the children of `from` to match the children of `to`
+     */
+    morphChildren(from, to) {
+        const keyed = new Map();
+        Array.from(from.childNodes).forEach(child => {
+            const key = this.getKey(child);
+            if (key !== null) {
+                keyed.set(key, child);
+            }
+        });
+
+        let current = from.firstChild;
+
+        Array.from(to.childNodes).forEach(toChild => {
+            const match = this.findMatch(current, toChild, keyed);
+
+            if (!match) {
+                from.insertBefore(toChild, current);
+                return;
+            }
+
+            if (match === current) {
+                current = current.nextSibling;
+            } else {
+                from.insertBefore(match, current);
+            }
+
+            keyed.delete(this.getKey(match));
+            this.morphNode(match, toChild);
+        });
+
+        // Anything left over no longer exists in the new render
+        while (current) {
+            const next = current.nextSibling;
+            from.removeChild(current);
+            current = next;
+        }
+    }
+
+    /**
+     * Find the existing node to reuse for a new node
+     */
+    findMatch(current, toChild, keyed) {
+        const key = this.getKey(toChild);
+
+        if (key !== null) {
+            return keyed.get(key) || null;
+        }
+
+        // Skip nodes that were dropped, such as whitespace around the new content
+        for (let node = current; node; node = node.nextSibling) {
+            if (this.getKey(node) === null && this.isSameKind(node, toChild)) {
+                return node;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Morph a single node in place
+     */
+    morphNode(from, to) {
+        if (from.nodeType !== Node.ELEMENT_NODE) {
+            if (from.nodeValue !== to.nodeValue) {
+                from.nodeValue = to.nodeValue;
+            }
+            return;
+        }
+
+        // Nested components render themselves
+        if (from.hasAttribute('diff:id') || to.hasAttribute('diff:id')) {
+            if (from.getAttribute('diff:id') !== to.getAttribute('diff:id')) {
+                from.replaceWith(to);
+            }
+            return;
+        }
+
+        this.morphAttributes(from, to);
+        this.morphFormState(from, to);
+
+        if (from.tagName !== 'TEXTAREA') {
+            this.morphChildren(from, to);
+        }
+    }
+
+    /**
+     * Sync attributes, keeping the ones Diffyne sets at runtime
+     */
+    morphAttributes(from, to) {
+        Array.from(from.attributes).forEach(attr => {
+            if (!to.hasAttribute(attr.name) && !attr.name.startsWith('data-diffyne-')) {
+                from.removeAttribute(attr.name);
+            }
+        });
+
+        Array.from(to.attributes).forEach(attr => {
+            if (from.getAttribute(attr.name) !== attr.value) {
+                from.setAttribute(attr.name, attr.value);
+            }
+        });
+    }
+
+    /**
+     * Sync form control properties, leaving the focused control alone
+     */
+    morphFormState(from, to) {
+        if (from === document.activeElement) {
+            return;
+        }
+
+        if (from.tagName === 'INPUT') {
+            if (from.type === 'checkbox' || from.type === 'radio') {
+                from.checked = to.hasAttribute('checked');
+            } else if (from.type !== 'file') {
+                from.value = to.getAttribute('value') ?? '';
+            }
+        } else if (from.tagName === 'TEXTAREA') {
+            from.value = to.textContent;
+        }
+    }
+
+    /**
+     * Check if two nodes can be morphed into each other
+     */
+    isSameKind(a, b) {
+        return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+    }
+
+    /**
+     * Get the diff:key of an element
+     */
+    getKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return null;
+        }
+
+        return node.getAttribute('diff:key') ?? node.getAttribute('diff:id');
+    }
+}
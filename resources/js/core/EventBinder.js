@@ -3,7 +3,7 @@
  * Handles event binding and delegation (Single Responsibility)
  */
 
-import { debounce } from '../utils/helpers.js';
+import { debounce, isOwnElement, queryOwn } from '../utils/helpers.js';
 
 export class EventBinder {
     constructor(actionHandler, modelHandler, localStateHandler, fileUploadHandler) {
@@ -11,6 +11,7 @@ export class EventBinder {
         this.modelHandler = modelHandler;
         this.localStateHandler = localStateHandler;
         this.fileUploadHandler = fileUploadHandler;
+        this.pollTimers = new Map(); // componentId => Map(element => intervalId)
     }
 
     /**
@@ -35,10 +36,9 @@ export class EventBinder {
      */
     bindClickEvents(wrapper, componentId) {
         wrapper.addEventListener('click', (e) => {
-            const target = e.target.closest('[diff\\:click]');
-            if (target && wrapper.contains(target)) {
-                const action = target.getAttribute('diff:click');
-                this.actionHandler(componentId, action, e);
+            const directive = this.findDirective(e.target, wrapper, 'diff:click');
+            if (directive) {
+                this.actionHandler(componentId, directive.attr.value, e, this.getActionOptions(directive));
             }
         });
     }
@@ -48,10 +48,9 @@ export class EventBinder {
      */
     bindChangeEvents(wrapper, componentId) {
         wrapper.addEventListener('change', (e) => {
-            const target = e.target.closest('[diff\\:change]');
-            if (target && wrapper.contains(target)) {
-                const action = target.getAttribute('diff:change');
-                this.actionHandler(componentId, action, e);
+            const directive = this.findDirective(e.target, wrapper, 'diff:change');
+            if (directive) {
+                this.actionHandler(componentId, directive.attr.value, e, this.getActionOptions(directive));
             }
         });
     }
@@ -74,6 +73,7 @@ export class EventBinder {
         // Input events
         wrapper.addEventListener('input', (e) => {
             const target = e.target;
+            if (!isOwnElement(target, wrapper)) return;
             const modelAttr = this.findModelAttribute(target);
             
             if (modelAttr) {
@@ -106,6 +106,7 @@ export class EventBinder {
         // Change events
         wrapper.addEventListener('change', (e) => {
             const target = e.target;
+            if (!isOwnElement(target, wrapper)) return;
             
             // Skip file inputs - handled by bindFileEvents
             if (target.type === 'file') {
@@ -141,7 +142,7 @@ export class EventBinder {
     bindFileEvents(wrapper, componentId) {
         wrapper.addEventListener('change', (e) => {
             const target = e.target;
-            if (target.type !== 'file') return;
+            if (target.type !== 'file' || !isOwnElement(target, wrapper)) return;
             
             const modelAttr = this.findModelAttribute(target);
             if (!modelAttr || !this.fileUploadHandler) return;
@@ -173,32 +174,151 @@ export class EventBinder {
      */
     bindSubmitEvents(wrapper, componentId) {
         wrapper.addEventListener('submit', (e) => {
-            const target = e.target.closest('[diff\\:submit]');
-            if (target && wrapper.contains(target)) {
+            const directive = this.findDirective(e.target, wrapper, 'diff:submit');
+            if (directive) {
                 e.preventDefault();
-                const action = target.getAttribute('diff:submit');
-                this.actionHandler(componentId, action, e);
+                this.actionHandler(componentId, directive.attr.value, e, this.getActionOptions(directive));
             }
         });
     }
 
     /**
      * Bind poll events
+     * Timers of poll elements that left the DOM, such as ones a morph replaced, are cleared first
      */
     bindPollEvents(wrapper, componentId) {
-        wrapper.querySelectorAll('[diff\\:poll]').forEach(el => {
+        this.clearRemovedPollTimers(componentId);
+
+        queryOwn(wrapper, '[diff\\:poll]').forEach(el => {
             if (el.hasAttribute('data-diffyne-poll-bound')) return;
             el.setAttribute('data-diffyne-poll-bound', 'true');
             
             const interval = parseInt(el.getAttribute('diff:poll')) || 2000;
             const action = el.getAttribute('diff:poll.action') || 'refresh';
             
-            setInterval(() => {
+            const timer = setInterval(() => {
+                // Patches remove elements without re-binding, stop once the element is gone
+                if (!this.isPolling(el)) {
+                    this.clearPollTimer(componentId, el);
+                    return;
+                }
+
                 this.actionHandler(componentId, action);
             }, interval);
+
+            if (!this.pollTimers.has(componentId)) {
+                this.pollTimers.set(componentId, new Map());
+            }
+            this.pollTimers.get(componentId).set(el, timer);
         });
     }
 
+    /**
+     * Check if a poll element is still in the page and still asks to poll
+     */
+    isPolling(el) {
+        return el.isConnected && el.hasAttribute('diff:poll');
+    }
+
+    /**
+     * Stop the poll timer of one element, it binds again if it gets diff:poll back
+     */
+    clearPollTimer(componentId, el) {
+        const timers = this.pollTimers.get(componentId);
+        if (!timers?.has(el)) return;
+
+        clearInterval(timers.get(el));
+        timers.delete(el);
+        el.removeAttribute('data-diffyne-poll-bound');
+    }
+
+    /**
+     * Stop the poll timers of elements that left the DOM or lost diff:poll
+     */
+    clearRemovedPollTimers(componentId) {
+        const timers = this.pollTimers.get(componentId);
+        if (!timers) return;
+
+        Array.from(timers.keys())
+            .filter(el => !this.isPolling(el))
+            .forEach(el => this.clearPollTimer(componentId, el));
+    }
+
+    /**
+     * Stop all poll timers for a component
+     */
+    clearPollTimers(componentId) {
+        const timers = this.pollTimers.get(componentId) || new Map();
+        timers.forEach(timer => clearInterval(timer));
+        this.pollTimers.delete(componentId);
+    }
+
+    /**
+     * Find the closest element (up to the wrapper) carrying a directive, with or without modifiers
+     * Returns null for events coming from a nested child component, which handles them itself
+     */
+    findDirective(target, wrapper, directive) {
+        if (!target?.closest || !isOwnElement(target, wrapper)) {
+            return null;
+        }
+
+        let el = target;
+
+        while (el && el.nodeType === Node.ELEMENT_NODE) {
+            const attr = Array.from(el.attributes).find(a =>
+                a.name === directive || a.name.startsWith(`${directive}.`)
+            );
+            if (attr) {
+                return { element: el, attr };
+            }
+
+            if (el === wrapper) break;
+            el = el.parentElement;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build action options from a directive's modifiers and sibling attributes
+     */
+    getActionOptions(directive) {
+        const options = this.parseActionModifiers(directive.attr.name);
+
+        const optimistic = directive.element.getAttribute('diff:optimistic');
+        if (optimistic) {
+            options.optimistic = optimistic;
+        }
+
+        return options;
+    }
+
+    /**
+     * Parse modifiers from an action directive (e.g. diff:click.queue, diff:click.retry.3)
+     */
+    parseActionModifiers(attrName) {
+        const parts = attrName.split('.');
+        const options = {};
+
+        if (parts.includes('queue')) {
+            options.concurrency = 'queue';
+        } else if (parts.includes('parallel')) {
+            options.concurrency = 'parallel';
+        } else if (parts.includes('cancel')) {
+            options.concurrency = 'cancel';
+        }
+
+        // diff:click.retry.5 sets the retry attempts, diff:click.retry turns retries on, diff:click.noretry off
+        if (parts.includes('noretry')) {
+            options.retry = 0;
+        } else if (parts.includes('retry')) {
+            const attempts = parseInt(parts[parts.indexOf('retry') + 1], 10);
+            options.retry = Number.isNaN(attempts) ? true : attempts;
+        }
+
+        return options;
+    }
+
     /**
      * Find model attribute on element
      */
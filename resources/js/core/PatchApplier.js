@@ -4,14 +4,28 @@
  */
 
 import { VNodeConverter } from './VNodeConverter.js';
+import { ViewStatePreserver } from './ViewStatePreserver.js';
+import { PatchResolver } from './PatchResolver.js';
+import { TransitionRunner } from './TransitionRunner.js';
+import { childIdentities, createPatchError } from '../utils/helpers.js';
 
 export class PatchApplier {
     constructor() {
         this.converter = new VNodeConverter();
+        this.viewState = new ViewStatePreserver();
+        this.resolver = new PatchResolver(this);
+        this.transitions = new TransitionRunner();
+        this.leaving = new WeakSet();
+        this.pendingTransitions = [];
+        this.formState = null; // form control => properties before the current batch changed them
     }
 
     /**
-     * Apply all patches to a component
+     * Apply all patches to a component as one transaction
+     *
+     * Every patch path is resolved before the DOM is touched. If a patch still
+     * throws while applying, the batch is rolled back and a patch_failed
+     * error describing the failing patch is thrown.
      */
     applyPatches(contentRoot, patches) {
         if (!contentRoot) {
@@ -23,73 +37,156 @@ export class PatchApplier {
             return;
         }
 
-        // Check for full replacement
-        if (this.isFullReplacement(patches)) {
-            return this.replaceContent(contentRoot, patches[0]);
-        }
+        const fullReplacement = this.isFullReplacement(patches);
+        const operations = fullReplacement ? [] : this.resolver.resolve(contentRoot, patches);
 
-        // Apply individual patches in correct order:
-        // 1. Removes first (in reverse index order to avoid shifting)
-        // 2. Then creates/updates/replaces
-        const removePatches = [];
-        const otherPatches = [];
+        // Only structural patches can drop the focused or a scrolled element.
+        // Components opt out of focus and scroll preservation with diff:preserve.off
+        const wrapper = contentRoot.parentNode;
+        const structural = fullReplacement || operations.some(({ type }) => ['create', 'remove', 'replace', 'reorder'].includes(type));
+        const snapshot = wrapper && structural && !contentRoot.hasAttribute('diff:preserve.off')
+            ? this.viewState.capture(wrapper)
+            : null;
+        const journal = wrapper ? this.recordMutations(wrapper) : null;
+        const formState = this.formState = new Map();
+        const transitions = this.pendingTransitions = [];
+        let index = 0;
 
-        patches.forEach(patch => {
-            const type = this.expandType(patch.t || patch.type);
-            if (type === 'remove') {
-                removePatches.push(patch);
-            } else {
-                otherPatches.push(patch);
+        try {
+            if (fullReplacement) {
+                const replaced = this.replaceContent(contentRoot, patches[0]);
+                transitions.forEach(({ run }) => run());
+                return replaced;
+            }
+
+            // Apply patches in the order the server emits them: parents before
+            // children, and for each list removals (highest index first), then
+            // a keyed reorder, then creates and updates in new index order
+            for (; index < operations.length; index++) {
+                this.applyOperation(operations[index]);
+            }
+
+            // Transitions only start once the whole batch is in
+            transitions.forEach(({ run }) => run());
+        } catch (error) {
+            console.error(`[PatchApplier] Failed to apply patch ${index}, rolling back:`, patches[index], error);
+            this.rollback(journal, formState);
+            transitions.forEach(({ node }) => this.leaving.delete(node));
+
+            const patch = patches[index];
+            throw createPatchError(`Patch ${index} failed: ${error.message}`, {
+                index,
+                patch,
+                path: patch.p || patch.path || [],
+                phase: 'apply',
+                reason: error.message
+            });
+        } finally {
+            journal?.disconnect();
+            this.formState = null;
+
+            if (snapshot) {
+                this.viewState.restore(wrapper, snapshot);
             }
+        }
+    }
+
+    /**
+     * Resolve on the next animation frame so patch writes land together before paint
+     */
+    nextFrame() {
+        // Hidden tabs do not run animation frames, apply right away there
+        if (document.hidden || typeof requestAnimationFrame !== 'function') {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }
+
+    /**
+     * Start recording DOM mutations under a node so they can be undone
+     */
+    recordMutations(node) {
+        const observer = new MutationObserver(() => {});
+
+        observer.observe(node, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeOldValue: true,
+            characterData: true,
+            characterDataOldValue: true
         });
 
-        // Sort removes by path in reverse order (highest index first)
-        // This prevents index shifting when removing multiple items
-        removePatches.sort((a, b) => {
-            const pathA = a.p || a.path || [];
-            const pathB = b.p || b.path || [];
-            
-            // Compare paths from end to start (reverse order)
-            const minLen = Math.min(pathA.length, pathB.length);
-            for (let i = minLen - 1; i >= 0; i--) {
-                if (pathA[i] !== pathB[i]) {
-                    return pathB[i] - pathA[i]; // Reverse order (higher index first)
+        return observer;
+    }
+
+    /**
+     * Undo every mutation recorded by recordMutations(), newest first
+     *
+     * Mutation records only cover attributes, the value, checked and selected
+     * properties are put back from the state rememberFormState() kept.
+     */
+    rollback(journal, formState) {
+        if (!journal) return;
+
+        journal.takeRecords().reverse().forEach(record => {
+            const target = record.target;
+
+            if (record.type === 'characterData') {
+                target.data = record.oldValue;
+            } else if (record.type === 'attributes') {
+                if (record.oldValue === null) {
+                    target.removeAttribute(record.attributeName);
+                } else {
+                    target.setAttribute(record.attributeName, record.oldValue);
                 }
+            } else {
+                record.addedNodes.forEach(node => node.parentNode === target && target.removeChild(node));
+                record.removedNodes.forEach(node => target.insertBefore(node, record.nextSibling));
             }
-            return pathB.length - pathA.length;
         });
 
-        // Sort other patches by depth (deepest first) for creates/updates
-        otherPatches.sort((a, b) => {
-            const pathA = a.p || a.path || [];
-            const pathB = b.p || b.path || [];
-            return pathB.length - pathA.length;
+        formState.forEach((state, control) => {
+            if (control.tagName === 'SELECT') {
+                Array.from(control.options).forEach((option, index) => {
+                    option.selected = state.selected[index] ?? false;
+                });
+                return;
+            }
+
+            // File inputs only accept an empty value
+            if (control.type !== 'file') {
+                control.value = state.value;
+            }
+            if (control.tagName === 'INPUT') {
+                control.checked = state.checked;
+            }
         });
+    }
 
-        try {
-            // Apply removes first (in reverse order)
-            removePatches.forEach((patch, index) => {
-                try {
-                    this.applyPatch(contentRoot, patch);
-                } catch (error) {
-                    console.error(`[PatchApplier] Failed to apply remove patch ${index}:`, patch, error);
-                    throw error;
-                }
-            });
+    /**
+     * Remember the properties of a form control before a patch changes them
+     * Checking a radio unchecks the others of its group, so the whole group is kept
+     */
+    rememberFormState(element) {
+        const control = element.tagName === 'OPTION' ? element.closest('select') : element;
+        if (!this.formState || !control || !['INPUT', 'TEXTAREA', 'SELECT'].includes(control.tagName)) {
+            return;
+        }
 
-            // Then apply creates/updates/replaces
-            otherPatches.forEach((patch, index) => {
-                try {
-                    this.applyPatch(contentRoot, patch);
-                } catch (error) {
-                    console.error(`[PatchApplier] Failed to apply patch ${index}:`, patch, error);
-                    throw error;
-                }
+        const controls = control.type === 'radio' && control.name
+            ? Array.from((control.form || control.ownerDocument).querySelectorAll('input[type="radio"]'))
+                .filter(radio => radio.name === control.name)
+            : [control];
+
+        controls.filter(el => !this.formState.has(el)).forEach(el => {
+            this.formState.set(el, {
+                value: el.value,
+                checked: el.checked,
+                selected: el.tagName === 'SELECT' ? Array.from(el.options, option => option.selected) : null
             });
-        } catch (error) {
-            console.error('[PatchApplier] Patch application failed:', error);
-            throw error;
-        }
+        });
     }
 
     /**
@@ -111,53 +208,38 @@ export class PatchApplier {
      */
     replaceContent(contentRoot, patch) {
         const data = patch.d || patch.data;
-        const newContent = this.converter.vnodeToDOM(data.node);
+        const newContent = this.preserveChildComponents(this.converter.vnodeToDOM(data.node), contentRoot);
         contentRoot.parentNode.replaceChild(newContent, contentRoot);
+        this.pendingTransitions.push({ node: newContent, run: () => this.transitions.enter(newContent) });
         return true;
     }
 
     /**
-     * Apply a single patch
+     * Apply a single operation resolved by PatchResolver
      */
-    applyPatch(root, patch) {
-        const type = this.expandType(patch.t || patch.type);
-        const path = patch.p || patch.path || [];
-        const data = patch.d || patch.data;
-        
-        let target, insertIndex;
-        
-        if (type === 'create' && path.length > 0) {
-            const parentPath = path.slice(0, -1);
-            insertIndex = path[path.length - 1];
-            target = this.getNodeByPath(root, parentPath);
-        } else {
-            target = this.getNodeByPath(root, path);
-            insertIndex = null;
-        }
-
-        if (!target) {
-            console.warn(`[PatchApplier] Target node not found for patch type ${type} at path ${path.join('.')}`);
-            return;
-        }
+    applyOperation(operation) {
+        const { type, data, target, node } = operation;
+        const element = target.el;
 
         switch (type) {
             case 'create':
-                this.patchCreate(target, data, insertIndex);
+                node.el = this.patchCreate(element, data, operation.before?.el ?? null);
+                this.resolver.attach(node, node.el);
                 break;
             case 'remove':
-                this.patchRemove(target);
+                this.patchRemove(element);
                 break;
             case 'replace':
-                this.patchReplace(target, data);
+                this.resolver.attach(node, this.patchReplace(element, data));
                 break;
             case 'update_text':
-                this.patchUpdateText(target, data);
+                this.patchUpdateText(element, data);
                 break;
             case 'update_attrs':
-                this.patchUpdateAttrs(target, data);
+                this.patchUpdateAttrs(element, data);
                 break;
             case 'reorder':
-                this.patchReorder(target, data);
+                this.patchReorder(element, data);
                 break;
         }
     }
@@ -178,62 +260,14 @@ export class PatchApplier {
     }
 
     /**
-     * Get DOM node by path
-     */
-    getNodeByPath(root, path) {
-        if (!path || path.length === 0) {
-            return root;
-        }
-
-        let node = root;
-
-        for (const index of path) {
-            if (!node) {
-                console.warn(`[PatchApplier] Node not found at path ${path.join('.')}, index ${index}`);
-                return null;
-            }
-            
-            const meaningfulChildren = Array.from(node.childNodes).filter(child => {
-                if (child.nodeType === Node.TEXT_NODE) {
-                    return child.textContent.trim() !== '';
-                }
-                return true;
-            });
-            
-            if (index < 0 || index >= meaningfulChildren.length) {
-                console.warn(`[PatchApplier] Index ${index} out of bounds (${meaningfulChildren.length} children) at path ${path.join('.')}`);
-                return null;
-            }
-            
-            node = meaningfulChildren[index];
-        }
-
-        return node;
-    }
-
-    /**
-     * Create new node
+     * Create new node before a sibling (or at the end), returns the node
      */
-    patchCreate(parent, data, insertIndex = null) {
+    patchCreate(parent, data, before = null) {
         const newNode = this.converter.vnodeToDOM(data.node);
-        
-        if (insertIndex !== null) {
-            const meaningfulChildren = Array.from(parent.childNodes).filter(child => {
-                if (child.nodeType === Node.TEXT_NODE) {
-                    return child.textContent.trim() !== '';
-                }
-                return true;
-            });
-            
-            const referenceNode = meaningfulChildren[insertIndex];
-            if (referenceNode) {
-                parent.insertBefore(newNode, referenceNode);
-            } else {
-                parent.appendChild(newNode);
-            }
-        } else {
-            parent.appendChild(newNode);
-        }
+        parent.insertBefore(newNode, before);
+
+        this.pendingTransitions.push({ node: newNode, run: () => this.transitions.enter(newNode) });
+        return newNode;
     }
 
     /**
@@ -241,24 +275,75 @@ export class PatchApplier {
      */
     patchRemove(node) {
         if (!node || !node.parentNode) {
-            console.warn('[PatchApplier] Cannot remove node - node or parent is null');
-            return;
+            throw new Error('Cannot remove a node without a parent');
         }
-        
-        try {
-            node.parentNode.removeChild(node);
-        } catch (error) {
-            console.error('[PatchApplier] Failed to remove node:', error, node);
-            // Don't throw - continue with other patches
+
+        // Leaving nodes stay in the DOM until their transition ends, but no
+        // longer count for paths so the rest of the batch resolves as the server expects
+        if (this.transitions.has(node, 'leave')) {
+            this.leaving.add(node);
+            this.pendingTransitions.push({
+                node,
+                run: () => this.transitions.leave(node, () => node.parentNode?.removeChild(node))
+            });
+            return;
         }
+
+        node.parentNode.removeChild(node);
     }
 
     /**
      * Replace node
      */
     patchReplace(oldNode, data) {
-        const newNode = this.converter.vnodeToDOM(data.node);
+        const newNode = this.preserveChildComponents(this.converter.vnodeToDOM(data.node), oldNode);
         oldNode.parentNode?.replaceChild(newNode, oldNode);
+        return newNode;
+    }
+
+    /**
+     * Check if a node is the wrapper of a nested component
+     */
+    isComponentBoundary(node) {
+        return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('diff:id');
+    }
+
+    /**
+     * Keep live child components from the old subtree in place of their freshly rendered markup
+     * so they keep their state, listeners and DOM. Returns the node to insert.
+     */
+    preserveChildComponents(newNode, oldNode) {
+        if (newNode.nodeType !== Node.ELEMENT_NODE || oldNode.nodeType !== Node.ELEMENT_NODE) {
+            return newNode;
+        }
+
+        const existing = new Map();
+        [oldNode, ...oldNode.querySelectorAll('[diff\\:id]')].forEach(el => {
+            if (this.isComponentBoundary(el) && !existing.has(el.getAttribute('diff:id'))) {
+                existing.set(el.getAttribute('diff:id'), el);
+            }
+        });
+
+        if (existing.size === 0) {
+            return newNode;
+        }
+
+        let result = newNode;
+        [newNode, ...newNode.querySelectorAll('[diff\\:id]')].forEach(el => {
+            // Skip markup of grandchildren, they move along with their preserved parent
+            if (!this.isComponentBoundary(el) || !newNode.contains(el)) return;
+
+            const live = existing.get(el.getAttribute('diff:id'));
+            if (!live) return;
+
+            if (el === newNode) {
+                result = live;
+            } else {
+                el.replaceWith(live);
+            }
+        });
+
+        return result;
     }
 
     /**
@@ -276,7 +361,9 @@ export class PatchApplier {
     patchUpdateAttrs(element, data) {
         const setAttrs = data.s || data.set || {};
         const removeAttrs = data.r || data.remove || [];
-        
+
+        this.rememberFormState(element);
+
         Object.entries(setAttrs).forEach(([key, value]) => {
             element.setAttribute(key, value);
             
@@ -307,14 +394,91 @@ export class PatchApplier {
     }
 
     /**
-     * Reorder children
+     * Reorder children by identity without recreating them
+     *
+     * Moves as few nodes as possible (those outside the longest run already
+     * in order) so focus, input values and widget state survive.
      */
     patchReorder(parent, data) {
-        data.moves.forEach(move => {
-            const node = parent.childNodes[move.from];
-            if (node) {
-                parent.insertBefore(node, parent.childNodes[move.to]);
+        const order = data.k || data.keys || [];
+        const children = this.meaningfulChildren(parent);
+        const byIdentity = new Map();
+
+        this.childIdentities(children).forEach((identity, index) => {
+            byIdentity.set(identity, children[index]);
+        });
+
+        const nodes = order.map(identity => byIdentity.get(identity));
+        if (nodes.some(node => !node)) {
+            throw new Error(`Reorder keys do not match the children of ${parent.nodeName}`);
+        }
+
+        const indexes = new Map(children.map((child, index) => [child, index]));
+        const stable = this.longestIncreasingRun(nodes.map(node => indexes.get(node)));
+
+        // Insert from the end so each node can be placed before its successor
+        let reference = children[children.length - 1]?.nextSibling || null;
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            if (!stable.has(i)) {
+                parent.insertBefore(nodes[i], reference);
+            }
+            reference = nodes[i];
+        }
+    }
+
+    /**
+     * Get child nodes that count for paths (whitespace-only text and leaving nodes are skipped)
+     */
+    meaningfulChildren(node) {
+        return Array.from(node.childNodes).filter(child => {
+            if (this.leaving.has(child)) {
+                return false;
+            }
+            if (child.nodeType === Node.TEXT_NODE) {
+                return child.textContent.trim() !== '';
             }
+            return true;
         });
     }
+
+    /**
+     * Get the keyed-diff identities of DOM children
+     */
+    childIdentities(children) {
+        return childIdentities(children.map(child => child.nodeType === Node.ELEMENT_NODE
+            ? child.getAttribute('diff:key') ?? child.getAttribute('key')
+            : null));
+    }
+
+    /**
+     * Get the indexes of the longest increasing subsequence of positions
+     */
+    longestIncreasingRun(positions) {
+        const tails = [];        // tails[length - 1] = index ending the best run of that length
+        const previous = new Array(positions.length);
+
+        positions.forEach((position, i) => {
+            let low = 0;
+            let high = tails.length;
+
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (positions[tails[mid]] < position) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            previous[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        });
+
+        const run = new Set();
+        for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = previous[i]) {
+            run.add(i);
+        }
+
+        return run;
+    }
 }
@@ -0,0 +1,231 @@
+/**
+ * PatchResolver.js
+ * Resolves every patch path of a batch before the DOM is touched (Single Responsibility)
+ *
+ * The meaningful children of each node are indexed once per batch into an
+ * outline of the live DOM. Patches are replayed against that outline, so each
+ * path segment is an array lookup and paths resolve exactly as they will after
+ * earlier patches. The result is a list of operations pointing at outline nodes.
+ */
+
+import { childIdentities, createPatchError } from '../utils/helpers.js';
+
+export class PatchResolver {
+    constructor(applier) {
+        this.applier = applier;
+    }
+
+    /**
+     * Resolve a batch into operations, throws a patch_failed error for the first patch that would not apply
+     */
+    resolve(contentRoot, patches) {
+        const root = this.fromDOM(contentRoot);
+
+        return patches.map((patch, index) => {
+            const operation = this.plan(root, patch);
+
+            if (typeof operation === 'string') {
+                const path = patch.p || patch.path || [];
+                throw createPatchError(`Patch ${index} cannot be applied: ${operation}`, {
+                    index,
+                    patch,
+                    path,
+                    phase: 'validate',
+                    reason: operation
+                });
+            }
+
+            return { index, patch, ...operation };
+        });
+    }
+
+    /**
+     * Replay one patch against the outline, returns the operation or the failure reason
+     */
+    plan(root, patch) {
+        const type = this.applier.expandType(patch.t || patch.type);
+        const path = patch.p || patch.path || [];
+        const data = patch.d || patch.data || {};
+
+        if (type === 'create') {
+            const parent = path.length > 0 ? this.find(root, path.slice(0, -1)) : root;
+            if (typeof parent === 'string') return parent;
+            if (parent.kind !== 'element') return 'cannot insert into a text node';
+
+            const children = this.children(parent);
+            const position = path.length > 0 ? Math.min(path[path.length - 1], children.length) : children.length;
+            const node = this.fromVNode(data.node || {}, parent);
+            children.splice(position, 0, node);
+
+            // The node is inserted before whatever follows it at this point of the batch
+            return { type, data, target: parent, node, before: children[position + 1] || null };
+        }
+
+        const target = this.find(root, path);
+        if (typeof target === 'string') return target;
+
+        switch (type) {
+            case 'remove':
+                this.detach(target, []);
+                return { type, data, target };
+            case 'replace': {
+                const node = this.fromVNode(data.node || {}, target.parent);
+                this.detach(target, [node]);
+                return { type, data, target, node };
+            }
+            case 'update_attrs':
+                return target.kind === 'element' ? { type, data, target } : 'attributes target is not an element';
+            case 'reorder': {
+                const reason = this.reorder(target, data.k || data.keys || []);
+                return reason || { type, data, target };
+            }
+            case 'update_text':
+                return { type, data, target };
+            default:
+                return `unknown patch type '${type}'`;
+        }
+    }
+
+    /**
+     * Find the outline node at a path, returns a reason string when it does not resolve
+     */
+    find(root, path) {
+        let node = root;
+
+        for (const index of path) {
+            if (node !== root && node.boundary) {
+                return `path ${path.join('.')} enters a nested component`;
+            }
+
+            const children = this.children(node);
+            if (index < 0 || index >= children.length) {
+                return `index ${index} out of bounds (${children.length} children) at path ${path.join('.')}`;
+            }
+
+            node = children[index];
+        }
+
+        return node;
+    }
+
+    /**
+     * Take a node out of its parent's children, optionally putting replacements in its place
+     */
+    detach(node, replacements) {
+        if (!node.parent) return;
+
+        const siblings = this.children(node.parent);
+        siblings.splice(siblings.indexOf(node), 1, ...replacements);
+    }
+
+    /**
+     * Reorder outline children the way PatchApplier.patchReorder moves them
+     */
+    reorder(parent, order) {
+        const children = this.children(parent);
+        const byIdentity = new Map();
+
+        childIdentities(children.map(child => child.key)).forEach((identity, index) => {
+            byIdentity.set(identity, children[index]);
+        });
+
+        const nodes = order.map(identity => byIdentity.get(identity));
+        if (nodes.some(node => !node)) {
+            return 'reorder keys do not match the children';
+        }
+
+        const indexes = new Map(children.map((child, index) => [child, index]));
+        const stable = this.applier.longestIncreasingRun(nodes.map(node => indexes.get(node)));
+
+        // Each moved node lands right before its successor in the order, so runs of
+        // moved nodes end up in front of the next node that stays (or at the end)
+        const moved = new Set(nodes.filter((node, i) => !stable.has(i)));
+        const movedBefore = new Map();
+        let run = [];
+        nodes.forEach(node => {
+            if (moved.has(node)) {
+                run.push(node);
+            } else {
+                movedBefore.set(node, run);
+                run = [];
+            }
+        });
+
+        const reordered = [];
+        children.forEach(child => {
+            if (!moved.has(child)) {
+                reordered.push(...(movedBefore.get(child) || []), child);
+            }
+        });
+        reordered.push(...run);
+        children.splice(0, children.length, ...reordered);
+
+        return null;
+    }
+
+    /**
+     * Get an outline node's children, indexed on first use
+     */
+    children(node) {
+        if (!node.childList) {
+            node.childList = node.build();
+            node.built = node.childList.slice();
+        }
+
+        return node.childList;
+    }
+
+    /**
+     * Point an outline node created from a VNode at the DOM node made for it
+     */
+    attach(node, el) {
+        node.el = el;
+
+        // Later patches in the batch may target children of the new node
+        if (node.built && el.nodeType === Node.ELEMENT_NODE && !node.boundary) {
+            const domChildren = this.applier.meaningfulChildren(el);
+            node.built.forEach((child, index) => domChildren[index] && this.attach(child, domChildren[index]));
+        }
+    }
+
+    /**
+     * Outline a DOM node
+     */
+    fromDOM(el, parent = null) {
+        const isElement = el.nodeType === Node.ELEMENT_NODE;
+        const node = {
+            el,
+            parent,
+            kind: isElement ? 'element' : 'text',
+            key: isElement ? el.getAttribute('diff:key') ?? el.getAttribute('key') : null,
+            boundary: this.applier.isComponentBoundary(el)
+        };
+
+        node.build = () => this.applier.meaningfulChildren(el).map(child => this.fromDOM(child, node));
+        return node;
+    }
+
+    /**
+     * Outline a VNode from a patch, its DOM node is attached once it is created
+     */
+    fromVNode(vnode, parent) {
+        if (vnode.x !== undefined || vnode.m !== undefined || vnode.type === 'text') {
+            return { el: null, parent, kind: 'text', key: null, boundary: false, build: () => [] };
+        }
+
+        const attrs = vnode.a || vnode.attributes || {};
+        const node = {
+            el: null,
+            parent,
+            kind: 'element',
+            key: attrs['diff:key'] ?? attrs.key ?? null,
+            boundary: attrs['diff:id'] !== undefined
+        };
+
+        node.build = () => (vnode.c || vnode.children || [])
+            .filter(child => child.x === undefined || child.x.trim() !== '')
+            .filter(child => child.type !== 'text' || child.text.trim() !== '')
+            .map(child => this.fromVNode(child, node));
+        return node;
+    }
+}
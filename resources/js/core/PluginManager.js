@@ -0,0 +1,141 @@
+/**
+ * PluginManager.js
+ * Registers plugins and runs lifecycle hooks (Single Responsibility)
+ */
+
+export const HOOKS = [
+    'beforeRequest',
+    'afterResponse',
+    'beforePatch',
+    'afterPatch',
+    'onError',
+    'onHydrate',
+    'onDestroy',
+];
+
+export class PluginManager {
+    constructor(logger) {
+        this.logger = logger;
+        this.plugins = new Set();
+        this.hooks = new Map(); // hookName => [handler]
+    }
+
+    /**
+     * Install a plugin
+     *
+     * A plugin is either a function `(diffyne, options) => {}` or an object
+     * with an optional `install(diffyne, options)` method and/or methods
+     * named after hooks (e.g. `beforeRequest(context)`).
+     */
+    install(plugin, app, options = {}) {
+        if (!plugin || this.plugins.has(plugin)) {
+            return;
+        }
+        this.plugins.add(plugin);
+
+        if (typeof plugin === 'function') {
+            plugin(app, options);
+            return;
+        }
+
+        if (typeof plugin.install === 'function') {
+            plugin.install(app, options);
+        }
+
+        HOOKS.forEach(hook => {
+            if (typeof plugin[hook] === 'function') {
+                this.on(hook, plugin[hook].bind(plugin));
+            }
+        });
+
+        this.logger.log(`Installed plugin${plugin.name ? ` '${plugin.name}'` : ''}`);
+    }
+
+    /**
+     * Register a hook handler, returns an unsubscribe function
+     */
+    on(hook, handler) {
+        if (!HOOKS.includes(hook)) {
+            throw new Error(`Unknown Diffyne hook '${hook}'`);
+        }
+
+        if (!this.hooks.has(hook)) {
+            this.hooks.set(hook, []);
+        }
+        this.hooks.get(hook).push(handler);
+
+        return () => this.off(hook, handler);
+    }
+
+    /**
+     * Remove a hook handler
+     */
+    off(hook, handler) {
+        const handlers = this.hooks.get(hook);
+        if (!handlers) return;
+
+        this.hooks.set(hook, handlers.filter(h => h !== handler));
+    }
+
+    /**
+     * Check if any handler is registered for a hook
+     */
+    has(hook) {
+        return (this.hooks.get(hook) || []).length > 0;
+    }
+
+    /**
+     * Run hook handlers synchronously
+     *
+     * Handlers may mutate the context, return an object to merge into it,
+     * or return false to veto. Returns false if vetoed, true otherwise.
+     */
+    run(hook, context) {
+        for (const handler of this.hooks.get(hook) || []) {
+            const result = handler(context);
+
+            if (result && typeof result.then === 'function') {
+                this.logger.error(`Hook '${hook}' returned a promise; use it with an async hook instead`);
+                continue;
+            }
+
+            if (!this.applyResult(context, result)) {
+                this.logger.log(`Hook '${hook}' vetoed`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Run hook handlers in order, awaiting each one
+     */
+    async runAsync(hook, context) {
+        for (const handler of this.hooks.get(hook) || []) {
+            const result = await handler(context);
+
+            if (!this.applyResult(context, result)) {
+                this.logger.log(`Hook '${hook}' vetoed`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Merge a handler result into the context
+     */
+    applyResult(context, result) {
+        if (result === false) {
+            return false;
+        }
+
+        if (result && typeof result === 'object') {
+            Object.assign(context, result);
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * RequestPipeline.js
+ * Sends every HTTP request through registered middlewares (Single Responsibility)
+ *
+ * A middleware is `async (request, next) => response`. It may change the request
+ * before calling next() and inspect or replace the Response next() resolves to.
+ * The request is { url, method, headers, body, credentials, signal, keepalive, kind },
+ * where kind is 'update', 'batch', 'cancel', 'lazy', 'upload' or 'navigate'.
+ */
+
+import { getCsrfToken, createAbortError } from '../utils/helpers.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+export class RequestPipeline {
+    constructor(config = {}) {
+        this.config = config;
+        this.middlewares = [];
+    }
+
+    /**
+     * Register a middleware, returns a function that removes it
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Error('Diffyne middleware must be a function');
+        }
+
+        this.middlewares.push(middleware);
+
+        return () => {
+            this.middlewares = this.middlewares.filter(registered => registered !== middleware);
+        };
+    }
+
+    /**
+     * Send a request through the middlewares
+     */
+    send(url, options = {}) {
+        const request = {
+            url,
+            method: (options.method || 'GET').toUpperCase(),
+            headers: { ...options.headers },
+            body: options.body ?? null,
+            credentials: options.credentials || this.config.credentials || 'same-origin',
+            signal: options.signal ?? null,
+            keepalive: options.keepalive || false,
+            kind: options.kind || 'request',
+            onUploadProgress: options.onUploadProgress || null,
+        };
+
+        // Snapshot the list so a middleware removed mid-request does not shift the chain
+        const middlewares = [...this.middlewares];
+        const dispatch = index => index < middlewares.length
+            ? Promise.resolve(middlewares[index](request, () => dispatch(index + 1)))
+            : this.perform(request);
+
+        return dispatch(0);
+    }
+
+    /**
+     * Perform the request once every middleware has run
+     */
+    perform(request) {
+        // fetch() cannot report upload progress
+        if (request.onUploadProgress) {
+            return this.performWithProgress(request);
+        }
+
+        return fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            credentials: request.credentials,
+            signal: request.signal,
+            keepalive: request.keepalive,
+        });
+    }
+
+    /**
+     * Perform the request with XMLHttpRequest and resolve to a Response like fetch()
+     */
+    performWithProgress(request) {
+        return new Promise((resolve, reject) => {
+            if (request.signal?.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            const onAbort = () => xhr.abort();
+
+            xhr.open(request.method, request.url);
+            xhr.withCredentials = request.credentials === 'include';
+            Object.entries(request.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    request.onUploadProgress((e.loaded / e.total) * 100);
+                }
+            });
+
+            xhr.addEventListener('loadend', () => request.signal?.removeEventListener('abort', onAbort));
+            xhr.addEventListener('load', () => {
+                const body = NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.responseText;
+                resolve(new Response(body, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: parseHeaders(xhr.getAllResponseHeaders()),
+                }));
+            });
+            xhr.addEventListener('error', () => reject(new TypeError('Network error')));
+            xhr.addEventListener('abort', () => reject(createAbortError()));
+
+            request.signal?.addEventListener('abort', onAbort, { once: true });
+            xhr.send(request.body);
+        });
+    }
+}
+
+/**
+ * Attach the CSRF token from the csrf-token meta tag to requests that change state
+ */
+export function csrfMiddleware(request, next) {
+    const token = getCsrfToken();
+
+    if (token && !SAFE_METHODS.includes(request.method) && !request.headers['X-CSRF-TOKEN']) {
+        request.headers['X-CSRF-TOKEN'] = token;
+    }
+
+    return next();
+}
+
+/**
+ * Parse the raw header block of an XMLHttpRequest
+ */
+function parseHeaders(raw) {
+    const headers = new Headers();
+
+    raw.trim().split(/[\r\n]+/).filter(Boolean).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+    });
+
+    return headers;
+}
@@ -0,0 +1,73 @@
+/**
+ * RequestQueue.js
+ * Orders requests per component for the queue concurrency policy (Single Responsibility)
+ */
+
+export class RequestQueue {
+    constructor() {
+        this.tails = new Map();   // componentId => Promise settled when every scheduled request is done
+        this.waiting = new Map(); // componentId => Set of queued entries not started yet
+    }
+
+    /**
+     * Run a request immediately, later queued requests still wait for it
+     */
+    run(componentId, task) {
+        const promise = task();
+        this.track(componentId, promise);
+        return promise;
+    }
+
+    /**
+     * Run a request once every previously scheduled request has settled
+     * onDrop runs instead of the task when clear() drops it before it starts
+     */
+    enqueue(componentId, task, onDrop = null) {
+        const entry = { cancelled: false, onDrop };
+
+        if (!this.waiting.has(componentId)) {
+            this.waiting.set(componentId, new Set());
+        }
+        this.waiting.get(componentId).add(entry);
+
+        const previous = this.tails.get(componentId) || Promise.resolve();
+        const promise = previous.then(() => {
+            this.waiting.get(componentId)?.delete(entry);
+            return entry.cancelled ? undefined : task();
+        });
+
+        this.track(componentId, promise);
+        return promise;
+    }
+
+    /**
+     * Extend the component's tail with a scheduled request
+     */
+    track(componentId, promise) {
+        const previous = this.tails.get(componentId) || Promise.resolve();
+        const tail = Promise.allSettled([previous, promise]).then(() => {
+            if (this.tails.get(componentId) === tail) {
+                this.tails.delete(componentId);
+            }
+        });
+        this.tails.set(componentId, tail);
+    }
+
+    /**
+     * Check if a component has queued requests that have not started
+     */
+    hasWaiting(componentId) {
+        return (this.waiting.get(componentId)?.size || 0) > 0;
+    }
+
+    /**
+     * Drop queued requests that have not started yet
+     */
+    clear(componentId) {
+        (this.waiting.get(componentId) || []).forEach(entry => {
+            entry.cancelled = true;
+            entry.onDrop?.();
+        });
+        this.waiting.delete(componentId);
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * TransitionRunner.js
+ * Runs diff:transition enter/leave class stages on created and removed nodes (Single Responsibility)
+ *
+ * Each stage accepts space separated classes:
+ *   diff:transition.enter / .enter-start / .enter-end
+ *   diff:transition.leave / .leave-start / .leave-end
+ * The base class stays on for the whole transition, -start is set for the
+ * first frame only and -end from the second frame until it finishes.
+ */
+
+export class TransitionRunner {
+    /**
+     * Check if an element declares a transition for a phase ('enter' or 'leave')
+     */
+    has(element, phase) {
+        return element.nodeType === Node.ELEMENT_NODE && (
+            element.hasAttribute(`diff:transition.${phase}`) ||
+            element.hasAttribute(`diff:transition.${phase}-start`) ||
+            element.hasAttribute(`diff:transition.${phase}-end`)
+        );
+    }
+
+    /**
+     * Run enter transitions on a created node and its descendants
+     */
+    enter(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        [node, ...node.querySelectorAll('*')]
+            .filter(el => this.has(el, 'enter'))
+            .forEach(el => this.run(el, 'enter'));
+    }
+
+    /**
+     * Run the leave transition, then call done
+     */
+    leave(element, done) {
+        this.run(element, 'leave', done);
+    }
+
+    /**
+     * Apply the class stages of a phase and wait for the animation or transition to end
+     */
+    run(element, phase, done = () => {}) {
+        const stage = name => (element.getAttribute(`diff:transition.${name}`) || '').split(/\s+/).filter(Boolean);
+        const base = stage(phase);
+        const start = stage(`${phase}-start`);
+        const end = stage(`${phase}-end`);
+
+        const hadClass = element.hasAttribute('class');
+
+        element.classList.add(...base, ...start);
+
+        this.nextFrame(() => {
+            element.classList.remove(...start);
+            element.classList.add(...end);
+
+            this.afterTransition(element, () => {
+                element.classList.remove(...base, ...end);
+                if (!hadClass && element.classList.length === 0) {
+                    element.removeAttribute('class');
+                }
+                done();
+            });
+        });
+    }
+
+    /**
+     * Call back once the element's current animation or transition finishes
+     */
+    afterTransition(element, callback) {
+        const duration = this.getDuration(element);
+        if (duration === 0) {
+            callback();
+            return;
+        }
+
+        let finished = false;
+        const finish = event => {
+            if (finished || (event && event.target !== element)) return;
+            finished = true;
+
+            clearTimeout(timer);
+            element.removeEventListener('transitionend', finish);
+            element.removeEventListener('animationend', finish);
+            callback();
+        };
+
+        // transitionend does not fire if the transition is interrupted, so time out as well
+        const timer = setTimeout(() => finish(), duration + 50);
+        element.addEventListener('transitionend', finish);
+        element.addEventListener('animationend', finish);
+    }
+
+    /**
+     * Get the longest transition or animation of an element in milliseconds
+     */
+    getDuration(element) {
+        const style = window.getComputedStyle(element);
+        const longest = (durations, delays) => {
+            const d = (durations || '').split(',').map(parseFloat);
+            const l = (delays || '').split(',').map(parseFloat);
+            return Math.max(0, ...d.map((value, i) => ((value || 0) + (l[i] || l[0] || 0)) * 1000));
+        };
+
+        return Math.max(
+            longest(style.transitionDuration, style.transitionDelay),
+            longest(style.animationDuration, style.animationDelay)
+        );
+    }
+
+    /**
+     * Run a callback after the next paint so start classes take effect
+     */
+    nextFrame(callback) {
+        requestAnimationFrame(() => requestAnimationFrame(callback));
+    }
+}
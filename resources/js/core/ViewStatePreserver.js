@@ -0,0 +1,152 @@
+/**
+ * ViewStatePreserver.js
+ * Keeps focus, caret selection and scroll positions across patches (Single Responsibility)
+ *
+ * Elements are located again after patching by diff:key, then id, then their
+ * element path from the component wrapper, since replaced subtrees are new nodes.
+ */
+
+export class ViewStatePreserver {
+    constructor() {
+        // Elements that were scrolled, so capture() reads no layout of the others
+        this.scrolled = new Set();
+
+        document.addEventListener('scroll', (e) => {
+            if (e.target instanceof Element) {
+                this.scrolled.add(e.target);
+            }
+        }, { capture: true, passive: true });
+    }
+
+    /**
+     * Record the focused element and scroll offsets inside a component wrapper
+     */
+    capture(wrapper) {
+        const snapshot = { focus: null, scroll: [] };
+        const active = document.activeElement;
+
+        if (active && active !== document.body && wrapper.contains(active)) {
+            snapshot.focus = {
+                locator: this.locate(wrapper, active),
+                selection: this.getSelection(active)
+            };
+        }
+
+        this.scrolled.forEach(el => {
+            if (!el.isConnected) {
+                this.scrolled.delete(el);
+                return;
+            }
+            if (!wrapper.contains(el)) return;
+
+            if (el.scrollTop > 0 || el.scrollLeft > 0) {
+                snapshot.scroll.push({
+                    locator: this.locate(wrapper, el),
+                    top: el.scrollTop,
+                    left: el.scrollLeft
+                });
+            } else {
+                // Back at the origin, a later scroll event adds it again
+                this.scrolled.delete(el);
+            }
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Restore a snapshot taken with capture()
+     */
+    restore(wrapper, snapshot) {
+        if (!snapshot) return;
+
+        snapshot.scroll.forEach(({ locator, top, left }) => {
+            const el = this.find(wrapper, locator);
+            if (el && (el.scrollTop !== top || el.scrollLeft !== left)) {
+                el.scrollTop = top;
+                el.scrollLeft = left;
+                this.scrolled.add(el);
+            }
+        });
+
+        if (!snapshot.focus) return;
+
+        const el = this.find(wrapper, snapshot.focus.locator);
+        if (!el || typeof el.focus !== 'function') return;
+
+        if (document.activeElement !== el) {
+            el.focus({ preventScroll: true });
+            this.setSelection(el, snapshot.focus.selection);
+        }
+    }
+
+    /**
+     * Describe how to find an element again after patching
+     */
+    locate(wrapper, el) {
+        const path = [];
+
+        for (let node = el; node && node !== wrapper; node = node.parentElement) {
+            path.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+        }
+
+        return {
+            key: el.getAttribute('diff:key'),
+            id: el.id || null,
+            tag: el.tagName,
+            path
+        };
+    }
+
+    /**
+     * Find an element from a locator, falling back to its path
+     */
+    find(wrapper, locator) {
+        const match = (selector, attribute, value) => Array.from(wrapper.querySelectorAll(selector))
+            .find(el => el.tagName === locator.tag && el.getAttribute(attribute) === value);
+
+        const found = (locator.key !== null && match('[diff\\:key]', 'diff:key', locator.key))
+            || (locator.id && match('[id]', 'id', locator.id));
+        if (found) return found;
+
+        let node = wrapper;
+        for (const index of locator.path) {
+            node = node?.children[index];
+        }
+
+        return node && node.tagName === locator.tag ? node : null;
+    }
+
+    /**
+     * Read the caret selection of a text control
+     */
+    getSelection(el) {
+        try {
+            if (typeof el.selectionStart === 'number') {
+                return { start: el.selectionStart, end: el.selectionEnd, direction: el.selectionDirection };
+            }
+        } catch {
+            // Inputs such as number or email do not expose a selection
+        }
+
+        return null;
+    }
+
+    /**
+     * Restore the caret selection of a text control
+     */
+    setSelection(el, selection) {
+        if (!selection || typeof el.setSelectionRange !== 'function') return;
+
+        try {
+            const length = el.value?.length ?? 0;
+            el.setSelectionRange(
+                Math.min(selection.start, length),
+                Math.min(selection.end, length),
+                selection.direction || 'none'
+            );
+        } catch {
+            // Control type changed and no longer supports selection
+        }
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * index.js
+ * Protocol version negotiation with the server (Single Responsibility)
+ *
+ * Every request carries PROTOCOL_VERSION and every response is checked against
+ * the versions this bundle has a decoder for. Add a module per new version.
+ */
+
+import * as v2 from './v2.js';
+
+export const PROTOCOL_VERSION = v2.VERSION;
+
+export const PROTOCOL_HEADER = 'X-Diffyne-Protocol';
+
+// Version of servers from before the version was sent, responses without one speak it
+export const LEGACY_VERSION = 1;
+
+const decoders = new Map([
+    [v2.VERSION, v2]
+]);
+
+/**
+ * Check if this bundle can read responses of a protocol version, a missing version is the legacy one
+ */
+export function isSupportedVersion(version) {
+    return decoders.has(Number(version ?? LEGACY_VERSION));
+}
+
+/**
+ * Decode a response with the decoder of the version it was sent with
+ */
+export function decodeResponse(response, version = PROTOCOL_VERSION) {
+    const decoder = decoders.get(Number(version ?? PROTOCOL_VERSION));
+
+    if (!decoder) {
+        throw createProtocolError(version);
+    }
+
+    return decoder.decodeResponse(response);
+}
+
+/**
+ * Create the error raised when client and server speak different protocol versions
+ */
+export function createProtocolError(serverVersion) {
+    serverVersion ??= LEGACY_VERSION;
+
+    const error = new Error(
+        `Diffyne protocol version ${serverVersion} from the server is not supported by this page (expects ${PROTOCOL_VERSION}). Please reload the page.`
+    );
+    error.type = 'protocol_mismatch';
+    error.details = { clientVersion: PROTOCOL_VERSION, serverVersion };
+    return error;
+}
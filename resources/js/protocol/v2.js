@@ -0,0 +1,36 @@
+/**
+ * v2.js
+ * Decodes protocol version 2 responses (Single Responsibility)
+ *
+ * Version 2 envelopes use minified keys ({ s, c: { i, p, st, f, sig } }),
+ * some error responses still use the verbose { success, component } form.
+ * Version 2 moved keyed children with reorder patches ({ k: [keys] }), applied
+ * after removals and before creates and updates.
+ */
+
+export const VERSION = 2;
+
+/**
+ * Normalize a version 2 response
+ */
+export function decodeResponse(response) {
+    const component = response.c || response.component || null;
+
+    return {
+        success: response.s !== undefined ? response.s : response.success,
+        redirect: response.redirect || null,
+        events: response.events || null,
+        browserEvents: response.browserEvents || null,
+        component: component && {
+            id: component.i ?? component.id,
+            patches: component.p || component.patches || [],
+            html: component.h ?? component.html,
+            state: component.st || component.state,
+            fingerprint: component.f || component.fingerprint,
+            signature: component.sig || component.signature,
+            errors: component.e || component.errors,
+            queryString: component.q || component.queryString,
+            eventListeners: component.l || component.eventListeners
+        }
+    };
+}
@@ -0,0 +1,43 @@
+/**
+ * ConnectionIndicatorService.js
+ * Toggles diff:connection directives with the realtime connection status (Single Responsibility)
+ *
+ * Statuses are 'connecting', 'open' and 'closed':
+ *   diff:connection="connecting,closed"  shows the element only in the listed statuses
+ *   diff:connection.closed="classes"     adds the classes only while in that status
+ */
+
+import { queryOwn } from '../utils/helpers.js';
+
+export class ConnectionIndicatorService {
+    /**
+     * Apply a connection status to a component's directives
+     */
+    update(element, status) {
+        queryOwn(element).forEach(el => {
+            const attributes = Array.from(el.attributes).filter(attr =>
+                attr.name === 'diff:connection' || attr.name.startsWith('diff:connection.')
+            );
+            if (attributes.length === 0) return;
+
+            const active = new Set();
+            const inactive = new Set();
+
+            attributes.forEach(attr => {
+                if (attr.name === 'diff:connection') {
+                    const statuses = attr.value.split(',').map(value => value.trim());
+                    el.style.display = statuses.includes(status) ? '' : 'none';
+                    return;
+                }
+
+                const classes = attr.value.split(/\s+/).filter(Boolean);
+                const target = attr.name.slice('diff:connection.'.length) === status ? active : inactive;
+                classes.forEach(className => target.add(className));
+            });
+
+            // A class listed for several statuses stays on while any of them is current
+            inactive.forEach(className => !active.has(className) && el.classList.remove(className));
+            active.forEach(className => el.classList.add(className));
+        });
+    }
+}
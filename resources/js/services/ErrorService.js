@@ -3,6 +3,8 @@
  * Handles error display and validation (Single Responsibility)
  */
 
+import { queryOwn } from '../utils/helpers.js';
+
 export class ErrorService {
     /**
      * Display validation errors
@@ -11,9 +13,7 @@ export class ErrorService {
         this.clear(element);
 
         Object.entries(errors).forEach(([field, messages]) => {
-            const fieldElement = element.querySelector(
-                `[name="${field}"], [diff\\:model="${field}"]`
-            );
+            const [fieldElement] = queryOwn(element, `[name="${field}"], [diff\\:model="${field}"]`);
             
             if (fieldElement) {
                 this.markFieldAsInvalid(fieldElement);
@@ -27,19 +27,19 @@ export class ErrorService {
      */
     clear(element) {
         // Remove error classes
-        element.querySelectorAll('.diffyne-error').forEach(el => {
+        queryOwn(element, '.diffyne-error').forEach(el => {
             el.classList.remove('diffyne-error');
             el.removeAttribute('aria-invalid');
         });
 
         // Clear error displays
-        element.querySelectorAll('[diff\\:error]').forEach(el => {
+        queryOwn(element, '[diff\\:error]').forEach(el => {
             el.textContent = '';
             el.style.display = 'none';
         });
 
         // Remove dynamic error messages
-        element.querySelectorAll('.diffyne-error-message').forEach(el => {
+        queryOwn(element, '.diffyne-error-message').forEach(el => {
             el.remove();
         });
     }
@@ -56,7 +56,7 @@ export class ErrorService {
      * Show error message
      */
     showErrorMessage(element, fieldElement, field, messages) {
-        const errorDisplay = element.querySelector(`[diff\\:error="${field}"]`);
+        const [errorDisplay] = queryOwn(element, `[diff\\:error="${field}"]`);
         const message = Array.isArray(messages) ? messages[0] : messages;
         
         if (errorDisplay) {
@@ -3,6 +3,8 @@
  * Manages component-to-component event dispatching and browser events
  */
 
+import { queryOwn } from '../utils/helpers.js';
+
 export class EventManager {
     constructor(registry, logger) {
         this.registry = registry;
@@ -81,7 +83,7 @@ export class EventManager {
      * Bind event listeners from diff:on directives
      */
     bindEventListeners(element, componentId) {
-        const eventElements = element.querySelectorAll('[diff\\:on]');
+        const eventElements = queryOwn(element, '[diff\\:on]');
 
         eventElements.forEach(el => {
             Array.from(el.attributes).forEach(attr => {
@@ -1,8 +1,10 @@
 import { getCsrfToken } from '../utils/helpers.js';
+import { PROTOCOL_HEADER, PROTOCOL_VERSION } from '../protocol/index.js';
 
 export class FileUploadService {
-    constructor(config) {
+    constructor(config, http) {
         this.config = config;
+        this.http = http;
     }
 
     async uploadFile(file, componentId, property, onProgress = null) {
@@ -12,47 +14,36 @@ export class FileUploadService {
         formData.append('property', property);
         formData.append('_token', getCsrfToken());
 
-        return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-
-            if (onProgress) {
-                xhr.upload.addEventListener('progress', (e) => {
-                    if (e.lengthComputable) {
-                        onProgress((e.loaded / e.total) * 100);
-                    }
-                });
-            }
-
-            xhr.addEventListener('load', () => {
-                if (xhr.status >= 200 && xhr.status < 300) {
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        if (response.success) {
-                            resolve(response);
-                        } else {
-                            reject(new Error(response.error || 'Upload failed'));
-                        }
-                    } catch (e) {
-                        reject(new Error('Invalid response'));
-                    }
-                } else {
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        reject(new Error(response.error || 'Upload failed'));
-                    } catch (e) {
-                        reject(new Error('Upload failed'));
-                    }
-                }
+        const endpoint = this.config.endpoint.replace(/\/$/, '');
+        let response;
+
+        try {
+            response = await this.http.send(`${endpoint}/upload`, {
+                method: 'POST',
+                kind: 'upload',
+                headers: {
+                    'Accept': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    [PROTOCOL_HEADER]: String(PROTOCOL_VERSION),
+                },
+                body: formData,
+                onUploadProgress: onProgress,
             });
-
-            xhr.addEventListener('error', () => reject(new Error('Network error')));
-            xhr.addEventListener('abort', () => reject(new Error('Upload aborted')));
-
-            const endpoint = this.config.endpoint.replace(/\/$/, '');
-            xhr.open('POST', `${endpoint}/upload`);
-            xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
-            xhr.send(formData);
-        });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? 'Upload aborted' : 'Network error');
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (e) {
+            throw new Error(response.ok ? 'Invalid response' : 'Upload failed');
+        }
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        return data;
     }
 }
-
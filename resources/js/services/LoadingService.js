@@ -3,6 +3,8 @@
  * Manages loading states for components (Single Responsibility)
  */
 
+import { queryOwn } from '../utils/helpers.js';
+
 export class LoadingService {
     /**
      * Show loading state
@@ -56,7 +58,7 @@ export class LoadingService {
      * Find elements with loading directive
      */
     findLoadingElements(element) {
-        return Array.from(element.querySelectorAll('*')).filter(el => {
+        return queryOwn(element).filter(el => {
             return Array.from(el.attributes).some(attr => 
                 attr.name.startsWith('diff:loading')
             );
@@ -3,6 +3,8 @@
  * Syncs model-bound inputs with component state (Single Responsibility)
  */
 
+import { queryOwn } from '../utils/helpers.js';
+
 export class ModelSyncService {
     /**
      * Sync all model inputs with state
@@ -33,7 +35,7 @@ export class ModelSyncService {
      * Find all model-bound inputs
      */
     findModelInputs(element) {
-        return Array.from(element.querySelectorAll('*')).filter(el => {
+        return queryOwn(element).filter(el => {
             return Array.from(el.attributes).some(attr => 
                 attr.name === 'diff:model' || attr.name.startsWith('diff:model.')
             );
@@ -0,0 +1,74 @@
+/**
+ * OfflineIndicatorService.js
+ * Toggles diff:offline directives when the connection drops (Single Responsibility)
+ */
+
+import { queryOwn } from '../utils/helpers.js';
+
+export class OfflineIndicatorService {
+    /**
+     * Apply offline or online state to a component's directives
+     */
+    update(element, offline) {
+        this.findOfflineElements(element).forEach(el => {
+            const offlineAttr = this.findOfflineAttribute(el);
+            if (!offlineAttr) return;
+
+            const parts = offlineAttr.name.split('.');
+
+            if (parts.includes('class')) {
+                this.toggleClass(el, parts[parts.indexOf('class') + 1], offline);
+            } else if (parts.includes('remove')) {
+                this.toggleClass(el, parts[parts.indexOf('remove') + 1], !offline);
+            } else if (parts.includes('attr')) {
+                this.toggleAttr(el, parts, offline);
+            } else {
+                // Plain diff:offline shows the element only while offline
+                el.style.display = offline ? '' : 'none';
+            }
+        });
+    }
+
+    /**
+     * Find elements with offline directive
+     */
+    findOfflineElements(element) {
+        return queryOwn(element).filter(el => {
+            return Array.from(el.attributes).some(attr =>
+                attr.name === 'diff:offline' || attr.name.startsWith('diff:offline.')
+            );
+        });
+    }
+
+    /**
+     * Find offline attribute
+     */
+    findOfflineAttribute(element) {
+        return Array.from(element.attributes).find(attr =>
+            attr.name === 'diff:offline' || attr.name.startsWith('diff:offline.')
+        );
+    }
+
+    /**
+     * Add or remove a class
+     */
+    toggleClass(el, className, add) {
+        if (className) {
+            el.classList.toggle(className, add);
+        }
+    }
+
+    /**
+     * Set or remove an attribute (diff:offline.attr.disabled)
+     */
+    toggleAttr(el, parts, offline) {
+        const attrName = parts[parts.indexOf('attr') + 1];
+        if (!attrName) return;
+
+        if (offline) {
+            el.setAttribute(attrName, parts[parts.indexOf('attr') + 2] || '');
+        } else {
+            el.removeAttribute(attrName);
+        }
+    }
+}
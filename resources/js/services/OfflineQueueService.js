@@ -0,0 +1,189 @@
+/**
+ * OfflineQueueService.js
+ * Persists actions made while offline so they can be replayed (Single Responsibility)
+ *
+ * The store is shared by every tab of the origin, so records are scoped to the
+ * page instance that made them: the tab (kept across reloads in sessionStorage)
+ * and the path. Other tabs never replay them.
+ *
+ * Component ids change on every render, so records also carry the identity of
+ * their component to find it again after a reload.
+ */
+
+const DB_NAME = 'diffyne';
+const STORE_NAME = 'offline-actions';
+const PAGE_KEY = 'diffyne:page';
+const RECORD_TTL = 24 * 60 * 60 * 1000; // Records of closed tabs are dropped after a day
+
+export class OfflineQueueService {
+    constructor(logger) {
+        this.logger = logger;
+        this.scope = this.pageScope();
+        this.db = null;
+        this.memory = []; // Fallback when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+        this.size = 0;
+        this.ready = this.open();
+    }
+
+    /**
+     * Open the IndexedDB store and load the number of pending actions
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            this.logger.log('IndexedDB unavailable, offline actions will not survive a reload');
+            return;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            await this.prune();
+            this.size = (await this.getAll()).length;
+        } catch (error) {
+            this.logger.error('Failed to open offline action store:', error);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Identify the page instance: the tab plus the path
+     */
+    pageScope() {
+        let page = null;
+
+        try {
+            page = sessionStorage.getItem(PAGE_KEY);
+            if (!page) {
+                page = Math.random().toString(36).slice(2) + Date.now().toString(36);
+                sessionStorage.setItem(PAGE_KEY, page);
+            }
+        } catch (e) {
+            // Without sessionStorage records cannot outlive the page anyway
+            page = Math.random().toString(36).slice(2);
+        }
+
+        return `${page}|${window.location.pathname}`;
+    }
+
+    /**
+     * Delete records older than RECORD_TTL, whichever page made them
+     */
+    async prune() {
+        const expired = Date.now() - RECORD_TTL;
+        const records = await this.transaction('readonly', store => store.getAll());
+
+        for (const record of records) {
+            if (!(record.createdAt > expired)) {
+                await this.transaction('readwrite', store => store.delete(record.id));
+            }
+        }
+    }
+
+    /**
+     * Check if the browser reports a network connection
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Check if an error means the request never reached the server
+     */
+    isNetworkError(error) {
+        return !this.isOnline() || error?.name === 'TypeError';
+    }
+
+    /**
+     * Check if actions are waiting to be replayed
+     */
+    hasPending() {
+        return this.size > 0;
+    }
+
+    /**
+     * Store an action payload with the identity of its component, resolves to the record id
+     */
+    async store(payload, identity = null) {
+        await this.ready;
+
+        const record = { payload, identity, scope: this.scope, createdAt: Date.now() };
+        let id;
+
+        if (!this.db) {
+            id = this.nextMemoryId++;
+            this.memory.push({ ...record, id });
+        } else {
+            id = await this.transaction('readwrite', store => store.add(record));
+        }
+
+        this.size++;
+        this.logger.log(`Stored offline action for ${payload.componentId}`);
+
+        return id;
+    }
+
+    /**
+     * Get the stored actions of this page, oldest first
+     */
+    async getAll() {
+        if (!this.db) {
+            return [...this.memory];
+        }
+
+        const records = await this.transaction('readonly', store => store.getAll());
+        return records.filter(record => record.scope === this.scope);
+    }
+
+    /**
+     * Remove a replayed action
+     */
+    async remove(id) {
+        await this.ready;
+
+        // A record can be removed twice, by its replay and by its component leaving the page
+        if (!this.db) {
+            const count = this.memory.length;
+            this.memory = this.memory.filter(record => record.id !== id);
+            if (this.memory.length === count) return;
+        } else {
+            if (await this.transaction('readonly', store => store.count(id)) === 0) return;
+            await this.transaction('readwrite', store => store.delete(id));
+        }
+
+        this.size = Math.max(0, this.size - 1);
+    }
+
+    /**
+     * Remove the stored actions of a component by id or identity, resolves to the removed records
+     */
+    async removeComponent(componentId, identity = null) {
+        await this.ready;
+
+        const records = (await this.getAll()).filter(record => record.payload.componentId === componentId
+            || (identity !== null && record.identity === identity));
+        for (const record of records) {
+            await this.remove(record.id);
+        }
+
+        return records;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    transaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
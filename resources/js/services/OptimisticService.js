@@ -0,0 +1,165 @@
+/**
+ * OptimisticService.js
+ * Applies diff:optimistic state changes before the server responds (Single Responsibility)
+ *
+ * Each optimistic update is kept as a layer on top of component.serverState.
+ * When a request settles its layer is dropped and the remaining layers are
+ * re-applied to the latest server state, so failures roll back automatically.
+ */
+
+import { queryOwn } from '../utils/helpers.js';
+
+export class OptimisticService {
+    constructor(modelSync, logger) {
+        this.modelSync = modelSync;
+        this.logger = logger;
+    }
+
+    /**
+     * Apply an expression such as "done=!done; count=count+1", returns the layer
+     */
+    apply(component, expression) {
+        const assignments = this.parse(expression);
+        if (assignments.length === 0) {
+            return null;
+        }
+
+        const layer = { expression, assignments };
+        component.optimisticUpdates.push(layer);
+        assignments.forEach(({ property }) => component.optimisticProperties.add(property));
+
+        component.updateState(this.evaluateLayer(layer, component.state));
+        this.syncBindings(component);
+
+        this.logger.log(`Optimistic update on ${component.id}: ${expression}`);
+
+        return layer;
+    }
+
+    /**
+     * Drop a settled layer and rebuild optimistic state on the latest server state
+     */
+    discard(component, layer) {
+        component.optimisticUpdates = component.optimisticUpdates.filter(l => l !== layer);
+        this.rebase(component);
+    }
+
+    /**
+     * Re-apply pending layers on top of component.serverState
+     */
+    rebase(component) {
+        if (component.optimisticProperties.size === 0) {
+            return;
+        }
+
+        let state = this.confirmedState(component);
+        component.optimisticUpdates.forEach(layer => {
+            state = { ...state, ...this.evaluateLayer(layer, state) };
+        });
+
+        component.updateState(state);
+        this.syncBindings(component);
+
+        // Properties of settled layers are back to their server values now
+        component.optimisticProperties = new Set(
+            component.optimisticUpdates.flatMap(l => l.assignments.map(({ property }) => property))
+        );
+    }
+
+    /**
+     * Get the state to send to the server, without optimistic changes
+     */
+    confirmedState(component) {
+        const state = JSON.parse(JSON.stringify(component.state));
+
+        component.optimisticProperties.forEach(property => {
+            state[property] = component.serverState?.[property];
+        });
+
+        return state;
+    }
+
+    /**
+     * Evaluate a layer's assignments in order against a state
+     */
+    evaluateLayer(layer, state) {
+        const changes = {};
+
+        layer.assignments.forEach(({ property, expression }) => {
+            try {
+                changes[property] = this.evaluate(expression, { ...state, ...changes });
+            } catch (error) {
+                this.logger.error(error.message);
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Parse "prop=expr; other=expr" into assignments
+     */
+    parse(expression) {
+        return expression.split(';').map(part => part.trim()).filter(Boolean).reduce((assignments, part) => {
+            const match = part.match(/^(\w+)\s*=(?!=)\s*(.+)$/);
+
+            if (match) {
+                assignments.push({ property: match[1], expression: match[2].trim() });
+            } else {
+                this.logger.error(`Invalid optimistic assignment '${part}'`);
+            }
+
+            return assignments;
+        }, []);
+    }
+
+    /**
+     * Evaluate a small expression: literals, properties, negation and +/- a number
+     */
+    evaluate(expression, state) {
+        const expr = expression.trim();
+
+        if (expr.startsWith('!')) {
+            return !this.evaluate(expr.slice(1), state);
+        }
+
+        const arithmetic = expr.match(/^(\w+)\s*([+-])\s*(\d+(?:\.\d+)?)$/);
+        if (arithmetic) {
+            const [, property, operator, amount] = arithmetic;
+            const current = Number(state[property]) || 0;
+            return operator === '+' ? current + Number(amount) : current - Number(amount);
+        }
+
+        if (/^-?\d+(\.\d+)?$/.test(expr)) return Number(expr);
+        if (expr === 'true') return true;
+        if (expr === 'false') return false;
+        if (expr === 'null') return null;
+
+        if ((expr.startsWith("'") && expr.endsWith("'")) || (expr.startsWith('"') && expr.endsWith('"'))) {
+            return expr.slice(1, -1);
+        }
+
+        if (/^\w+$/.test(expr)) {
+            return state[expr];
+        }
+
+        throw new Error(`Unsupported optimistic expression '${expression}'`);
+    }
+
+    /**
+     * Reflect state in model inputs and diff:text bindings
+     */
+    syncBindings(component) {
+        this.modelSync.sync(component.element, component.state);
+
+        queryOwn(component.element, '[diff\\:text]').forEach(el => {
+            const property = el.getAttribute('diff:text');
+            if (!component.state.hasOwnProperty(property)) return;
+
+            const value = component.state[property] ?? '';
+            if (el.textContent !== String(value)) {
+                el.textContent = value;
+            }
+        });
+    }
+}
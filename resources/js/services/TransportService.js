@@ -1,23 +1,130 @@
 /**
  * TransportService.js
  * Handles communication with server (Single Responsibility)
- * Supports AJAX and WebSocket transports
+ * Supports AJAX, WebSocket and Server-Sent Events transports
+ * In 'sse' mode requests go over AJAX and server pushes arrive over one EventSource
  */
 
-import { getCsrfToken, generateId, getQueryParams, Logger } from '../utils/helpers.js';
+import { generateId, generateIdempotencyKey, createAbortError } from '../utils/helpers.js';
+import { decodeMessagePack, MESSAGE_PACK_TYPE } from '../utils/msgpack.js';
+import { PROTOCOL_HEADER, PROTOCOL_VERSION, LEGACY_VERSION, isSupportedVersion, createProtocolError } from '../protocol/index.js';
+
+const NDJSON_TYPE = 'application/x-ndjson';
+
+// Statuses worth retrying: rate limited, or a gateway that could not reach PHP in time
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+// Requests the server deduplicates by idempotency key
+const IDEMPOTENT_TYPES = ['call', 'update'];
 
 export class TransportService {
-    constructor(config, logger, maxMessageSize) {
+    constructor(config, logger, maxMessageSize, http) {
         this.config = config;
+        this.http = http;
         this.logger = logger;
         this.maxMessageSize = maxMessageSize;
         this.ws = null;
+        this.serverVersion = null;
+
+        // WebSocket connection state, requests waiting for a response are keyed by requestId
+        this.wsHandlers = null;
+        this.pendingResponses = new Map();
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.heartbeatTimeout = null;
+
+        // Server-Sent Events stream state
+        this.eventSource = null;
+        this.eventStreamHandlers = null;
+        this.lastEventId = null;
+        this.eventStreamRetries = 0;
+        this.eventStreamTimer = null;
+
+        // Channel name => token rendered in diff:channel-tokens
+        this.subscriptions = {};
+
+        // AJAX requests collected during the current tick
+        this.batchQueue = [];
+        this.batchScheduled = false;
+    }
+
+    /**
+     * Send request to server, retrying transient failures with exponential backoff
+     *
+     * options.retry overrides the retryAttempts config for this request. Retried
+     * calls and updates carry one idempotency key, so the server answers a retry
+     * of a request it already ran with the stored result instead of running it again.
+     * Actions bring their key from when they were made, others get one here.
+     */
+    async send(payload, options = {}) {
+        const attempts = options.retry ?? this.config.retryAttempts;
+
+        if (attempts > 0 && IDEMPOTENT_TYPES.includes(payload.type) && !payload.idempotencyKey) {
+            payload = { ...payload, idempotencyKey: generateIdempotencyKey() };
+        }
+
+        // Frames of a streamed call are already applied and cannot be replayed
+        let framed = false;
+        const attemptOptions = options.onFrame
+            ? { ...options, onFrame: frame => { framed = true; options.onFrame(frame); } }
+            : options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendOnce(payload, attemptOptions);
+            } catch (error) {
+                const delay = attempt < attempts ? this.getRetryDelay(error, attempt) : null;
+                if (delay === null || framed || options.signal?.aborted) {
+                    throw error;
+                }
+
+                this.logger.log(`[Diffyne] ${error.message}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${attempts})`);
+                await this.waitForRetry(delay, options.signal);
+            }
+        }
     }
 
     /**
-     * Send request to server
+     * Get the delay before retrying a failed request, or null when it should not be retried
      */
-    async send(payload) {
+    getRetryDelay(error, attempt) {
+        const transient = error.name === 'TypeError' || TRANSIENT_STATUSES.includes(error.status);
+        if (!transient) {
+            return null;
+        }
+
+        // Honour Retry-After, but give up rather than stall the action for longer than maxRetryDelay
+        if (error.retryAfter !== undefined) {
+            return error.retryAfter <= this.config.maxRetryDelay ? error.retryAfter : null;
+        }
+
+        const delay = Math.min(this.config.maxRetryDelay, this.config.retryDelay * 2 ** attempt);
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Wait before a retry, rejecting early if the request is aborted
+     */
+    waitForRetry(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Send a request once over the configured transport
+     */
+    async sendOnce(payload, options) {
         if (this.config.transport === 'websocket') {
             const messageString = JSON.stringify(payload);
             const messageSize = new Blob([messageString]).size;
@@ -26,50 +133,365 @@ export class TransportService {
                 if (this.logger) {
                     this.logger.log(`[Diffyne] Message too large for WebSocket (${Math.round(messageSize / 1024)}KB), falling back to AJAX`);
                 }
-                return this.sendAjax(payload);
+                return this.sendAjax(payload, options);
             }
             
-            return this.sendWebSocket(payload);
+            return this.sendWebSocket(payload, options);
+        }
+
+        // Streamed calls need their own response body, never batch them
+        if (this.config.batchRequests && !options.onFrame) {
+            return this.queueBatch(payload, options);
         }
-        return this.sendAjax(payload);
+
+        return this.sendAjax(payload, options);
     }
 
     /**
-     * Send AJAX request
+     * Queue an AJAX request to be sent with others made in the same tick
      */
-    async sendAjax(payload) {
-        const response = await fetch(`${this.config.endpoint}/update`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest',
-            },
-            body: JSON.stringify(payload)
+    queueBatch(payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.batchQueue.push({ payload, options, resolve, reject });
+
+            if (!this.batchScheduled) {
+                this.batchScheduled = true;
+                queueMicrotask(() => this.flushBatch());
+            }
+        });
+    }
+
+    /**
+     * Send queued requests, combining those that share the same headers
+     */
+    flushBatch() {
+        const entries = this.batchQueue;
+        this.batchQueue = [];
+        this.batchScheduled = false;
+
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (entry.options.signal?.aborted) {
+                entry.reject(createAbortError());
+                return;
+            }
+
+            const key = JSON.stringify(entry.options.headers || {});
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(entry);
+        });
+
+        groups.forEach(group => {
+            const maxBatchSize = this.config.maxBatchSize || 20;
+
+            for (let i = 0; i < group.length; i += maxBatchSize) {
+                const chunk = group.slice(i, i + maxBatchSize);
+
+                if (chunk.length === 1) {
+                    const [entry] = chunk;
+                    this.sendAjax(entry.payload, entry.options).then(entry.resolve, entry.reject);
+                } else {
+                    this.sendAjaxBatch(chunk);
+                }
+            }
+        });
+    }
+
+    /**
+     * Send several requests in one AJAX round-trip and settle each one with its own result
+     */
+    async sendAjaxBatch(entries) {
+        const sentAt = Date.now();
+        const requests = entries.map(entry => {
+            const requestId = generateId();
+
+            entry.onAbort = () => {
+                this.sendAjaxCancel(requestId, sentAt);
+                entry.reject(createAbortError());
+            };
+            entry.options.signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+            return { ...entry.payload, requestId };
         });
 
-        const data = await response.json();
+        this.logger.log(`Sending ${requests.length} updates in one batch`);
+
+        try {
+            const response = await this.http.send(`${this.config.endpoint}/update/batch`, {
+                method: 'POST',
+                kind: 'batch',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': this.acceptHeader(),
+                    'X-Requested-With': 'XMLHttpRequest',
+                    [PROTOCOL_HEADER]: String(PROTOCOL_VERSION),
+                    ...entries[0].options.headers,
+                },
+                body: JSON.stringify({ requests })
+            });
+
+            const data = await this.readErrorTolerant(response, () => this.readResponse(response));
+
+            if (!response.ok || !data.s) {
+                throw this.createResponseError(data, response);
+            }
+
+            entries.forEach((entry, index) => {
+                const result = data.responses?.[index];
+
+                if (!result) {
+                    entry.reject(new Error('Missing response in batch'));
+                } else if (result.status >= 400 || !result.body?.s) {
+                    entry.reject(this.createResponseError(result.body || {}, result));
+                } else {
+                    entry.resolve({ v: data.v, ...result.body });
+                }
+            });
+        } catch (error) {
+            entries.forEach(entry => entry.reject(error));
+        } finally {
+            entries.forEach(entry => entry.options.signal?.removeEventListener('abort', entry.onAbort));
+        }
+    }
+
+    /**
+     * Send AJAX request
+     */
+    async sendAjax(payload, options = {}) {
+        const { signal } = options;
+        const requestId = generateId();
+
+        // Tell the server to skip the request if it has not started processing it yet
+        const sentAt = Date.now();
+        const onAbort = () => this.sendAjaxCancel(requestId, sentAt);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let response;
+        try {
+            response = await this.http.send(`${this.config.endpoint}/update`, {
+                method: 'POST',
+                kind: 'update',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': options.onFrame ? `${NDJSON_TYPE}, ${this.acceptHeader()}` : this.acceptHeader(),
+                    'X-Requested-With': 'XMLHttpRequest',
+                    [PROTOCOL_HEADER]: String(PROTOCOL_VERSION),
+                    ...options.headers,
+                },
+                body: JSON.stringify({ ...payload, requestId }),
+                signal
+            });
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        const streamed = options.onFrame && (response.headers?.get('Content-Type') || '').includes(NDJSON_TYPE);
+        const data = await this.readErrorTolerant(response, () => streamed
+            ? this.readStream(response, options.onFrame)
+            : this.readResponse(response));
 
         if (!response.ok || !data.s) {
-            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
-            error.type = data.type;
-            error.details = data;
-            throw error;
+            throw this.createResponseError(data, response);
         }
 
         return data;
     }
 
+    /**
+     * Read an NDJSON response, passing partial frames to onFrame as they arrive
+     * Returns the final frame
+     */
+    async readStream(response, onFrame) {
+        const version = this.checkProtocol(response);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let final = null;
+
+        const handleLine = line => {
+            if (line.trim() === '') return;
+
+            const frame = JSON.parse(line);
+            if (version !== null && frame.v === undefined) {
+                frame.v = version;
+            }
+
+            if (frame.partial) {
+                onFrame(frame);
+            } else {
+                final = frame;
+            }
+        };
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+
+            if (done) break;
+        }
+        handleLine(buffer);
+
+        if (!final) {
+            throw new Error('Stream ended without a final response');
+        }
+
+        return final;
+    }
+
+    /**
+     * Get the Accept header, asking for MessagePack when the binary wire format is enabled
+     */
+    acceptHeader() {
+        return this.config.binaryPatches
+            ? `${MESSAGE_PACK_TYPE}, application/json;q=0.9`
+            : 'application/json';
+    }
+
+    /**
+     * Decode a response body as MessagePack or JSON depending on its content type
+     */
+    async readResponse(response) {
+        const contentType = response.headers?.get('Content-Type') || '';
+        const version = this.checkProtocol(response);
+
+        const data = contentType.includes(MESSAGE_PACK_TYPE)
+            ? decodeMessagePack(await response.arrayBuffer())
+            : await response.json();
+
+        // Remember which protocol the response was written in for decoding
+        if (version !== null && data && data.v === undefined) {
+            data.v = version;
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the protocol version of a response, throws when this bundle cannot read it
+     */
+    checkProtocol(response) {
+        const version = response.headers?.get(PROTOCOL_HEADER) ?? null;
+
+        // Error pages written before the request reached Diffyne (a proxy, an expired CSRF token) carry no version
+        if (version === null && !response.ok) {
+            return null;
+        }
+
+        if (!isSupportedVersion(version)) {
+            throw createProtocolError(version);
+        }
+
+        return Number(version);
+    }
+
+    /**
+     * Read a response body, an unreadable error body (such as a proxy's HTML page) reads as empty
+     */
+    async readErrorTolerant(response, read) {
+        try {
+            return await read();
+        } catch (error) {
+            if (response.ok || error.type === 'protocol_mismatch') {
+                throw error;
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Build the error thrown for a failed update response
+     */
+    createResponseError(data, response) {
+        const statusText = response.statusText ? `: ${response.statusText}` : '';
+        const error = new Error(data.error || data.message || `HTTP ${response.status}${statusText}`);
+        // Laravel answers 419 when the session (and with it the CSRF token) has expired
+        error.type = data.type || (response.status === 419 ? 'session_expired' : undefined);
+        error.status = response.status;
+        error.details = data;
+
+        const retryAfter = this.parseRetryAfter(response.headers?.get('Retry-After'));
+        if (retryAfter !== null) {
+            error.retryAfter = retryAfter;
+        }
+
+        return error;
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Notify the server that an AJAX request was cancelled
+     * Requests aborted within cancelAfter ms are not reported, typing would double the traffic otherwise
+     */
+    sendAjaxCancel(requestId, sentAt) {
+        if (Date.now() - sentAt < this.config.cancelAfter) {
+            return;
+        }
+
+        this.http.send(`${this.config.endpoint}/cancel`, {
+            method: 'POST',
+            kind: 'cancel',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                [PROTOCOL_HEADER]: String(PROTOCOL_VERSION),
+            },
+            body: JSON.stringify({ requestId }),
+            keepalive: true
+        }).catch(error => this.logger.log('Failed to send cancel request:', error));
+    }
+
     /**
      * Send WebSocket message
-     * 
+     *
+     * Responses are matched to requests by requestId in dispatchResponse().
+     * A request times out after options.timeout, or the requestTimeout config,
+     * in milliseconds. While the socket connects or waits to reconnect requests
+     * are queued and sent once it opens, those still queued when they time out
+     * go over AJAX. Before connectWebSocket() every request goes over AJAX.
+     *
      * Note: The browser's WebSocket API automatically handles frame fragmentation
      * when sending large messages. Sockeon on the server side automatically
      * reassembles fragmented frames. No special handling needed on the frontend.
      */
-    sendWebSocket(payload) {
+    sendWebSocket(payload, options = {}) {
+        const { signal } = options;
+
+        if (!this.wsHandlers) {
+            this.logger.log('[Diffyne WS] Not connected, sending over AJAX');
+            return this.sendAjax(payload, options);
+        }
+
         return new Promise((resolve, reject) => {
-            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-                reject(new Error('WebSocket not connected'));
+            if (signal?.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            // The version is known once diffyne.connected arrives, until then the server checks ours
+            if (this.serverVersion !== null && !isSupportedVersion(this.serverVersion)) {
+                reject(createProtocolError(this.serverVersion));
                 return;
             }
 
@@ -80,13 +502,16 @@ export class TransportService {
                 event = 'diffyne.update';
             } else if (payload.type === 'call') {
                 event = 'diffyne.call';
+            } else if (payload.type === 'render') {
+                event = 'diffyne.render';
             }
             
             const message = {
                 event: event,
                 data: {
                     ...payload,
-                    requestId: requestId
+                    requestId: requestId,
+                    v: PROTOCOL_VERSION
                 }
             };
 
@@ -98,84 +523,290 @@ export class TransportService {
                 this.logger.log(`[Diffyne WS] Sending large message (${Math.round(messageSize / 1024)}KB). Browser will fragment automatically.`);
             }
 
-            const handler = (event) => {
-                try {
-                    // Browser automatically reassembles fragmented frames before calling onmessage
-                    // So event.data always contains the complete message
-                    const response = JSON.parse(event.data);
-                    
-                    if (response.event === 'diffyne.response' && 
-                        response.data?.requestId === requestId) {
-                        this.ws.removeEventListener('message', handler);
-                        
-                        const data = response.data;
-                        
-                        if (!data.s) {
-                            const error = new Error(data.error || 'WebSocket request failed');
-                            error.type = data.type;
-                            error.details = data;
-                            reject(error);
-                        } else {
-                            resolve(data);
-                        }
-                    }
-                } catch (e) {
-                    // Ignore parse errors for other messages
-                }
+            const entry = {
+                payload,
+                options,
+                resolve,
+                reject,
+                message: messageString,
+                sent: false
             };
 
-            this.ws.addEventListener('message', handler);
-            
-            // Browser WebSocket API automatically fragments large messages into frames
-            // Sockeon server automatically reassembles fragmented frames
-            this.ws.send(messageString);
-
-            setTimeout(() => {
-                this.ws.removeEventListener('message', handler);
-                reject(new Error('Request timeout'));
-            }, 30000);
+            entry.onAbort = () => {
+                this.cancelWebSocketRequest(requestId, entry);
+                this.settleRequest(requestId, createAbortError());
+            };
+
+            const timeout = options.timeout ?? this.config.requestTimeout;
+            entry.timer = setTimeout(() => {
+                if (!entry.sent) {
+                    this.logger.log('[Diffyne WS] Still not connected, sending over AJAX');
+                    this.sendPendingOverAjax(requestId, entry);
+                    return;
+                }
+
+                const error = new Error(`Request timed out after ${timeout}ms`);
+                error.type = 'timeout';
+
+                this.cancelWebSocketRequest(requestId, entry);
+                this.settleRequest(requestId, error);
+            }, timeout);
+
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+            this.pendingResponses.set(requestId, entry);
+
+            // Sent by flushPendingRequests() once the socket (re)opens
+            if (this.ws.readyState === WebSocket.OPEN) {
+                this.sendPendingRequest(entry);
+            }
         });
     }
 
+    /**
+     * Write a pending request to the socket
+     */
+    sendPendingRequest(entry) {
+        // Browser WebSocket API automatically fragments large messages into frames
+        // Sockeon server automatically reassembles fragmented frames
+        this.ws.send(entry.message);
+        entry.sent = true;
+    }
+
+    /**
+     * Send the requests made while the socket was connecting
+     */
+    flushPendingRequests() {
+        const waiting = Array.from(this.pendingResponses.values()).filter(entry => !entry.sent);
+
+        if (waiting.length > 0) {
+            this.logger.log(`[Diffyne WS] Sending ${waiting.length} queued message(s)`);
+        }
+
+        waiting.forEach(entry => this.sendPendingRequest(entry));
+    }
+
+    /**
+     * Settle the request a diffyne.response or diffyne.error message answers
+     */
+    dispatchResponse(response) {
+        const requestId = response?.requestId;
+        if (!this.pendingResponses.has(requestId)) {
+            if (requestId == null && response?.error) {
+                this.logger.error('[Diffyne WS] Server error:', response.error);
+            } else {
+                this.logger.log(`[Diffyne WS] Ignoring response for unknown request ${requestId}`);
+            }
+            return;
+        }
+
+        const data = { v: this.serverVersion ?? undefined, ...response };
+
+        if (!data.s) {
+            const error = new Error(data.error || 'WebSocket request failed');
+            error.type = data.type;
+            error.details = data;
+            this.settleRequest(requestId, error);
+        } else {
+            this.settleRequest(requestId, null, data);
+        }
+    }
+
+    /**
+     * Resolve or reject a pending request and release its timer and abort listener
+     */
+    settleRequest(requestId, error, data = null) {
+        const entry = this.pendingResponses.get(requestId);
+        if (!entry) return;
+
+        this.pendingResponses.delete(requestId);
+        clearTimeout(entry.timer);
+        entry.options.signal?.removeEventListener('abort', entry.onAbort);
+
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(data);
+        }
+    }
+
+    /**
+     * Tell the server to skip a request it was sent
+     */
+    cancelWebSocketRequest(requestId, entry) {
+        if (entry.sent && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                event: 'diffyne.cancel',
+                data: { requestId }
+            }));
+        }
+    }
+
+    /**
+     * Reject the sent requests when the socket closes, since the server may have run them
+     * Unsent requests stay queued for the next connection
+     */
+    failPendingRequests() {
+        this.pendingResponses.forEach((entry, requestId) => {
+            if (!entry.sent) return;
+
+            const error = new Error('WebSocket connection closed');
+            error.type = 'connection_closed';
+            this.settleRequest(requestId, error);
+        });
+    }
+
+    /**
+     * Send a queued request over AJAX instead of the socket
+     */
+    sendPendingOverAjax(requestId, entry) {
+        this.pendingResponses.delete(requestId);
+        clearTimeout(entry.timer);
+        entry.options.signal?.removeEventListener('abort', entry.onAbort);
+        this.sendAjax(entry.payload, entry.options).then(entry.resolve, entry.reject);
+    }
+
     /**
      * Connect to WebSocket server
+     * Reconnects with exponential backoff and checks the connection with a heartbeat
+     *
+     * Handlers: onOpen, onClose, onError, onStatus(status, detail) and onPush(message)
+     */
+    connectWebSocket(handlers = {}) {
+        this.wsHandlers = handlers;
+        this.openWebSocket();
+    }
+
+    /**
+     * Open a new socket and wire its handlers
      */
-    connectWebSocket(onOpen, onClose, onError) {
+    openWebSocket() {
+        const { onOpen, onError, onStatus, onPush } = this.wsHandlers;
         const wsUrl = this.config.wsUrl || this.buildWebSocketUrl();
-        this.ws = new WebSocket(wsUrl);
+        const ws = new WebSocket(wsUrl);
+        this.ws = ws;
+
+        if (onStatus) onStatus('connecting', { attempt: this.reconnectAttempts });
+
+        ws.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.startHeartbeat(ws);
 
-        this.ws.onopen = () => {
+            // A new connection starts without subscriptions
+            if (Object.keys(this.subscriptions).length > 0) {
+                this.sendSubscriptions();
+            }
+            this.flushPendingRequests();
+
+            if (onStatus) onStatus('open', { attempt: 0 });
             if (onOpen) onOpen();
         };
 
-        this.ws.onmessage = (event) => {
+        ws.onmessage = (event) => {
+            // Any message proves the connection is alive
+            this.clearHeartbeatTimeout();
+
+            let message;
             try {
                 // Browser automatically reassembles fragmented frames before calling onmessage
                 // So event.data always contains the complete message, even for large fragmented messages
-                const message = JSON.parse(event.data);
+                message = JSON.parse(event.data);
+            } catch (e) {
+                this.logger.error('[Diffyne WS] Invalid message:', event.data);
+                return;
+            }
 
-                if (message.event === 'diffyne.connected') {
+            switch (message.event) {
+                case 'diffyne.response':
+                case 'diffyne.error':
+                    this.dispatchResponse(message.data);
+                    break;
+                case 'diffyne.connected':
                     this.logger.log('[Diffyne WS] Connected:', message.data);
-                }
-                
-                if (message.event === 'diffyne.pong') {
+                    this.serverVersion = message.data?.v ?? LEGACY_VERSION;
+                    break;
+                case 'diffyne.pong':
                     this.logger.log('[Diffyne WS] Pong received');
-                }
-            } catch (e) {
-                // Messages handled by request handlers
+                    break;
+                case 'diffyne.push':
+                    if (onPush) onPush(message.data);
+                    break;
             }
         };
 
-        this.ws.onclose = () => {
-            if (onClose) onClose();
-            setTimeout(() => this.connectWebSocket(onOpen, onClose, onError), 3000);
-        };
+        ws.onclose = () => this.handleWebSocketClose(ws);
 
-        this.ws.onerror = (error) => {
+        ws.onerror = (error) => {
             if (onError) onError(error);
         };
     }
 
+    /**
+     * Report a closed socket and schedule the next attempt
+     */
+    handleWebSocketClose(ws) {
+        // Only the current socket reconnects
+        if (ws !== this.ws) return;
+
+        const { onClose, onStatus } = this.wsHandlers;
+        this.stopHeartbeat();
+        this.failPendingRequests();
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts++);
+        this.logger.log(`[Diffyne WS] Connection closed, reconnecting in ${Math.round(delay)}ms`);
+
+        if (onStatus) onStatus('closed', { attempt: this.reconnectAttempts, delay });
+        if (onClose) onClose();
+
+        this.reconnectTimer = setTimeout(() => this.openWebSocket(), delay);
+    }
+
+    /**
+     * Exponential backoff with equal jitter, so clients do not reconnect in lockstep after a server restart
+     */
+    getReconnectDelay(attempt) {
+        const delay = Math.min(this.config.maxReconnectDelay, this.config.reconnectDelay * 2 ** attempt);
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Ping the server regularly and drop the socket when no message comes back in time
+     */
+    startHeartbeat(ws) {
+        this.stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            if (ws.readyState !== WebSocket.OPEN || this.heartbeatTimeout) return;
+
+            ws.send(JSON.stringify({ event: 'diffyne.ping', data: {} }));
+
+            this.heartbeatTimeout = setTimeout(() => {
+                this.logger.log('[Diffyne WS] Heartbeat timed out, dropping connection');
+
+                // A dead connection can take minutes to fire close, do not wait for it
+                ws.onclose = null;
+                ws.close();
+                this.handleWebSocketClose(ws);
+            }, this.config.heartbeatTimeout);
+        }, this.config.heartbeatInterval);
+    }
+
+    /**
+     * Mark the pending heartbeat as answered
+     */
+    clearHeartbeatTimeout() {
+        clearTimeout(this.heartbeatTimeout);
+        this.heartbeatTimeout = null;
+    }
+
+    /**
+     * Stop pinging the server
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.clearHeartbeatTimeout();
+    }
+
     /**
      * Build WebSocket URL from config
      */
@@ -186,24 +817,147 @@ export class TransportService {
         return `${protocol}//${host}:${port}`;
     }
 
+    /**
+     * Open the Server-Sent Events stream that delivers server pushes
+     *
+     * EventSource reconnects with Last-Event-ID by itself. When it gives up
+     * (for example after an error status) the stream is reopened with backoff,
+     * passing the last id in the query since a new EventSource cannot set the header.
+     *
+     * Handlers: onOpen, onError, onStatus(status, detail) and onPush(message)
+     */
+    connectEventStream(handlers = {}) {
+        const { onOpen, onError, onStatus, onPush } = handlers;
+        this.eventStreamHandlers = handlers;
+
+        const url = new URL(`${this.config.endpoint}/events`, window.location.href);
+        if (this.lastEventId !== null) {
+            url.searchParams.set('lastEventId', this.lastEventId);
+        }
+        Object.entries(this.subscriptions).forEach(([channel, token]) => {
+            url.searchParams.set(`channels[${channel}]`, token);
+        });
+
+        const source = new EventSource(url.toString());
+        this.eventSource = source;
+        if (onStatus) onStatus('connecting', { attempt: this.eventStreamRetries });
+
+        source.onopen = () => {
+            this.eventStreamRetries = 0;
+            if (onStatus) onStatus('open', { attempt: 0 });
+            if (onOpen) onOpen();
+        };
+
+        source.addEventListener('diffyne.push', (event) => {
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                this.logger.error('[Diffyne SSE] Invalid push message:', event.data);
+                return;
+            }
+
+            if (onPush) onPush(message);
+        });
+
+        source.onerror = (error) => {
+            if (onError) onError(error);
+            if (this.eventSource !== source) return;
+
+            // CONNECTING means EventSource retries by itself
+            if (source.readyState !== EventSource.CLOSED) {
+                if (onStatus) onStatus('connecting', { attempt: this.eventStreamRetries });
+                return;
+            }
+
+            const delay = this.getReconnectDelay(this.eventStreamRetries++);
+            if (onStatus) onStatus('closed', { attempt: this.eventStreamRetries, delay });
+            this.eventStreamTimer = setTimeout(() => {
+                this.eventStreamTimer = null;
+                this.connectEventStream(handlers);
+            }, delay);
+        };
+    }
+
+    /**
+     * Set the channels the push connection is subscribed to, given as channel name => token
+     *
+     * Channels left out are unsubscribed. The server only delivers channel pushes
+     * to connections holding the token, and replaces a socket's subscriptions with
+     * each diffyne.subscribe. An open event stream is reopened since its URL carries them.
+     */
+    subscribe(subscriptions) {
+        const current = JSON.stringify(this.subscriptions);
+        this.subscriptions = { ...subscriptions };
+        if (JSON.stringify(this.subscriptions) === current) return;
+
+        this.sendSubscriptions();
+
+        if (this.eventSource) {
+            this.disconnectEventStream();
+            this.connectEventStream(this.eventStreamHandlers);
+        }
+    }
+
+    /**
+     * Send the channel subscriptions over an open socket
+     */
+    sendSubscriptions() {
+        if (this.ws?.readyState !== WebSocket.OPEN) return;
+
+        this.ws.send(JSON.stringify({
+            event: 'diffyne.subscribe',
+            data: { channels: this.subscriptions }
+        }));
+    }
+
+    /**
+     * Close the Server-Sent Events stream
+     */
+    disconnectEventStream() {
+        // A reopen waiting out its backoff would orphan the stream opened after it
+        clearTimeout(this.eventStreamTimer);
+        this.eventStreamTimer = null;
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
     /**
      * Load lazy component
+     * params is the diff:params JSON string, sent back unchanged for the mount token to verify
      */
-    async loadLazy(componentClass, componentId, params, queryParams) {
-        const response = await fetch(`${this.config.endpoint}/lazy`, {
+    async loadLazy(componentClass, componentId, params, token, queryParams) {
+        const response = await this.http.send(`${this.config.endpoint}/update/lazy`, {
             method: 'POST',
+            kind: 'lazy',
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                [PROTOCOL_HEADER]: String(PROTOCOL_VERSION),
             },
             body: JSON.stringify({
                 componentClass,
                 componentId,
                 params,
+                token,
                 queryParams,
             }),
         });
 
-        return response.json();
+        const data = await this.readErrorTolerant(response, () => this.readResponse(response));
+
+        if (!response.ok || !data.success) {
+            throw this.createResponseError(data, response);
+        }
+
+        return data;
     }
 }
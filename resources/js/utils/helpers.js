@@ -85,6 +85,71 @@ export function generateId() {
     return 'req-' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Generate a key that identifies one logical request across retries
+ */
+export function generateIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    return `${generateId()}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Create the error thrown when a request is aborted
+ */
+export function createAbortError() {
+    return new DOMException('Request aborted', 'AbortError');
+}
+
+/**
+ * Create the error thrown when a patch batch cannot be applied
+ */
+export function createPatchError(message, details) {
+    const error = new Error(message);
+    error.type = 'patch_failed';
+    error.details = details;
+    return error;
+}
+
+/**
+ * Compute child identities the same way as the server's keyed diff
+ * ("k:<diff:key>" or "u:<n>" for the n-th unkeyed child, duplicates suffixed)
+ */
+export function childIdentities(keys) {
+    const seen = new Map();
+    let unkeyed = 0;
+
+    return keys.map(key => {
+        let identity = key !== null && key !== undefined ? `k:${key}` : `u:${unkeyed++}`;
+
+        if (seen.has(identity)) {
+            const count = seen.get(identity);
+            seen.set(identity, count + 1);
+            identity += `:${count}`;
+        } else {
+            seen.set(identity, 1);
+        }
+
+        return identity;
+    });
+}
+
+/**
+ * Check if an element belongs to a component and not to a child component nested in it
+ */
+export function isOwnElement(element, wrapper) {
+    return element.closest('[diff\\:id]') === wrapper;
+}
+
+/**
+ * Query a component's own elements, skipping nested child components
+ */
+export function queryOwn(wrapper, selector = '*') {
+    return Array.from(wrapper.querySelectorAll(selector)).filter(el => isOwnElement(el, wrapper));
+}
+
 /**
  * Debounce function
  */
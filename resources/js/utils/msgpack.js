@@ -0,0 +1,111 @@
+/**
+ * msgpack.js
+ * MessagePack decoder for the binary patch wire format
+ */
+
+export const MESSAGE_PACK_TYPE = 'application/x-msgpack';
+
+/**
+ * Decode a MessagePack buffer into plain values (maps become objects)
+ * bin values become Uint8Arrays, ext types are not supported
+ */
+export function decodeMessagePack(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = new TextDecoder();
+    let offset = 0;
+
+    // Move past the next length bytes, throwing when the buffer ends before them
+    const take = length => {
+        if (offset + length > bytes.length) {
+            throw new Error('Unexpected end of MessagePack data');
+        }
+        const start = offset;
+        offset += length;
+        return start;
+    };
+
+    const str = length => {
+        const start = take(length);
+        return text.decode(bytes.subarray(start, offset));
+    };
+
+    // Every value takes at least one byte, reject counts the buffer cannot hold
+    const expectValues = count => {
+        if (count > bytes.length - offset) {
+            throw new Error('Unexpected end of MessagePack data');
+        }
+    };
+
+    const array = length => {
+        expectValues(length);
+        const value = new Array(length);
+        for (let i = 0; i < length; i++) {
+            value[i] = read();
+        }
+        return value;
+    };
+
+    const map = length => {
+        expectValues(length * 2);
+        const value = {};
+        for (let i = 0; i < length; i++) {
+            const key = read();
+            value[key] = read();
+        }
+        return value;
+    };
+
+    const bin = length => {
+        const start = take(length);
+        return bytes.slice(start, offset);
+    };
+
+    const next = (size, getter) => view[getter](take(size));
+
+    function read() {
+        const byte = bytes[take(1)];
+
+        if (byte <= 0x7f) return byte;
+        if (byte >= 0xe0) return byte - 0x100;
+        if ((byte & 0xe0) === 0xa0) return str(byte & 0x1f);
+        if ((byte & 0xf0) === 0x90) return array(byte & 0x0f);
+        if ((byte & 0xf0) === 0x80) return map(byte & 0x0f);
+
+        switch (byte) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return bin(next(1, 'getUint8'));
+            case 0xc5: return bin(next(2, 'getUint16'));
+            case 0xc6: return bin(next(4, 'getUint32'));
+            case 0xca: return next(4, 'getFloat32');
+            case 0xcb: return next(8, 'getFloat64');
+            case 0xcc: return next(1, 'getUint8');
+            case 0xcd: return next(2, 'getUint16');
+            case 0xce: return next(4, 'getUint32');
+            case 0xcf: return Number(next(8, 'getBigUint64'));
+            case 0xd0: return next(1, 'getInt8');
+            case 0xd1: return next(2, 'getInt16');
+            case 0xd2: return next(4, 'getInt32');
+            case 0xd3: return Number(next(8, 'getBigInt64'));
+            case 0xd9: return str(next(1, 'getUint8'));
+            case 0xda: return str(next(2, 'getUint16'));
+            case 0xdb: return str(next(4, 'getUint32'));
+            case 0xdc: return array(next(2, 'getUint16'));
+            case 0xdd: return array(next(4, 'getUint32'));
+            case 0xde: return map(next(2, 'getUint16'));
+            case 0xdf: return map(next(4, 'getUint32'));
+            default:
+                throw new Error(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+        }
+    }
+
+    const value = read();
+
+    if (offset !== bytes.length) {
+        throw new Error('Trailing bytes after MessagePack value');
+    }
+
+    return value;
+}
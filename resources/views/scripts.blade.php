@@ -10,7 +10,27 @@
         wsPort: {{ config('diffyne.websocket.port', 6001) }},
         endpoint: '{{ config('diffyne.endpoint', '/_diffyne') }}',
         debug: {{ config('diffyne.debug', false) ? 'true' : 'false' }},
-        maxMessageSize: {{ config('diffyne.websocket.max_message_size', 1048576) }}
+        concurrency: '{{ config('diffyne.concurrency', 'cancel') }}',
+        cancelAfter: {{ config('diffyne.cancel_after', 250) }},
+        batchRequests: {{ config('diffyne.performance.batch_requests', true) ? 'true' : 'false' }},
+        maxBatchSize: {{ config('diffyne.performance.max_batch_size', 20) }},
+        binaryPatches: {{ config('diffyne.performance.binary_patches', false) ? 'true' : 'false' }},
+        offline: {{ config('diffyne.offline.enabled', false) ? 'true' : 'false' }},
+        offlineRetryInterval: {{ config('diffyne.offline.retry_interval', 5000) }},
+        retryAttempts: {{ (int) config('diffyne.retry.attempts', 2) }},
+        retryDelay: {{ config('diffyne.retry.delay', 500) }},
+        maxRetryDelay: {{ config('diffyne.retry.max_delay', 10000) }},
+        csrf: {{ config('diffyne.http.csrf', true) ? 'true' : 'false' }},
+        credentials: '{{ config('diffyne.http.credentials', 'same-origin') }}',
+        recovery: {{ config('diffyne.security.recover_state', true) ? 'true' : 'false' }},
+        lazyRootMargin: '{{ config('diffyne.lazy.root_margin', '200px') }}',
+        lazyIdleTimeout: {{ config('diffyne.lazy.idle_timeout', 2000) }},
+        maxMessageSize: {{ config('diffyne.websocket.max_message_size', 1048576) }},
+        reconnectDelay: {{ config('diffyne.websocket.reconnect_delay', 1000) }},
+        maxReconnectDelay: {{ config('diffyne.websocket.max_reconnect_delay', 30000) }},
+        heartbeatInterval: {{ config('diffyne.websocket.heartbeat_interval', 25000) }},
+        heartbeatTimeout: {{ config('diffyne.websocket.heartbeat_timeout', 10000) }},
+        requestTimeout: {{ config('diffyne.websocket.request_timeout', 30000) }}
     };
 </script>
 <script src="{{ config('diffyne.asset_url', '/vendor/diffyne') }}/diffyne.js" defer></script>
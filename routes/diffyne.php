@@ -4,8 +4,14 @@ use Diffyne\Http\Controllers\DiffyneController;
 use Illuminate\Foundation\Http\Middleware\VerifyCsrfToken;
 use Illuminate\Support\Facades\Route;
 
-Route::post('/update', [DiffyneController::class, 'update'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.update');
-Route::post('/update/lazy', [DiffyneController::class, 'loadLazy'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.loadLazy');
-Route::post('/upload', [DiffyneController::class, 'upload'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.upload');
+// State-changing routes verify the X-CSRF-TOKEN header the client sends unless CSRF is disabled
+$csrfExempt = config('diffyne.http.csrf', true) ? [] : [VerifyCsrfToken::class];
+
+Route::post('/update', [DiffyneController::class, 'update'])->withoutMiddleware($csrfExempt)->name('diffyne.update');
+Route::post('/cancel', [DiffyneController::class, 'cancel'])->withoutMiddleware($csrfExempt)->name('diffyne.cancel');
+Route::post('/update/batch', [DiffyneController::class, 'updateBatch'])->withoutMiddleware($csrfExempt)->name('diffyne.updateBatch');
+Route::post('/update/lazy', [DiffyneController::class, 'loadLazy'])->withoutMiddleware($csrfExempt)->name('diffyne.loadLazy');
+Route::post('/upload', [DiffyneController::class, 'upload'])->withoutMiddleware($csrfExempt)->name('diffyne.upload');
 Route::get('/preview', [DiffyneController::class, 'preview'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.preview');
+Route::get('/events', [DiffyneController::class, 'events'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.events');
 Route::get('/health', [DiffyneController::class, 'health'])->withoutMiddleware(VerifyCsrfToken::class)->name('diffyne.health');
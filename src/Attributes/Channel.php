@@ -0,0 +1,26 @@
+<?php
+
+namespace Diffyne\Attributes;
+
+use Attribute;
+
+/**
+ * Subscribe a component to pushes broadcast on a channel.
+ *
+ * The subscription is only rendered for users the channel's callback
+ * registered with Diffyne::channel() authorizes.
+ *
+ * @example
+ * Diffyne::channel('orders', fn ($user) => $user?->isAdmin());
+ *
+ * #[Channel('orders')]
+ * class OrdersDashboard extends Component { }
+ */
+#[Attribute(Attribute::TARGET_CLASS | Attribute::IS_REPEATABLE)]
+class Channel
+{
+    public function __construct(
+        public string $name
+    ) {
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace Diffyne\Attributes;
+
+use Attribute;
+
+/**
+ * Set how the client handles overlapping requests for a component.
+ *
+ * @example
+ * #[Concurrency('queue')]
+ * class Cart extends Component { }
+ */
+#[Attribute(Attribute::TARGET_CLASS)]
+class Concurrency
+{
+    /**
+     * Create a new Concurrency attribute instance.
+     *
+     * @param  string  $policy  'cancel' (drop superseded requests), 'queue' (run in order) or 'parallel'
+     */
+    public function __construct(
+        public string $policy = 'cancel',
+    ) {
+    }
+}
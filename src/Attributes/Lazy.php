@@ -4,16 +4,27 @@ namespace Diffyne\Attributes;
 
 use Attribute;
 
+/**
+ * Render a placeholder first and load the component with a separate request.
+ *
+ * @example
+ * #[Lazy(on: 'visible', placeholder: 'reports.placeholder', error: 'reports.failed')]
+ * class RevenueChart extends Component { }
+ */
 #[Attribute(Attribute::TARGET_CLASS)]
 class Lazy
 {
     /**
      * Create a new Lazy attribute instance.
      *
-     * @param  string  $placeholder  Placeholder content to show while loading (HTML string or component class)
+     * @param  string|null  $placeholder  Content shown while loading (HTML string or view name)
+     * @param  string|null  $on  When to load: 'load', 'visible' (scrolled into view) or 'idle' (browser idle), defaults to config
+     * @param  string|null  $error  Content shown when loading fails (HTML string or view name), a [diff:lazy-retry] element in it loads again
      */
     public function __construct(
         public ?string $placeholder = null,
+        public ?string $on = null,
+        public ?string $error = null,
     ) {
     }
 }
@@ -0,0 +1,21 @@
+<?php
+
+namespace Diffyne\Attributes;
+
+use Attribute;
+
+/**
+ * Stream intermediate renders of a long-running method to the client.
+ *
+ * Call $this->stream() inside the method to send the current render as a
+ * partial NDJSON frame, the final response follows when the method returns.
+ *
+ * @example
+ * #[Invokable]
+ * #[Stream]
+ * public function generateReport(): void { ... $this->stream(); ... }
+ */
+#[Attribute(Attribute::TARGET_METHOD)]
+class Stream
+{
+}
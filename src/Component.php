@@ -92,6 +92,13 @@ abstract class Component
      */
     protected array $browserEvents = [];
 
+    /**
+     * Pushes to send to other components once the request is done.
+     *
+     * @var array<int, array{to: array<string, string>, data: array<string, mixed>}>
+     */
+    protected array $broadcasts = [];
+
     /**
      * Event listeners registered via #[On] attribute.
      *
@@ -99,6 +106,11 @@ abstract class Component
      */
     protected array $eventListeners = [];
 
+    /**
+     * Sends partial renders while a #[Stream] method runs, set by the controller.
+     */
+    private ?\Closure $streamCallback = null;
+
     /**
      * Create a new component instance.
      */
@@ -373,6 +385,11 @@ abstract class Component
             'rules',
             'messages',
             'validationAttributes',
+            'stream',
+            'setStreamCallback',
+            'broadcastTo',
+            'getBroadcasts',
+            'clearBroadcasts',
         ];
     }
 
@@ -778,6 +795,28 @@ abstract class Component
         $this->redirect($url, $spa);
     }
 
+    /**
+     * Send the current render to the client while a #[Stream] method is still running.
+     *
+     * Does nothing when the request is not streamed, so methods can call it unconditionally.
+     */
+    protected function stream(): self
+    {
+        if ($this->streamCallback !== null) {
+            ($this->streamCallback)($this);
+        }
+
+        return $this;
+    }
+
+    /**
+     * Set the callback that sends partial renders, or null to stop streaming.
+     */
+    public function setStreamCallback(?\Closure $callback): void
+    {
+        $this->streamCallback = $callback;
+    }
+
     /**
      * Dispatch an event to all components listening for it.
      *
@@ -863,6 +902,46 @@ abstract class Component
         return $this->browserEvents;
     }
 
+    /**
+     * Push an update to components on other open pages.
+     *
+     * A string target is a channel name (see #[Channel]) and reaches the clients
+     * subscribed to it, ['id' => ...] only reaches the session that owns the
+     * component and ['class' => ...] every page showing the class. The data may hold
+     * 'patches', 'state', 'events', 'browserEvents' and 'refresh' as described in
+     * DiffyneManager::buildPush().
+     *
+     * @param string|array{id?: string, class?: string, channel?: string} $to
+     * @param array<string, mixed> $data
+     */
+    public function broadcastTo(string|array $to, array $data): self
+    {
+        $this->broadcasts[] = [
+            'to' => is_string($to) ? ['channel' => $to] : $to,
+            'data' => $data,
+        ];
+
+        return $this;
+    }
+
+    /**
+     * Get the pushes queued with broadcastTo().
+     *
+     * @return array<int, array{to: array<string, string>, data: array<string, mixed>}>
+     */
+    public function getBroadcasts(): array
+    {
+        return $this->broadcasts;
+    }
+
+    /**
+     * Clear queued pushes (used after sending them).
+     */
+    public function clearBroadcasts(): void
+    {
+        $this->broadcasts = [];
+    }
+
     /**
      * Clear dispatched events (used after sending to client).
      */
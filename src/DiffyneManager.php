@@ -2,7 +2,13 @@
 
 namespace Diffyne;
 
+use Diffyne\Attributes\Channel;
+use Diffyne\Attributes\Concurrency;
 use Diffyne\Attributes\Lazy;
+use Diffyne\Attributes\Stream;
+use Diffyne\Push\ChannelAuthorizer;
+use Diffyne\Push\PushBuffer;
+use Diffyne\Security\StateSigner;
 use Diffyne\State\ComponentHydrator;
 use Diffyne\VirtualDOM\Renderer;
 use Illuminate\Contracts\Foundation\Application;
@@ -41,9 +47,12 @@ class DiffyneManager
     /**
      * Mount a component and return its initial HTML.
      *
+     * When called from another component's view the component is mounted as
+     * its child, with an ID that stays the same across parent re-renders.
+     *
      * @param array<string, mixed> $params
      */
-    public function mount(string $component, array $params = []): string
+    public function mount(string $component, array $params = [], ?string $key = null): string
     {
         $componentClass = $this->resolveComponent($component);
 
@@ -55,14 +64,21 @@ class DiffyneManager
         $reflection = new ReflectionClass($componentClass);
         $lazyAttributes = $reflection->getAttributes(Lazy::class);
 
+        $parent = $this->renderer->currentComponent();
+        $childId = $parent ? $this->renderer->childComponentId($parent, $key) : null;
+
         if (! empty($lazyAttributes)) {
-            return $this->mountLazy($componentClass, $params, $lazyAttributes[0]->newInstance());
+            return $this->mountLazy($componentClass, $params, $lazyAttributes[0]->newInstance(), $childId, $parent?->id);
         }
 
         $instance = $this->hydrator->mount($componentClass, $params);
+        if ($childId !== null) {
+            $instance->id = $childId;
+        }
+
         $rendered = $this->renderer->renderInitial($instance);
 
-        return $this->wrapComponent($rendered, $componentClass);
+        return $this->wrapComponent($rendered, $componentClass, $parent?->id, $params);
     }
 
     /**
@@ -70,19 +86,32 @@ class DiffyneManager
      *
      * @param array<string, mixed> $params
      */
-    protected function mountLazy(string $componentClass, array $params, Lazy $lazyAttr): string
-    {
-        $id = 'diffyne-'.\Illuminate\Support\Str::random(16);
+    protected function mountLazy(
+        string $componentClass,
+        array $params,
+        Lazy $lazyAttr,
+        ?string $id = null,
+        ?string $parentId = null
+    ): string {
+        $id ??= 'diffyne-'.\Illuminate\Support\Str::random(16);
         $paramsJson = json_encode($params);
-        $paramsEncoded = htmlspecialchars($paramsJson !== false ? $paramsJson : '{}', ENT_QUOTES, 'UTF-8');
+        $paramsJson = $paramsJson !== false ? $paramsJson : '{}';
+        $paramsEncoded = htmlspecialchars($paramsJson, ENT_QUOTES, 'UTF-8');
+        $mountToken = StateSigner::signMount($componentClass, $id, $paramsJson);
 
         // For nested components, use the full path as component name
         $namespace = config('diffyne.component_namespace', 'App\\Diffyne');
         $componentName = str_replace($namespace.'\\', '', $componentClass);
         $componentName = str_replace('\\', '/', $componentName);
 
-        // Default placeholder
-        $placeholder = $lazyAttr->placeholder ?? $this->getDefaultPlaceholder();
+        $placeholder = $this->renderLazyTemplate($lazyAttr->placeholder, $params) ?? $this->getDefaultPlaceholder();
+        $error = $this->renderLazyTemplate($lazyAttr->error, $params) ?? $this->getDefaultLazyError();
+        $mode = htmlspecialchars($lazyAttr->on ?? (string) config('diffyne.lazy.on', 'load'), ENT_QUOTES, 'UTF-8');
+
+        $concurrency = $this->getConcurrencyPolicy($componentClass);
+        $parentAttribute = $this->parentAttribute($parentId);
+        $streamAttribute = $this->streamAttribute($componentClass);
+        $channelAttribute = $this->channelAttribute($componentClass);
 
         return <<<HTML
 <div 
@@ -90,14 +119,36 @@ class DiffyneManager
     diff:class="{$componentClass}"
     diff:name="{$componentName}"
     diff:params="{$paramsEncoded}"
+    diff:mount-token="{$mountToken}"
+    diff:concurrency="{$concurrency}"{$parentAttribute}{$streamAttribute}{$channelAttribute}
+    diff:lazy="{$mode}"
     data-diffyne-lazy
     data-diffyne-component
 >
     {$placeholder}
+    <template diff:lazy-error>{$error}</template>
 </div>
 HTML;
     }
 
+    /**
+     * Render a lazy placeholder or error template given as a view name or HTML.
+     *
+     * @param array<string, mixed> $params
+     */
+    protected function renderLazyTemplate(?string $template, array $params): ?string
+    {
+        if ($template === null) {
+            return null;
+        }
+
+        if (! str_contains($template, '<') && view()->exists($template)) {
+            return view($template, $params)->render();
+        }
+
+        return $template;
+    }
+
     /**
      * Get default lazy loading placeholder.
      */
@@ -116,6 +167,19 @@ HTML;
 HTML;
     }
 
+    /**
+     * Get default lazy loading error with a retry button.
+     */
+    protected function getDefaultLazyError(): string
+    {
+        return <<<'HTML'
+<div class="diffyne-lazy-error" style="padding: 2rem; text-align: center; color: #b91c1c;">
+    Failed to load component.
+    <button type="button" diff:lazy-retry style="margin-left: 0.5rem;">Retry</button>
+</div>
+HTML;
+    }
+
     /**
      * Resolve component class from alias or fully qualified name.
      */
@@ -147,8 +211,9 @@ HTML;
      * Wrap rendered component in container div with metadata.
      *
      * @param array<string, mixed> $rendered
+     * @param array<string, mixed> $params
      */
-    protected function wrapComponent(array $rendered, string $componentClass): string
+    protected function wrapComponent(array $rendered, string $componentClass, ?string $parentId = null, array $params = []): string
     {
         $id = $rendered['id'];
         $html = $rendered['html'];
@@ -164,11 +229,18 @@ HTML;
         $componentName = str_replace($namespace.'\\', '', $componentClass);
         $componentName = str_replace('\\', '/', $componentName);
 
+        $concurrency = $this->getConcurrencyPolicy($componentClass);
+        $parentAttribute = $this->parentAttribute($parentId);
+        $streamAttribute = $this->streamAttribute($componentClass);
+        $channelAttribute = $this->channelAttribute($componentClass);
+        $paramsAttribute = $this->paramsAttribute($componentClass, $id, $params);
+
         return <<<HTML
 <div 
     diff:id="{$id}"
     diff:class="{$componentClass}"
     diff:name="{$componentName}"
+    diff:concurrency="{$concurrency}"{$parentAttribute}{$streamAttribute}{$channelAttribute}{$paramsAttribute}
     diff:state="{$state}"
     diff:fingerprint="{$fingerprint}"
     diff:listeners="{$eventListeners}"
@@ -181,6 +253,219 @@ HTML;
 HTML;
     }
 
+    /**
+     * Build the diff:parent attribute linking a nested component to its parent.
+     */
+    protected function parentAttribute(?string $parentId): string
+    {
+        if ($parentId === null) {
+            return '';
+        }
+
+        return "\n    diff:parent=\"".htmlspecialchars($parentId, ENT_QUOTES, 'UTF-8').'"';
+    }
+
+    /**
+     * Build the diff:params and diff:mount-token attributes the client re-mounts the component with
+     * after its state is rejected.
+     *
+     * Parameters holding objects cannot be rebuilt from JSON, such components are not re-mountable.
+     *
+     * @param array<string, mixed> $params
+     */
+    protected function paramsAttribute(string $componentClass, string $id, array $params): string
+    {
+        $remountable = true;
+        array_walk_recursive($params, function ($value) use (&$remountable) {
+            $remountable = $remountable && ! is_object($value);
+        });
+
+        $json = $remountable ? json_encode($params) : false;
+
+        if ($json === false) {
+            return '';
+        }
+
+        return "\n    diff:params=\"".htmlspecialchars($json, ENT_QUOTES, 'UTF-8').'"'
+            ."\n    diff:mount-token=\"".StateSigner::signMount($componentClass, $id, $json).'"';
+    }
+
+    /**
+     * Build the diff:stream attribute listing the component's #[Stream] methods.
+     */
+    protected function streamAttribute(string $componentClass): string
+    {
+        /** @var class-string $componentClass */
+        $methods = array_filter(
+            (new ReflectionClass($componentClass))->getMethods(),
+            fn ($method) => ! empty($method->getAttributes(Stream::class))
+        );
+
+        if (empty($methods)) {
+            return '';
+        }
+
+        $names = implode(',', array_map(fn ($method) => $method->getName(), $methods));
+
+        return "\n    diff:stream=\"".htmlspecialchars($names, ENT_QUOTES, 'UTF-8').'"';
+    }
+
+    /**
+     * Build the diff:channels attribute listing the #[Channel] subscriptions the current user may receive.
+     *
+     * Each channel comes with a token in diff:channel-tokens, the push streams
+     * only deliver a channel to clients that present its token and whose user
+     * is still authorized when they subscribe.
+     */
+    protected function channelAttribute(string $componentClass): string
+    {
+        $authorizer = $this->app->make(ChannelAuthorizer::class);
+        $user = $this->app->bound('auth') ? $this->app['auth']->user() : null;
+
+        /** @var class-string $componentClass */
+        $channels = array_values(array_filter(
+            array_map(
+                fn ($attribute) => $attribute->newInstance()->name,
+                (new ReflectionClass($componentClass))->getAttributes(Channel::class)
+            ),
+            fn (string $channel) => $authorizer->authorize($channel, $user)
+        ));
+
+        if (empty($channels)) {
+            return '';
+        }
+
+        $userId = $user?->getAuthIdentifier();
+        $tokens = array_map(fn (string $channel) => StateSigner::signChannel($channel, $userId), $channels);
+
+        return "\n    diff:channels=\"".htmlspecialchars(implode(',', $channels), ENT_QUOTES, 'UTF-8').'"'
+            ."\n    diff:channel-tokens=\"".implode(',', $tokens).'"';
+    }
+
+    /**
+     * Register who may subscribe to a channel, like Broadcast::channel().
+     *
+     * The callback receives the user (null for guests) and the values of the
+     * pattern's {placeholders}. Channels without a registration reach nobody.
+     */
+    public function channel(string $pattern, callable $callback): void
+    {
+        $this->app->make(ChannelAuthorizer::class)->channel($pattern, $callback);
+    }
+
+    /**
+     * Get the request concurrency policy from the #[Concurrency] attribute or config.
+     */
+    protected function getConcurrencyPolicy(string $componentClass): string
+    {
+        /** @var class-string $componentClass */
+        $reflection = new ReflectionClass($componentClass);
+        $attributes = $reflection->getAttributes(Concurrency::class);
+
+        $policy = ! empty($attributes)
+            ? $attributes[0]->newInstance()->policy
+            : config('diffyne.concurrency', 'cancel');
+
+        return htmlspecialchars((string) $policy, ENT_QUOTES, 'UTF-8');
+    }
+
+    /**
+     * Push an update to components on open pages through the event stream ('sse' transport).
+     *
+     * See buildPush() for the target and data format. Pushes to a component id
+     * only reach the session that owns it: the current session, or the session id
+     * given as $to['session'] when pushing from outside a request. Components
+     * running in the WebSocket server push to connected clients with broadcastTo() instead.
+     *
+     * @param array{id?: string, class?: string, channel?: string, session?: string} $to
+     * @param array<string, mixed> $data
+     */
+    public function push(array $to, array $data): int
+    {
+        $message = $this->buildPush($to, $data);
+
+        if (isset($message['to']['id'])) {
+            $session = $to['session'] ?? $this->currentSessionId();
+
+            if (! is_string($session)) {
+                throw new \InvalidArgumentException('Pushing to a component id needs the session that owns it.');
+            }
+
+            $message['owner'] = PushBuffer::owner($session);
+        }
+
+        return $this->app->make(PushBuffer::class)->append($message);
+    }
+
+    /**
+     * Get the id of the current request's session, if there is one.
+     */
+    protected function currentSessionId(): ?string
+    {
+        $request = $this->app->bound('request') ? $this->app['request'] : null;
+
+        return $request?->hasSession() ? $request->session()->getId() : null;
+    }
+
+    /**
+     * Build a push message.
+     *
+     * Address components with ['id' => ...], ['class' => ...] or ['channel' => ...]
+     * (components subscribed with #[Channel], see channel()). Class pushes reach
+     * every page showing the class, keep private data to ids and channels. The data may hold 'patches',
+     * 'state' (id targets only, it is signed for that id), 'events',
+     * 'browserEvents' and 'refresh' to re-render from the server.
+     *
+     * @param array{id?: string, class?: string, channel?: string} $to
+     * @param array<string, mixed> $data
+     * @return array<string, mixed>
+     */
+    public function buildPush(array $to, array $data): array
+    {
+        $to = array_filter(array_intersect_key($to, array_flip(['id', 'class', 'channel'])), 'is_string');
+
+        if (count($to) !== 1) {
+            throw new \InvalidArgumentException('Push target needs exactly one of [id], [class] or [channel].');
+        }
+
+        $id = $to['id'] ?? null;
+
+        if (isset($data['state']) && $id === null) {
+            throw new \InvalidArgumentException('State can only be pushed to a component id, the signature depends on it.');
+        }
+
+        $component = array_filter([
+            'p' => $data['patches'] ?? null, // patches
+            'st' => $data['state'] ?? null, // state
+            'sig' => isset($data['state']) && $id !== null ? StateSigner::sign($data['state'], $id) : null, // signature
+        ], fn ($value) => $value !== null);
+
+        return array_filter([
+            'to' => $to,
+            'c' => $component ?: null,
+            'events' => $data['events'] ?? null,
+            'browserEvents' => $data['browserEvents'] ?? null,
+            'refresh' => empty($data['refresh']) ? null : true,
+        ], fn ($value) => $value !== null);
+    }
+
+    /**
+     * Push an event to listening components on every open page, including other users' pages.
+     *
+     * @param array<string, mixed> $params
+     */
+    public function pushEvent(string $event, array $params = []): int
+    {
+        return $this->app->make(PushBuffer::class)->append([
+            'events' => [[
+                'name' => $event,
+                'params' => $params,
+                'to' => null,
+                'self' => false,
+            ]],
+        ]);
+    }
+
     /**
      * Get the renderer instance.
      */
@@ -6,6 +6,8 @@ use Diffyne\Console\Commands\CleanupTemporaryFilesCommand;
 use Diffyne\Console\Commands\DiffyneInstallCommand;
 use Diffyne\Console\Commands\DiffyneWebSocketCommand;
 use Diffyne\Console\Commands\MakeDiffyneCommand;
+use Diffyne\Push\ChannelAuthorizer;
+use Diffyne\Push\PushBuffer;
 use Diffyne\State\ComponentHydrator;
 use Diffyne\VirtualDOM\Renderer;
 use Illuminate\Console\Scheduling\Schedule;
@@ -35,6 +37,14 @@ class DiffyneServiceProvider extends ServiceProvider
             return new ComponentHydrator();
         });
 
+        $this->app->singleton(PushBuffer::class, function ($app) {
+            return new PushBuffer();
+        });
+
+        $this->app->singleton(ChannelAuthorizer::class, function ($app) {
+            return new ChannelAuthorizer();
+        });
+
         // Register Diffyne facade
         $this->app->singleton('diffyne', function ($app) {
             return new DiffyneManager($app);
@@ -105,7 +115,10 @@ class DiffyneServiceProvider extends ServiceProvider
             'prefix' => config('diffyne.route_prefix', '_diffyne'),
             'middleware' => array_merge(
                 config('diffyne.middleware', ['web']),
-                [\Diffyne\Http\Middleware\OptimizeDiffyneResponse::class]
+                [
+                    \Diffyne\Http\Middleware\OptimizeDiffyneResponse::class,
+                    \Diffyne\Http\Middleware\VerifyProtocolVersion::class,
+                ]
             ),
         ], function () {
             $this->loadRoutesFrom(__DIR__.'/../routes/diffyne.php');
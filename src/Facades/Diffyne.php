@@ -10,6 +10,10 @@ use Illuminate\Support\Facades\Facade;
  * @method static \Diffyne\VirtualDOM\Renderer getRenderer()
  * @method static \Diffyne\State\ComponentHydrator getHydrator()
  * @method static array<string, string> getComponents()
+ * @method static int push(array{id?: string, class?: string, channel?: string, session?: string} $to, array<string, mixed> $data)
+ * @method static array<string, mixed> buildPush(array{id?: string, class?: string, channel?: string} $to, array<string, mixed> $data)
+ * @method static int pushEvent(string $event, array<string, mixed> $params = [])
+ * @method static void channel(string $pattern, callable $callback)
  *
  * @see \Diffyne\DiffyneManager
  */
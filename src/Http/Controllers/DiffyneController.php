@@ -3,9 +3,15 @@
 namespace Diffyne\Http\Controllers;
 
 use BadMethodCallException;
+use Closure;
+use Diffyne\Attributes\Stream;
+use Diffyne\Component;
 use Diffyne\DiffyneManager;
 use Diffyne\Exceptions\RedirectException;
 use Diffyne\FileUpload\FileUploadService;
+use Diffyne\Protocol;
+use Diffyne\Push\ChannelAuthorizer;
+use Diffyne\Push\PushBuffer;
 use Diffyne\Security\StateSigner;
 use Diffyne\State\ComponentHydrator;
 use Diffyne\VirtualDOM\PatchSerializer;
@@ -16,13 +22,26 @@ use Illuminate\Http\Request;
 use Illuminate\Http\Response;
 use Illuminate\Http\UploadedFile;
 use Illuminate\Routing\Controller;
+use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Storage;
 use Illuminate\Validation\ValidationException;
 use InvalidArgumentException;
+use ReflectionMethod;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class DiffyneController extends Controller
 {
+    /**
+     * Seconds a cancelled request id is remembered.
+     */
+    protected const CANCELLED_REQUEST_TTL = 60;
+
+    /**
+     * Seconds a running idempotent request blocks its retries, in case it dies without releasing them.
+     */
+    protected const IDEMPOTENCY_LOCK_TTL = 60;
+
     protected ComponentHydrator $hydrator;
 
     protected Renderer $renderer;
@@ -46,14 +65,197 @@ class DiffyneController extends Controller
     /**
      * Handle component updates.
      */
-    public function update(Request $request): JsonResponse
+    public function update(Request $request): JsonResponse|StreamedResponse
+    {
+        if ($this->wantsStream($request)) {
+            return $this->streamUpdate($request->all(), $request);
+        }
+
+        return $this->processUpdate($request->all(), $request);
+    }
+
+    /**
+     * Check if the client accepts NDJSON and calls a #[Stream] method.
+     */
+    protected function wantsStream(Request $request): bool
+    {
+        $accept = $request->header('Accept', '');
+        $method = $request->input('method');
+
+        if (! is_string($accept) || ! str_contains($accept, 'application/x-ndjson')
+            || $request->input('type') !== 'call' || ! is_string($method)) {
+            return false;
+        }
+
+        $componentClass = $this->resolveComponentClass($request->all());
+
+        return $componentClass !== null
+            && method_exists($componentClass, $method)
+            && ! empty((new ReflectionMethod($componentClass, $method))->getAttributes(Stream::class));
+    }
+
+    /**
+     * Run a method call, writing each $this->stream() render as an NDJSON frame
+     * followed by the usual response as the final frame.
+     *
+     * @param array<string, mixed> $input
+     */
+    protected function streamUpdate(array $input, Request $request): StreamedResponse
+    {
+        return response()->stream(function () use ($input, $request) {
+            $minify = config('diffyne.performance.minify_patches', true);
+
+            $response = $this->processUpdate($input, $request, function (Component $component) use ($minify) {
+                $this->writeFrame($this->serializer->toPartialResponse($this->renderer->renderUpdate($component), $minify));
+            });
+
+            $this->writeFrame($response->getData(true));
+        }, 200, [
+            'Content-Type' => 'application/x-ndjson',
+            'Cache-Control' => 'no-cache, no-store, must-revalidate',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    /**
+     * Write one NDJSON frame and flush it to the client.
+     *
+     * @param array<string, mixed> $frame
+     */
+    protected function writeFrame(array $frame): void
+    {
+        echo json_encode($frame, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)."\n";
+
+        $this->flushOutput();
+    }
+
+    /**
+     * Send buffered output to the client right away.
+     */
+    protected function flushOutput(): void
+    {
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+        flush();
+    }
+
+    /**
+     * Handle several component updates sent in one round-trip.
+     */
+    public function updateBatch(Request $request): JsonResponse
+    {
+        $requests = $request->input('requests');
+        $maxBatchSize = (int) config('diffyne.performance.max_batch_size', 20);
+
+        if (! is_array($requests) || empty($requests) || count($requests) > $maxBatchSize) {
+            return response()->json([
+                's' => false,
+                'error' => 'Invalid batch request',
+            ], 400);
+        }
+
+        $responses = [];
+
+        foreach ($requests as $input) {
+            $response = is_array($input)
+                ? $this->processUpdate($input, $request)
+                : response()->json(['s' => false, 'error' => 'Invalid request'], 400);
+
+            $responses[] = [
+                'status' => $response->getStatusCode(),
+                'body' => $response->getData(true),
+            ];
+        }
+
+        return response()->json([
+            's' => true,
+            'responses' => $responses,
+        ]);
+    }
+
+    /**
+     * Process a single component update payload.
+     *
+     * Payloads with an idempotency key run once: a retry gets the stored
+     * result, or a 503 with Retry-After while the first attempt is running.
+     * Failures are not stored, so a retry runs the request again.
+     *
+     * @param array<string, mixed> $input
+     */
+    protected function processUpdate(array $input, Request $request, ?Closure $onStream = null): JsonResponse
     {
+        $key = $this->idempotencyKey($input, $request);
+
+        if ($key === null) {
+            return $this->runUpdate($input, $request, $onStream);
+        }
+
+        $stored = Cache::get($key);
+        if (is_array($stored)) {
+            return response()->json($stored['body'], $stored['status'])
+                ->header('Idempotent-Replayed', 'true');
+        }
+
+        if (! Cache::add($key.':running', true, self::IDEMPOTENCY_LOCK_TTL)) {
+            return response()->json([
+                's' => false,
+                'error' => 'The request is still being processed',
+                'type' => 'request_in_progress',
+            ], 503)->header('Retry-After', '1');
+        }
+
         try {
-            $type = $request->input('type');
-            $componentId = $request->input('componentId');
-            $state = $request->input('state', []);
-            $fingerprint = $request->input('fingerprint');
-            $signature = $request->input('signature');
+            $response = $this->runUpdate($input, $request, $onStream);
+
+            if ($response->isSuccessful()) {
+                Cache::put($key, [
+                    'status' => $response->getStatusCode(),
+                    'body' => $response->getData(true),
+                ], (int) config('diffyne.retry.idempotency_ttl', 300));
+            }
+
+            return $response;
+        } finally {
+            Cache::forget($key.':running');
+        }
+    }
+
+    /**
+     * Get the cache key for a payload's idempotency key, null when it has none.
+     *
+     * Keys are scoped to the client, so one client cannot read another's
+     * stored result by reusing its key.
+     *
+     * @param array<string, mixed> $input
+     */
+    protected function idempotencyKey(array $input, Request $request): ?string
+    {
+        $key = $input['idempotencyKey'] ?? null;
+        $componentId = $input['componentId'] ?? null;
+
+        if (! is_string($key) || ! preg_match('/^[A-Za-z0-9-]{8,64}$/', $key)
+            || ! is_string($componentId) || ! in_array($input['type'] ?? null, ['call', 'update'], true)) {
+            return null;
+        }
+
+        return 'diffyne:idempotency:'.hash('sha256', $this->clientScope($request).'|'.$componentId.'|'.$key);
+    }
+
+    /**
+     * Hydrate the component, apply the call or update and render the result.
+     *
+     * @param array<string, mixed> $input
+     */
+    protected function runUpdate(array $input, Request $request, ?Closure $onStream = null): JsonResponse
+    {
+        try {
+            $type = $input['type'] ?? null;
+            $componentId = $input['componentId'] ?? null;
+            $state = $input['state'] ?? [];
+            $fingerprint = $input['fingerprint'] ?? null;
+            $signature = $input['signature'] ?? null;
+            $requestId = $input['requestId'] ?? null;
 
             // Validate request
             if (! $componentId || ! $state) {
@@ -63,10 +265,14 @@ class DiffyneController extends Controller
                 ], 400);
             }
 
+            if ($this->isCancelled($requestId, $request)) {
+                return $this->cancelledResponse();
+            }
+
             $verifyMode = config('diffyne.security.verify_state', 'property-updates');
             $shouldVerify = match ($verifyMode) {
                 'strict', true, 'true' => true,
-                'property-updates' => ($type === 'update'),
+                'property-updates' => in_array($type, ['update', 'render'], true),
                 default => false,
             };
 
@@ -75,6 +281,7 @@ class DiffyneController extends Controller
                     return response()->json([
                         'success' => false,
                         'error' => 'Missing state signature',
+                        'type' => 'signature_mismatch',
                     ], 400);
                 }
 
@@ -113,12 +320,13 @@ class DiffyneController extends Controller
                     return response()->json([
                         'success' => false,
                         'error' => 'Invalid state signature. State may have been tampered with.',
+                        'type' => 'signature_mismatch',
                     ], 403);
                 }
             }
 
             // Get component class from state or registry
-            $componentClass = $this->resolveComponentClass($request);
+            $componentClass = $this->resolveComponentClass($input);
 
             if (! $componentClass) {
                 return response()->json([
@@ -130,19 +338,34 @@ class DiffyneController extends Controller
             // Hydrate component from state
             $component = $this->hydrator->hydrate($componentClass, $state, $componentId);
 
+            // Render-only requests return full HTML instead of patches
+            if ($type === 'render') {
+                if (isset($input['errors']) && is_array($input['errors'])) {
+                    $component->setErrorBag($input['errors']);
+                }
+
+                return response()->json($this->serializer->toRenderResponse($this->renderer->renderInitial($component)))
+                    ->header('Content-Type', 'application/json; charset=utf-8');
+            }
+
             // Store initial snapshot for diffing
             $this->renderer->snapshotComponent($component);
 
+            // The client may have given up while the component was hydrating
+            if ($this->isCancelled($requestId, $request)) {
+                return $this->cancelledResponse();
+            }
+
             // Restore error bag if present
-            if ($request->has('errors')) {
-                $component->setErrorBag($request->input('errors', []));
+            if (isset($input['errors']) && is_array($input['errors'])) {
+                $component->setErrorBag($input['errors']);
             }
 
             // Handle different request types
             switch ($type) {
                 case 'call':
-                    $method = $request->input('method');
-                    $params = $request->input('params', []);
+                    $method = $input['method'] ?? null;
+                    $params = $input['params'] ?? [];
 
                     if (! $method) {
                         return response()->json([
@@ -151,13 +374,15 @@ class DiffyneController extends Controller
                         ], 400);
                     }
 
+                    $component->setStreamCallback($onStream);
                     $component->callMethod($method, $params);
+                    $component->setStreamCallback(null);
 
                     break;
 
                 case 'update':
-                    $property = $request->input('property');
-                    $value = $request->input('value');
+                    $property = $input['property'] ?? null;
+                    $value = $input['value'] ?? null;
 
                     if (! $property) {
                         return response()->json([
@@ -177,6 +402,8 @@ class DiffyneController extends Controller
                     ], 400);
             }
 
+            $this->sendBroadcasts($component);
+
             // Render updates and generate patches
             $response = $this->renderer->renderUpdate($component);
 
@@ -241,6 +468,91 @@ class DiffyneController extends Controller
         }
     }
 
+    /**
+     * Store the component's broadcastTo() pushes for the event stream.
+     */
+    protected function sendBroadcasts(Component $component): void
+    {
+        foreach ($component->getBroadcasts() as $broadcast) {
+            $this->manager->push($broadcast['to'], $broadcast['data']);
+        }
+
+        $component->clearBroadcasts();
+    }
+
+    /**
+     * Mark a request as cancelled by the client.
+     *
+     * Cancellations only apply to requests of the same client, see clientScope().
+     */
+    public function cancel(Request $request): JsonResponse
+    {
+        $requestId = $request->input('requestId');
+
+        if (! $this->isValidRequestId($requestId)) {
+            return response()->json([
+                'success' => false,
+                'error' => 'Request id not specified',
+            ], 400);
+        }
+
+        Cache::put($this->cancelledRequestKey($requestId, $request), true, self::CANCELLED_REQUEST_TTL);
+
+        return response()->json([
+            'success' => true,
+        ]);
+    }
+
+    /**
+     * Check if the client cancelled the given request.
+     */
+    protected function isCancelled(mixed $requestId, Request $request): bool
+    {
+        if (! $this->isValidRequestId($requestId)) {
+            return false;
+        }
+
+        return Cache::has($this->cancelledRequestKey($requestId, $request));
+    }
+
+    /**
+     * Check if a value looks like a request id the client generated.
+     *
+     * @phpstan-assert-if-true string $requestId
+     */
+    protected function isValidRequestId(mixed $requestId): bool
+    {
+        return is_string($requestId) && preg_match('/^[A-Za-z0-9-]{1,64}$/', $requestId) === 1;
+    }
+
+    /**
+     * Get the cache key for a cancelled request.
+     */
+    protected function cancelledRequestKey(string $requestId, Request $request): string
+    {
+        return 'diffyne:cancelled:'.hash('sha256', $this->clientScope($request).'|'.$requestId);
+    }
+
+    /**
+     * Identify the client a request comes from: its session, or its IP without one.
+     */
+    protected function clientScope(Request $request): string
+    {
+        return $request->hasSession() ? $request->session()->getId() : (string) $request->ip();
+    }
+
+    /**
+     * Response for a request the client cancelled before it was processed.
+     */
+    protected function cancelledResponse(): JsonResponse
+    {
+        return response()->json([
+            's' => false,
+            'error' => 'Request cancelled',
+            'type' => 'cancelled',
+        ], 409);
+    }
+
     /**
      * @param array<string, mixed> $state
      * @return array<string, mixed>
@@ -261,19 +573,21 @@ class DiffyneController extends Controller
     }
 
     /**
-     * Resolve component class from request.
+     * Resolve component class from request input.
+     *
+     * @param array<string, mixed> $input
      */
-    protected function resolveComponentClass(Request $request): ?string
+    protected function resolveComponentClass(array $input): ?string
     {
         // Try to get from request
-        $componentClass = $request->input('componentClass');
+        $componentClass = $input['componentClass'] ?? null;
 
         if ($componentClass && class_exists($componentClass)) {
             return $componentClass;
         }
 
         // Try to get from component name
-        $componentName = $request->input('componentName');
+        $componentName = $input['componentName'] ?? null;
 
         if ($componentName) {
             $defaultNamespace = config('diffyne.component_namespace', 'App\\Diffyne');
@@ -297,22 +611,45 @@ class DiffyneController extends Controller
         try {
             $componentClass = $request->input('componentClass');
             $componentId = $request->input('componentId');
-            $params = $request->input('params', []);
+            $paramsJson = $request->input('params');
+            $token = $request->input('token');
             $queryParams = $request->input('queryParams', []);
 
-            if (! $componentClass || ! class_exists($componentClass)) {
+            if (! is_string($componentClass) || ! is_subclass_of($componentClass, Component::class)) {
                 return response()->json([
                     'success' => false,
                     'error' => 'Invalid component class',
                 ], 400);
             }
 
-            // Merge query parameters with component params
-            // Query parameters take precedence for QueryString properties
-            $mergedParams = array_merge($params, $queryParams);
+            // Only mount what the server rendered: the token binds the class, id and params
+            if (! is_string($componentId) || ! is_string($paramsJson) || ! is_string($token)
+                || ! StateSigner::verifyMount($componentClass, $componentId, $paramsJson, $token)) {
+                Log::warning('Invalid lazy mount token detected', [
+                    'component_id' => $componentId,
+                    'ip' => $request->ip(),
+                ]);
+
+                return response()->json([
+                    'success' => false,
+                    'error' => 'Invalid mount token.',
+                    'type' => 'signature_mismatch',
+                ], 403);
+            }
+
+            $params = json_decode($paramsJson, true);
+
+            // The request comes from script, expose the page's query string to #[QueryString] properties
+            if (is_array($queryParams)) {
+                $request->query->add(array_filter($queryParams, 'is_scalar'));
+            }
 
             // Mount the component
-            $instance = $this->hydrator->mount($componentClass, $mergedParams);
+            $instance = $this->hydrator->mount($componentClass, is_array($params) ? $params : []);
+
+            // Keep the placeholder's id, the state signature is bound to it
+            $instance->id = $componentId;
+
             $rendered = $this->renderer->renderInitial($instance);
 
             // Return the rendered HTML and state
@@ -322,6 +659,8 @@ class DiffyneController extends Controller
                 'html' => $rendered['html'],
                 'state' => $rendered['state'],
                 'fingerprint' => $rendered['fingerprint'],
+                'signature' => $rendered['signature'],
+                'eventListeners' => $rendered['eventListeners'] ?? [],
             ]);
 
         } catch (Exception $e) {
@@ -350,6 +689,127 @@ class DiffyneController extends Controller
         ]);
     }
 
+    /**
+     * Stream server pushes as Server-Sent Events.
+     *
+     * The stream holds a PHP worker while it is open, polling the buffer every
+     * diffyne.sse.poll_interval milliseconds. It ends after diffyne.sse.max_duration
+     * seconds so the worker is released, EventSource then reconnects with
+     * Last-Event-ID and receives the pushes it missed.
+     *
+     * Channel pushes only reach streams that pass the channel's token as
+     * channels[name]=token, and pushes to a component id only its owner session.
+     */
+    public function events(Request $request, PushBuffer $buffer, ChannelAuthorizer $authorizer): StreamedResponse
+    {
+        // A new EventSource cannot set Last-Event-ID, the client passes it in the query instead
+        $lastEventId = $request->header('Last-Event-ID') ?? $request->query('lastEventId');
+        $lastId = is_numeric($lastEventId) ? (int) $lastEventId : $buffer->lastId();
+
+        $channels = $this->subscribedChannels($request->query('channels'), $request->user(), $authorizer);
+        $owner = $request->hasSession() ? PushBuffer::owner($request->session()->getId()) : null;
+
+        return response()->stream(function () use ($buffer, $lastId, $channels, $owner) {
+            $pollInterval = max(100, (int) config('diffyne.sse.poll_interval', 1000));
+            $heartbeat = (int) config('diffyne.sse.heartbeat', 15);
+            $deadline = microtime(true) + (int) config('diffyne.sse.max_duration', 30);
+            $lastWrite = microtime(true);
+
+            echo 'retry: '.(int) config('diffyne.sse.retry', 2000)."\n\n";
+
+            while (true) {
+                foreach ($buffer->since($lastId) as $id => $message) {
+                    $lastId = $id;
+
+                    if (! $this->canReceivePush($message, $channels, $owner)) {
+                        continue;
+                    }
+
+                    echo $this->formatEvent($id, $message);
+                    $lastWrite = microtime(true);
+                }
+
+                // Comments keep proxies from closing an idle connection
+                if (microtime(true) - $lastWrite >= $heartbeat) {
+                    echo ": heartbeat\n\n";
+                    $lastWrite = microtime(true);
+                }
+
+                $this->flushOutput();
+
+                if (connection_aborted() || microtime(true) >= $deadline) {
+                    break;
+                }
+
+                usleep($pollInterval * 1000);
+            }
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache, no-store, must-revalidate',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
+    /**
+     * Get the channels whose subscription token the stream presented.
+     *
+     * The token must have been issued to the stream's user, who must still be
+     * authorized for the channel.
+     *
+     * @return array<int, string>
+     */
+    protected function subscribedChannels(mixed $requested, mixed $user, ChannelAuthorizer $authorizer): array
+    {
+        if (! is_array($requested)) {
+            return [];
+        }
+
+        $userId = $user?->getAuthIdentifier();
+
+        return array_keys(array_filter(
+            $requested,
+            fn ($token, $channel) => is_string($channel) && is_string($token)
+                && StateSigner::verifyChannel($channel, $token, $userId)
+                && $authorizer->authorize($channel, $user),
+            ARRAY_FILTER_USE_BOTH
+        ));
+    }
+
+    /**
+     * Check if a push is meant for a stream.
+     *
+     * @param array<string, mixed> $message
+     * @param array<int, string> $channels
+     */
+    protected function canReceivePush(array $message, array $channels, ?string $owner): bool
+    {
+        $to = $message['to'] ?? [];
+
+        if (isset($to['id'])) {
+            return $owner !== null && is_string($message['owner'] ?? null) && hash_equals($message['owner'], $owner);
+        }
+
+        if (isset($to['channel'])) {
+            return in_array($to['channel'], $channels, true);
+        }
+
+        return true;
+    }
+
+    /**
+     * Format a push as a Server-Sent Event.
+     *
+     * @param array<string, mixed> $message
+     */
+    protected function formatEvent(int $id, array $message): string
+    {
+        unset($message['owner']);
+
+        $data = json_encode(['v' => Protocol::VERSION, ...$message], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+
+        return "id: {$id}\nevent: diffyne.push\ndata: {$data}\n\n";
+    }
+
     /**
      * Handle file upload.
      */
@@ -3,7 +3,10 @@
 namespace Diffyne\Http\Middleware;
 
 use Closure;
+use Diffyne\VirtualDOM\MessagePackEncoder;
+use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Illuminate\Http\Response as HttpResponse;
 use Symfony\Component\HttpFoundation\Response;
 
 class OptimizeDiffyneResponse
@@ -17,10 +20,15 @@ class OptimizeDiffyneResponse
 
         // Only optimize Diffyne JSON responses
         $contentType = $response->headers->get('Content-Type');
-        if (! $this->isDiffyneRequest($request) || ! is_string($contentType) || $contentType !== 'application/json') {
+        if (! $this->isDiffyneRequest($request) || ! is_string($contentType) || ! str_starts_with($contentType, 'application/json')) {
             return $response;
         }
 
+        // Clients that opted into the binary wire format ask for it in the Accept header
+        if ($response instanceof JsonResponse && $this->acceptsMessagePack($request)) {
+            $response = $this->toMessagePack($response);
+        }
+
         // Add cache headers for Diffyne endpoints
         $response->headers->set('Cache-Control', 'no-cache, no-store, must-revalidate');
         $response->headers->set('Pragma', 'no-cache');
@@ -37,7 +45,7 @@ class OptimizeDiffyneResponse
                     $response->setContent($compressed);
                     $response->headers->set('Content-Encoding', 'gzip');
                     $response->headers->set('Content-Length', strlen($compressed));
-                    $response->headers->set('Vary', 'Accept-Encoding');
+                    $response->headers->set('Vary', trim($response->headers->get('Vary', '').', Accept-Encoding', ', '));
                 }
             }
         }
@@ -45,6 +53,33 @@ class OptimizeDiffyneResponse
         return $response;
     }
 
+    /**
+     * Re-encode a JSON response as MessagePack.
+     */
+    protected function toMessagePack(JsonResponse $response): Response
+    {
+        $binary = new HttpResponse(
+            (new MessagePackEncoder())->encode($response->getData()),
+            $response->getStatusCode(),
+            $response->headers->all()
+        );
+
+        $binary->headers->set('Content-Type', MessagePackEncoder::CONTENT_TYPE);
+        $binary->headers->set('Vary', trim($binary->headers->get('Vary', '').', Accept', ', '));
+
+        return $binary;
+    }
+
+    /**
+     * Check if the client accepts MessagePack responses.
+     */
+    protected function acceptsMessagePack(Request $request): bool
+    {
+        $accept = $request->header('Accept', '');
+
+        return is_string($accept) && str_contains($accept, MessagePackEncoder::CONTENT_TYPE);
+    }
+
     /**
      * Check if this is a Diffyne request.
      */
@@ -0,0 +1,38 @@
+<?php
+
+namespace Diffyne\Http\Middleware;
+
+use Closure;
+use Diffyne\Protocol;
+use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+class VerifyProtocolVersion
+{
+    /**
+     * Routes whose requests must carry the protocol version, requests without one come
+     * from a legacy bundle. Other routes are only checked when they send one, the event
+     * stream opened by EventSource cannot send headers.
+     *
+     * @var array<int, string>
+     */
+    protected array $versionedRoutes = ['diffyne.update', 'diffyne.updateBatch'];
+
+    /**
+     * Reject requests from bundles speaking another protocol version and
+     * announce the server's version on every response.
+     */
+    public function handle(Request $request, Closure $next): Response
+    {
+        $clientVersion = $request->header(Protocol::HEADER);
+        $checked = $request->hasHeader(Protocol::HEADER) || $request->routeIs(...$this->versionedRoutes);
+
+        $response = ! $checked || Protocol::isSupported($clientVersion)
+            ? $next($request)
+            : response()->json(Protocol::mismatchError($clientVersion), 426);
+
+        $response->headers->set(Protocol::HEADER, (string) Protocol::VERSION);
+
+        return $response;
+    }
+}
@@ -0,0 +1,58 @@
+<?php
+
+namespace Diffyne;
+
+/**
+ * Wire protocol spoken between the Diffyne client bundle and the server.
+ *
+ * Bump VERSION whenever the request or response shape changes in a way an
+ * older diffyne.js cannot read, and add a decoder for it on the client.
+ */
+final class Protocol
+{
+    /**
+     * Protocol version this server speaks.
+     */
+    public const VERSION = 2;
+
+    /**
+     * Version of bundles from before the version was sent, requests without one speak it.
+     */
+    public const LEGACY_VERSION = 1;
+
+    /**
+     * Header carrying the protocol version on HTTP requests and responses.
+     */
+    public const HEADER = 'X-Diffyne-Protocol';
+
+    /**
+     * Check a client's protocol version, a missing version is the legacy one.
+     */
+    public static function isSupported(mixed $version): bool
+    {
+        return (int) self::versionOf($version) === self::VERSION;
+    }
+
+    /**
+     * Get the version a client speaks, LEGACY_VERSION when it did not send one.
+     */
+    public static function versionOf(mixed $version): mixed
+    {
+        return $version === null || $version === '' ? self::LEGACY_VERSION : $version;
+    }
+
+    /**
+     * Payload of the error sent to clients speaking another protocol version.
+     *
+     * @return array<string, mixed>
+     */
+    public static function mismatchError(mixed $clientVersion): array
+    {
+        return [
+            's' => false,
+            'error' => 'Diffyne protocol version '.self::versionOf($clientVersion).' is not supported by the server (expects '.self::VERSION.'). Please reload the page.',
+            'type' => 'protocol_mismatch',
+            'v' => self::VERSION,
+        ];
+    }
+}
@@ -0,0 +1,60 @@
+<?php
+
+namespace Diffyne\Push;
+
+/**
+ * Decides which users may receive pushes broadcast on a channel.
+ *
+ * Channels are registered like Laravel broadcast channels: a pattern with
+ * {placeholders} and a callback receiving the user and the placeholder values.
+ * Channels without a matching registration are private to nobody.
+ */
+class ChannelAuthorizer
+{
+    /**
+     * Registered channel callbacks keyed by pattern.
+     *
+     * @var array<string, callable>
+     */
+    protected array $channels = [];
+
+    /**
+     * Register the authorization callback of a channel pattern.
+     */
+    public function channel(string $pattern, callable $callback): void
+    {
+        $this->channels[$pattern] = $callback;
+    }
+
+    /**
+     * Check if the user (null for guests) may subscribe to a channel.
+     */
+    public function authorize(string $channel, mixed $user): bool
+    {
+        foreach ($this->channels as $pattern => $callback) {
+            $parameters = $this->match($pattern, $channel);
+
+            if ($parameters !== null) {
+                return (bool) $callback($user, ...$parameters);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Match a channel against a pattern and return the placeholder values.
+     *
+     * @return array<int, string>|null
+     */
+    protected function match(string $pattern, string $channel): ?array
+    {
+        $regex = preg_replace('/\\\\\{[^}]+?\\\\\}/', '([^.]+)', preg_quote($pattern, '/'));
+
+        if (! preg_match('/^'.$regex.'$/', $channel, $matches)) {
+            return null;
+        }
+
+        return array_slice($matches, 1);
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Diffyne\Push;
+
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * Numbered buffer of server pushes shared by every PHP worker through the cache.
+ *
+ * Each push gets the next id, so streams can resume after the last id they sent.
+ * Pushes expire from the cache after the configured retention time.
+ */
+class PushBuffer
+{
+    protected const LAST_ID_KEY = 'diffyne:push:last';
+
+    protected const LOCK_KEY = 'diffyne:push:lock';
+
+    /**
+     * Store a push message and return its id.
+     *
+     * The message is written before the latest id moves past it, so a reader
+     * that sees an id can always read every message up to it.
+     *
+     * @param array<string, mixed> $message
+     */
+    public function append(array $message): int
+    {
+        return Cache::lock(self::LOCK_KEY, 5)->block(5, function () use ($message) {
+            $id = $this->lastId() + 1;
+
+            Cache::put($this->messageKey($id), $message, $this->retention());
+            Cache::forever(self::LAST_ID_KEY, $id);
+
+            return $id;
+        });
+    }
+
+    /**
+     * Get the pushes stored after the given id, keyed by id.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public function since(int $lastId): array
+    {
+        $messages = [];
+        $latest = $this->lastId();
+
+        // A client far behind only gets what is still retained, start at the oldest possible id
+        $first = max($lastId + 1, $latest - $this->maxMessages() + 1);
+
+        for ($id = $first; $id <= $latest; $id++) {
+            $message = Cache::get($this->messageKey($id));
+
+            if (is_array($message)) {
+                $messages[$id] = $message;
+            }
+        }
+
+        return $messages;
+    }
+
+    /**
+     * Get the id of the latest push.
+     */
+    public function lastId(): int
+    {
+        return (int) Cache::get(self::LAST_ID_KEY, 0);
+    }
+
+    /**
+     * Identify the session a push to a component id belongs to, without storing the session id itself.
+     */
+    public static function owner(string $sessionId): string
+    {
+        return hash('sha256', 'diffyne-push|'.$sessionId);
+    }
+
+    /**
+     * Cache key for a push message.
+     */
+    protected function messageKey(int $id): string
+    {
+        return 'diffyne:push:'.$id;
+    }
+
+    /**
+     * Seconds a push is kept for clients that reconnect.
+     */
+    protected function retention(): int
+    {
+        return (int) config('diffyne.sse.retention', 60);
+    }
+
+    /**
+     * Most pushes replayed to a reconnecting client.
+     */
+    protected function maxMessages(): int
+    {
+        return (int) config('diffyne.sse.max_replay', 100);
+    }
+}
@@ -35,6 +35,76 @@ class StateSigner
         return hash_equals($expectedSignature, $signature);
     }
 
+    /**
+     * Sign the class, id and parameters the server mounted a component with.
+     *
+     * The lazy endpoint only mounts what carries this token, so clients cannot
+     * pick the id, class or parameters of the snapshot it signs.
+     */
+    public static function signMount(string $componentClass, string $componentId, string $paramsJson, ?string $key = null): string
+    {
+        return hash_hmac('sha256', 'mount|'.$componentClass.'|'.$componentId.'|'.$paramsJson, $key ?? self::getSigningKey());
+    }
+
+    /**
+     * Verify a mount token.
+     *
+     * Tokens signed with a previous key still verify, so pages rendered before
+     * a key rotation can re-mount their components and get state signed with
+     * the current key.
+     */
+    public static function verifyMount(string $componentClass, string $componentId, string $paramsJson, string $token): bool
+    {
+        foreach ([self::getSigningKey(), ...self::getPreviousSigningKeys()] as $key) {
+            if (hash_equals(self::signMount($componentClass, $componentId, $paramsJson, $key), $token)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Sign a channel subscription the server authorized while rendering.
+     *
+     * The token is bound to the user (null for guests) and expires after
+     * diffyne.security.channel_token_ttl minutes. It carries the expiry and the
+     * user id in clear: the WebSocket server has no session and authorizes the
+     * user the token was issued to again.
+     */
+    public static function signChannel(string $channel, int|string|null $userId, ?int $expiresAt = null): string
+    {
+        $expiresAt ??= now()->addMinutes((int) Config::get('diffyne.security.channel_token_ttl', 120))->getTimestamp();
+        $payload = $expiresAt.'.'.$userId;
+
+        return $payload.'.'.hash_hmac('sha256', 'channel|'.$channel.'|'.$payload, self::getSigningKey());
+    }
+
+    /**
+     * Get the user id a channel token was issued to ('' for guests), null when the token is forged or expired.
+     */
+    public static function channelUser(string $channel, string $token): ?string
+    {
+        $parts = explode('.', $token);
+
+        if (count($parts) < 3 || ! ctype_digit($parts[0]) || (int) $parts[0] < now()->getTimestamp()) {
+            return null;
+        }
+
+        // User ids may contain dots, the expiry comes first and the signature last
+        $userId = implode('.', array_slice($parts, 1, -1));
+
+        return hash_equals(self::signChannel($channel, $userId, (int) $parts[0]), $token) ? $userId : null;
+    }
+
+    /**
+     * Verify a channel subscription token for the user presenting it (null for guests).
+     */
+    public static function verifyChannel(string $channel, string $token, int|string|null $userId): bool
+    {
+        return self::channelUser($channel, $token) === (string) $userId;
+    }
+
     /**
      * Normalize state for consistent signature generation.
      * Handles differences between client/server serialization.
@@ -81,9 +151,30 @@ class StateSigner
             throw new \RuntimeException('No signing key configured. Set DIFFYNE_SIGNING_KEY or APP_KEY.');
         }
 
-        // Remove "base64:" prefix if present
+        return self::decodeKey($key);
+    }
+
+    /**
+     * Get the keys used before the current signing key was rotated in.
+     *
+     * @return array<int, string>
+     */
+    protected static function getPreviousSigningKeys(): array
+    {
+        $keys = Config::get('diffyne.security.signing_key')
+            ? Config::get('diffyne.security.previous_signing_keys', [])
+            : Config::get('app.previous_keys', []);
+
+        return array_map(self::decodeKey(...), array_values(array_filter((array) $keys)));
+    }
+
+    /**
+     * Remove the "base64:" prefix of a key if present.
+     */
+    protected static function decodeKey(string $key): string
+    {
         if (str_starts_with($key, 'base64:')) {
-            $key = base64_decode(substr($key, 7));
+            return base64_decode(substr($key, 7));
         }
 
         return $key;
@@ -99,7 +99,18 @@ class DiffEngine
             return;
         }
 
-        // Case 7: Element attributes changed
+        // Case 7: Nested component boundary - the child patches its own DOM
+        if ($oldNode->isComponentBoundary() || $newNode->isComponentBoundary()) {
+            if ($oldNode->getAttribute('diff:id') !== $newNode->getAttribute('diff:id')) {
+                $this->addPatch(self::PATCH_REPLACE, $path, [
+                    'node' => $newNode->toMinimal(),
+                ]);
+            }
+
+            return;
+        }
+
+        // Case 8: Element attributes changed
         if ($oldNode->isElement() && $newNode->isElement()) {
             $attrChanges = $this->diffAttributes($oldNode->attributes, $newNode->attributes);
 
@@ -168,7 +179,7 @@ class DiffEngine
         if (! empty($oldKeyed) || ! empty($newKeyed)) {
             // If old list has keys but new doesn't (or vice versa), still use keyed diffing
             // This handles cases where list goes from keyed to empty or vice versa
-            $this->diffKeyedChildren($oldChildren, $newChildren, $parentPath, $oldKeyed, $newKeyed);
+            $this->diffKeyedChildren($oldChildren, $newChildren, $parentPath);
 
             return;
         }
@@ -196,61 +207,77 @@ class DiffEngine
     /**
      * Diff children using keys for efficient reordering.
      *
+     * Children are matched by identity (diff:key, or position among unkeyed
+     * siblings). Patches are emitted in the order the client applies them:
+     * removals (highest index first), one reorder of the children that stay,
+     * then creates and updates in new index order.
+     *
      * @param array<int, VNode> $oldChildren
      * @param array<int, VNode> $newChildren
      * @param array<int, int> $parentPath
-     * @param array<string, int> $oldKeyed
-     * @param array<string, int> $newKeyed
      */
-    protected function diffKeyedChildren(
-        array $oldChildren,
-        array $newChildren,
-        array $parentPath,
-        array $oldKeyed,
-        array $newKeyed
-    ): void {
-        // First, identify nodes to remove
-        $toRemove = [];
-        foreach ($oldKeyed as $key => $position) {
-            if (! isset($newKeyed[$key])) {
-                $toRemove[] = $position;
+    protected function diffKeyedChildren(array $oldChildren, array $newChildren, array $parentPath): void
+    {
+        $oldIdentities = $this->childIdentities($oldChildren);
+        $newIdentities = $this->childIdentities($newChildren);
+        $oldPositions = array_flip($oldIdentities);
+        $newPositions = array_flip($newIdentities);
+
+        // Remove children that are gone, highest index first to avoid shifting
+        for ($i = count($oldChildren) - 1; $i >= 0; $i--) {
+            if (! isset($newPositions[$oldIdentities[$i]])) {
+                $this->diffNodes($oldChildren[$i], null, [...$parentPath, $i]);
             }
         }
 
-        // Remove in reverse order to avoid index shifting
-        rsort($toRemove);
-        foreach ($toRemove as $position) {
-            $this->diffNodes($oldChildren[$position], null, [...$parentPath, $position]);
+        // Move the children that stay into their new relative order
+        $kept = array_values(array_filter($oldIdentities, fn ($identity) => isset($newPositions[$identity])));
+        $order = array_values(array_filter($newIdentities, fn ($identity) => isset($oldPositions[$identity])));
+
+        if ($kept !== $order) {
+            $this->addPatch(self::PATCH_REORDER, $parentPath, [
+                'keys' => $order,
+            ]);
         }
 
-        // Process all new children in order
+        // Create new children and diff the ones that stayed, in new index order
         foreach ($newChildren as $newIndex => $newChild) {
-            $key = $newChild->key;
-            $oldChildAtIndex = $oldChildren[$newIndex] ?? null;
-
-            if ($key !== null && isset($oldKeyed[$key])) {
-                // Node exists in old list
-                $oldPosition = $oldKeyed[$key];
-
-                // Check if the key at this position changed (reorder)
-                if ($oldChildAtIndex && $oldChildAtIndex->key !== $key) {
-                    // Position has different key - replace the node
-                    $this->addPatch(self::PATCH_REPLACE, [...$parentPath, $newIndex], [
-                        'node' => $newChild->toMinimal(),
-                    ]);
-                } else {
-                    // Same position or no old child - just diff content
-                    $this->diffNodes(
-                        $oldChildren[$oldPosition],
-                        $newChild,
-                        [...$parentPath, $newIndex]
-                    );
-                }
+            $identity = $newIdentities[$newIndex];
+            $oldChild = isset($oldPositions[$identity]) ? $oldChildren[$oldPositions[$identity]] : null;
+
+            $this->diffNodes($oldChild, $newChild, [...$parentPath, $newIndex]);
+        }
+    }
+
+    /**
+     * Build the identity of each child for keyed diffing.
+     *
+     * Keyed children use "k:<key>", unkeyed ones "u:<n>" for the n-th unkeyed
+     * sibling. Repeated identities get a ":<count>" suffix so they stay unique.
+     * The client computes the same identities to find nodes to move.
+     *
+     * @param array<int, VNode> $children
+     * @return array<int, string>
+     */
+    protected function childIdentities(array $children): array
+    {
+        $identities = [];
+        $seen = [];
+        $unkeyed = 0;
+
+        foreach ($children as $index => $child) {
+            $identity = $child->key !== null ? 'k:'.$child->key : 'u:'.$unkeyed++;
+
+            if (isset($seen[$identity])) {
+                $identity .= ':'.$seen[$identity]++;
             } else {
-                // New node, create it
-                $this->diffNodes(null, $newChild, [...$parentPath, $newIndex]);
+                $seen[$identity] = 1;
             }
+
+            $identities[$index] = $identity;
         }
+
+        return $identities;
     }
 
     /**
@@ -305,16 +332,17 @@ class DiffEngine
      */
     public function optimizePatches(array $patches): array
     {
-        // Remove patches for nodes that were replaced at a parent level
+        // Remove patches for nodes that were replaced at a parent level.
+        // Removed paths are not included: in keyed lists a later sibling can take over the index.
         $replacedPaths = [];
 
         foreach ($patches as $patch) {
-            if ($patch['type'] === self::PATCH_REPLACE || $patch['type'] === self::PATCH_REMOVE) {
+            if ($patch['type'] === self::PATCH_REPLACE) {
                 $replacedPaths[] = $patch['path'];
             }
         }
 
-        return array_filter($patches, function ($patch) use ($replacedPaths) {
+        return array_values(array_filter($patches, function ($patch) use ($replacedPaths) {
             foreach ($replacedPaths as $replacedPath) {
                 if ($this->isDescendantPath($patch['path'], $replacedPath)) {
                     return false;
@@ -322,7 +350,7 @@ class DiffEngine
             }
 
             return true;
-        });
+        }));
     }
 
     /**
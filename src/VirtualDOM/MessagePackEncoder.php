@@ -0,0 +1,114 @@
+<?php
+
+namespace Diffyne\VirtualDOM;
+
+/**
+ * Encodes responses as MessagePack (https://msgpack.org) for the binary wire format.
+ */
+class MessagePackEncoder
+{
+    public const CONTENT_TYPE = 'application/x-msgpack';
+
+    /**
+     * Encode a value to MessagePack.
+     *
+     * Lists become arrays, associative arrays and objects become maps.
+     */
+    public function encode(mixed $value): string
+    {
+        return match (true) {
+            $value === null => "\xc0",
+            $value === false => "\xc2",
+            $value === true => "\xc3",
+            is_int($value) => $this->encodeInt($value),
+            is_float($value) => "\xcb".pack('E', $value),
+            is_string($value) => $this->encodeString($value),
+            is_array($value) && array_is_list($value) => $this->encodeArray($value),
+            is_array($value) => $this->encodeMap($value),
+            $value instanceof \JsonSerializable => $this->encode($value->jsonSerialize()),
+            is_object($value) => $this->encodeMap(get_object_vars($value)),
+            default => throw new \InvalidArgumentException('Cannot encode value of type '.get_debug_type($value).' to MessagePack'),
+        };
+    }
+
+    /**
+     * Encode an integer in its smallest form.
+     */
+    protected function encodeInt(int $value): string
+    {
+        if ($value >= 0) {
+            return match (true) {
+                $value <= 0x7f => chr($value),
+                $value <= 0xff => "\xcc".chr($value),
+                $value <= 0xffff => "\xcd".pack('n', $value),
+                $value <= 0xffffffff => "\xce".pack('N', $value),
+                default => "\xcf".pack('J', $value),
+            };
+        }
+
+        return match (true) {
+            $value >= -32 => chr($value & 0xff),
+            $value >= -128 => "\xd0".chr($value & 0xff),
+            $value >= -32768 => "\xd1".pack('n', $value & 0xffff),
+            $value >= -2147483648 => "\xd2".pack('N', $value & 0xffffffff),
+            default => "\xd3".pack('J', $value),
+        };
+    }
+
+    /**
+     * Encode a UTF-8 string.
+     */
+    protected function encodeString(string $value): string
+    {
+        $length = strlen($value);
+
+        return match (true) {
+            $length <= 31 => chr(0xa0 | $length),
+            $length <= 0xff => "\xd9".chr($length),
+            $length <= 0xffff => "\xda".pack('n', $length),
+            default => "\xdb".pack('N', $length),
+        }.$value;
+    }
+
+    /**
+     * Encode a list.
+     *
+     * @param array<int, mixed> $value
+     */
+    protected function encodeArray(array $value): string
+    {
+        $count = count($value);
+        $encoded = match (true) {
+            $count <= 15 => chr(0x90 | $count),
+            $count <= 0xffff => "\xdc".pack('n', $count),
+            default => "\xdd".pack('N', $count),
+        };
+
+        foreach ($value as $item) {
+            $encoded .= $this->encode($item);
+        }
+
+        return $encoded;
+    }
+
+    /**
+     * Encode a map, keys are always strings like in JSON.
+     *
+     * @param array<int|string, mixed> $value
+     */
+    protected function encodeMap(array $value): string
+    {
+        $count = count($value);
+        $encoded = match (true) {
+            $count <= 15 => chr(0x80 | $count),
+            $count <= 0xffff => "\xde".pack('n', $count),
+            default => "\xdf".pack('N', $count),
+        };
+
+        foreach ($value as $key => $item) {
+            $encoded .= $this->encodeString((string) $key).$this->encode($item);
+        }
+
+        return $encoded;
+    }
+}
@@ -92,6 +92,62 @@ class PatchSerializer
         return $result;
     }
 
+    /**
+     * Format an intermediate render sent while a streamed method is running.
+     *
+     * Partial frames carry patches, state and the events dispatched so far,
+     * the final response carries the signature and everything else.
+     *
+     * @param array<string, mixed> $response
+     * @return array<string, mixed>
+     */
+    public function toPartialResponse(array $response, bool $minify = true): array
+    {
+        $patches = $response['patches'] ?? [];
+
+        $result = [
+            's' => true, // success
+            'partial' => true,
+            'c' => [ // component
+                'i' => $response['id'] ?? null, // id
+                'p' => $minify ? $this->minifyPatches($patches) : $patches, // patches
+                'st' => $response['state'] ?? [], // state
+            ],
+        ];
+
+        // The render cleared these events, so they are not repeated in the final response
+        if (isset($response['events'])) {
+            $result['events'] = $response['events'];
+        }
+
+        if (isset($response['browserEvents'])) {
+            $result['browserEvents'] = $response['browserEvents'];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Format a full render (used to recover when patches cannot be applied).
+     *
+     * @param array<string, mixed> $rendered
+     * @return array<string, mixed>
+     */
+    public function toRenderResponse(array $rendered): array
+    {
+        return [
+            's' => true, // success
+            'c' => [ // component
+                'i' => $rendered['id'] ?? null, // id
+                'h' => $rendered['html'] ?? '', // full HTML
+                'st' => $rendered['state'] ?? [], // state
+                'f' => $rendered['fingerprint'] ?? null, // fingerprint
+                'sig' => $rendered['signature'] ?? null, // signature
+                'l' => $rendered['eventListeners'] ?? [], // event listeners
+            ],
+        ];
+    }
+
     /**
      * Minify patches by using shorter keys.
      *
@@ -153,6 +209,9 @@ class PatchSerializer
 
                 return $minified;
 
+            case 'reorder':
+                return ['k' => $data['keys']];
+
             default:
                 return $data;
         }
@@ -24,6 +24,20 @@ class Renderer
      */
     protected array $snapshots = [];
 
+    /**
+     * Components whose views are currently rendering (innermost last).
+     *
+     * @var array<int, Component>
+     */
+    protected array $renderStack = [];
+
+    /**
+     * Number of unkeyed children mounted so far, per rendering component.
+     *
+     * @var array<string, int>
+     */
+    protected array $childCounters = [];
+
     public function __construct()
     {
         $this->parser = new HTMLParser();
@@ -153,6 +167,22 @@ class Renderer
      * Render component view to HTML.
      */
     protected function renderComponentView(Component $component): string
+    {
+        $this->renderStack[] = $component;
+        $this->childCounters[$component->id] = 0;
+
+        try {
+            return $this->renderView($component);
+        } finally {
+            array_pop($this->renderStack);
+            unset($this->childCounters[$component->id]);
+        }
+    }
+
+    /**
+     * Render the component's view with its public properties.
+     */
+    protected function renderView(Component $component): string
     {
         $view = $component->render();
 
@@ -184,6 +214,33 @@ class Renderer
         return $view->with($data)->render();
     }
 
+    /**
+     * Get the component whose view is currently rendering, if any.
+     */
+    public function currentComponent(): ?Component
+    {
+        $component = end($this->renderStack);
+
+        return $component !== false ? $component : null;
+    }
+
+    /**
+     * Build a stable ID for a child mounted inside a parent's view.
+     *
+     * Children are numbered in render order unless a key is given, so the
+     * same child gets the same ID every time the parent re-renders.
+     */
+    public function childComponentId(Component $parent, ?string $key = null): string
+    {
+        if ($key === null) {
+            $index = $this->childCounters[$parent->id] ?? 0;
+            $this->childCounters[$parent->id] = $index + 1;
+            $key = (string) $index;
+        }
+
+        return $parent->id.'-'.preg_replace('/[^A-Za-z0-9_-]/', '_', $key);
+    }
+
     /**
      * Get stored snapshot for a component.
      */
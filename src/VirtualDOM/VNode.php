@@ -133,6 +133,14 @@ class VNode
         return $this->type === self::TYPE_COMMENT;
     }
 
+    /**
+     * Check if this node is the wrapper of a nested component.
+     */
+    public function isComponentBoundary(): bool
+    {
+        return $this->isElement() && isset($this->attributes['diff:id']);
+    }
+
     /**
      * Set the node's path in the tree.
      *
@@ -2,12 +2,16 @@
 
 namespace Diffyne\WebSocket;
 
+use Diffyne\Component;
 use Diffyne\DiffyneManager;
 use Diffyne\Exceptions\RedirectException;
+use Diffyne\Protocol;
+use Diffyne\Push\ChannelAuthorizer;
 use Diffyne\Security\StateSigner;
 use Diffyne\State\ComponentHydrator;
 use Diffyne\VirtualDOM\PatchSerializer;
 use Diffyne\VirtualDOM\Renderer;
+use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Log;
 use Sockeon\Sockeon\Controllers\SocketController;
 use Sockeon\Sockeon\WebSocket\Attributes\OnConnect;
@@ -24,6 +28,25 @@ class DiffyneController extends SocketController
 
     protected PatchSerializer $serializer;
 
+    /**
+     * Maximum cancelled request ids remembered per client.
+     */
+    protected const MAX_CANCELLED_REQUESTS = 100;
+
+    /**
+     * Request ids cancelled by each client.
+     *
+     * @var array<string, array<string, true>>
+     */
+    protected array $cancelledRequests = [];
+
+    /**
+     * Channels each client subscribed to with a valid token.
+     *
+     * @var array<string, array<string, true>>
+     */
+    protected array $subscriptions = [];
+
     public function __construct()
     {
         $this->renderer = app(Renderer::class);
@@ -42,6 +65,7 @@ class DiffyneController extends SocketController
             'clientId' => $clientId,
             'message' => 'Connected to Diffyne WebSocket server',
             'timestamp' => time(),
+            'v' => Protocol::VERSION,
         ]);
 
         $this->getLogger()->info("Client {$clientId} connected to Diffyne");
@@ -53,6 +77,8 @@ class DiffyneController extends SocketController
     #[OnDisconnect]
     public function onDisconnect(string $clientId): void
     {
+        unset($this->cancelledRequests[$clientId], $this->subscriptions[$clientId]);
+
         $this->getLogger()->info("Client {$clientId} disconnected from Diffyne");
     }
 
@@ -64,6 +90,10 @@ class DiffyneController extends SocketController
     #[SocketOn('diffyne.call')]
     public function handleMethodCall(string $clientId, array $data): void
     {
+        if ($this->consumeCancellation($clientId, $data['requestId'] ?? null) || $this->rejectProtocolMismatch($clientId, $data)) {
+            return;
+        }
+
         try {
             $componentClass = $data['componentClass'] ?? null;
             $method = $data['method'] ?? null;
@@ -74,7 +104,7 @@ class DiffyneController extends SocketController
             $componentId = $data['componentId'] ?? null;
 
             if (! $componentClass || ! $method) {
-                $this->emit($clientId, 'diffyne.error', [
+                $this->emitError($clientId, $data, [
                     'error' => 'Missing required parameters',
                     'type' => 'validation_error',
                 ]);
@@ -91,9 +121,9 @@ class DiffyneController extends SocketController
 
             if ($shouldVerify) {
                 if (! $signature) {
-                    $this->emit($clientId, 'diffyne.error', [
+                    $this->emitError($clientId, $data, [
                         'error' => 'Missing state signature',
-                        'type' => 'validation_error',
+                        'type' => 'signature_mismatch',
                     ]);
 
                     return;
@@ -130,9 +160,9 @@ class DiffyneController extends SocketController
                         'client_id' => $clientId,
                     ]);
 
-                    $this->emit($clientId, 'diffyne.error', [
+                    $this->emitError($clientId, $data, [
                         'error' => 'Invalid state signature. State may have been tampered with.',
-                        'type' => 'security_error',
+                        'type' => 'signature_mismatch',
                     ]);
 
                     return;
@@ -145,9 +175,13 @@ class DiffyneController extends SocketController
             // Store initial snapshot for diffing
             $this->renderer->snapshotComponent($component);
 
+            if ($this->consumeCancellation($clientId, $data['requestId'] ?? null)) {
+                return;
+            }
+
             // Call the method
             if (! is_string($method) || ! method_exists($component, $method)) {
-                $this->emit($clientId, 'diffyne.error', [
+                $this->emitError($clientId, $data, [
                     'error' => "Method {$method} does not exist",
                     'type' => 'method_error',
                 ]);
@@ -158,6 +192,8 @@ class DiffyneController extends SocketController
             // Call method directly instead of call_user_func_array for better type safety
             $component->$method(...$params);
 
+            $this->sendBroadcasts($clientId, $component);
+
             // Render the updated component
             $response = $this->renderer->renderUpdate($component);
 
@@ -208,6 +244,10 @@ class DiffyneController extends SocketController
     #[SocketOn('diffyne.update')]
     public function handlePropertyUpdate(string $clientId, array $data): void
     {
+        if ($this->consumeCancellation($clientId, $data['requestId'] ?? null) || $this->rejectProtocolMismatch($clientId, $data)) {
+            return;
+        }
+
         try {
             $componentClass = $data['componentClass'] ?? null;
             $property = $data['property'] ?? null;
@@ -218,7 +258,7 @@ class DiffyneController extends SocketController
             $componentId = $data['componentId'] ?? null;
 
             if (! $componentClass || ! $property) {
-                $this->emit($clientId, 'diffyne.error', [
+                $this->emitError($clientId, $data, [
                     'error' => 'Missing required parameters',
                     'type' => 'validation_error',
                 ]);
@@ -235,9 +275,9 @@ class DiffyneController extends SocketController
 
             if ($shouldVerify) {
                 if (! $signature) {
-                    $this->emit($clientId, 'diffyne.error', [
+                    $this->emitError($clientId, $data, [
                         'error' => 'Missing state signature',
-                        'type' => 'validation_error',
+                        'type' => 'signature_mismatch',
                     ]);
 
                     return;
@@ -249,9 +289,9 @@ class DiffyneController extends SocketController
                         'client_id' => $clientId,
                     ]);
 
-                    $this->emit($clientId, 'diffyne.error', [
+                    $this->emitError($clientId, $data, [
                         'error' => 'Invalid state signature. State may have been tampered with.',
-                        'type' => 'security_error',
+                        'type' => 'signature_mismatch',
                     ]);
 
                     return;
@@ -264,9 +304,13 @@ class DiffyneController extends SocketController
             // Store initial snapshot for diffing
             $this->renderer->snapshotComponent($component);
 
+            if ($this->consumeCancellation($clientId, $data['requestId'] ?? null)) {
+                return;
+            }
+
             // Update the property
             if (! property_exists($component, $property)) {
-                $this->emit($clientId, 'diffyne.error', [
+                $this->emitError($clientId, $data, [
                     'error' => "Property {$property} does not exist",
                     'type' => 'property_error',
                 ]);
@@ -279,6 +323,8 @@ class DiffyneController extends SocketController
             // Call updated hook (Component always has updated method)
             $component->updated($property);
 
+            $this->sendBroadcasts($clientId, $component);
+
             // Render the updated component
             $response = $this->renderer->renderUpdate($component);
 
@@ -321,6 +367,91 @@ class DiffyneController extends SocketController
         }
     }
 
+    /**
+     * Handle full re-render requests (used to recover when patches cannot be applied)
+     *
+     * @param array<string, mixed> $data
+     */
+    #[SocketOn('diffyne.render')]
+    public function handleRender(string $clientId, array $data): void
+    {
+        if ($this->rejectProtocolMismatch($clientId, $data)) {
+            return;
+        }
+
+        try {
+            $componentClass = $data['componentClass'] ?? null;
+            $state = $data['state'] ?? [];
+            $signature = $data['signature'] ?? null;
+            $componentId = $data['componentId'] ?? null;
+
+            if (! $componentClass || ! $componentId) {
+                $this->emitError($clientId, $data, [
+                    'error' => 'Missing required parameters',
+                    'type' => 'validation_error',
+                ]);
+
+                return;
+            }
+
+            $verifyMode = config('diffyne.security.verify_state', 'property-updates');
+            $shouldVerify = match ($verifyMode) {
+                'strict', true, 'true' => true,
+                'property-updates' => true,
+                default => false,
+            };
+
+            if ($shouldVerify && (! $signature || ! StateSigner::verify($state, $componentId, $signature))) {
+                Log::warning('Invalid state signature detected (WebSocket)', [
+                    'component_id' => $componentId,
+                    'client_id' => $clientId,
+                ]);
+
+                $this->emitError($clientId, $data, [
+                    'error' => 'Invalid state signature. State may have been tampered with.',
+                    'type' => 'signature_mismatch',
+                ]);
+
+                return;
+            }
+
+            $component = $this->hydrator->hydrate($componentClass, $state, $componentId);
+
+            $this->emit($clientId, 'diffyne.response', array_merge(
+                $this->serializer->toRenderResponse($this->renderer->renderInitial($component)),
+                ['requestId' => $data['requestId'] ?? null]
+            ));
+
+        } catch (\Exception $e) {
+            $this->emit($clientId, 'diffyne.response', [
+                's' => false,
+                'error' => $e->getMessage(),
+                'type' => 'exception',
+                'details' => [
+                    'exception' => get_class($e),
+                    'file' => $e->getFile(),
+                    'line' => $e->getLine(),
+                ],
+                'requestId' => $data['requestId'] ?? null,
+            ]);
+        }
+    }
+
+    /**
+     * Report a failed request to the client, with its requestId so the pending request settles.
+     *
+     * @param array<string, mixed> $data
+     * @param array<string, mixed> $error
+     */
+    protected function emitError(string $clientId, array $data, array $error): void
+    {
+        $this->emit($clientId, 'diffyne.error', [
+            's' => false,
+            ...$error,
+            'requestId' => $data['requestId'] ?? null,
+        ]);
+    }
+
     /**
      * @param array<string, mixed> $state
      * @return array<string, mixed>
@@ -340,6 +471,136 @@ class DiffyneController extends SocketController
         return $state;
     }
 
+    /**
+     * Handle request cancellation from clients
+     *
+     * @param array<string, mixed> $data
+     */
+    #[SocketOn('diffyne.cancel')]
+    public function handleCancel(string $clientId, array $data): void
+    {
+        $requestId = $data['requestId'] ?? null;
+
+        if (! is_string($requestId) || $requestId === '') {
+            return;
+        }
+
+        $this->cancelledRequests[$clientId][$requestId] = true;
+
+        // Cancels for requests that already finished are never consumed, so cap the list
+        if (count($this->cancelledRequests[$clientId]) > self::MAX_CANCELLED_REQUESTS) {
+            array_shift($this->cancelledRequests[$clientId]);
+        }
+    }
+
+    /**
+     * Check if a request was cancelled and forget the cancellation.
+     */
+    protected function consumeCancellation(string $clientId, mixed $requestId): bool
+    {
+        if (! is_string($requestId) || ! isset($this->cancelledRequests[$clientId][$requestId])) {
+            return false;
+        }
+
+        unset($this->cancelledRequests[$clientId][$requestId]);
+
+        return true;
+    }
+
+    /**
+     * Answer requests from bundles speaking another protocol version with a protocol_mismatch error.
+     *
+     * @param array<string, mixed> $data
+     */
+    protected function rejectProtocolMismatch(string $clientId, array $data): bool
+    {
+        if (Protocol::isSupported($data['v'] ?? null)) {
+            return false;
+        }
+
+        $this->emit($clientId, 'diffyne.response', array_merge(
+            Protocol::mismatchError($data['v'] ?? null),
+            ['requestId' => $data['requestId'] ?? null]
+        ));
+
+        return true;
+    }
+
+    /**
+     * Send the component's broadcastTo() pushes.
+     *
+     * Pushes to a component id only go back to the client that sent the request,
+     * channel pushes to the clients subscribed to the channel, class pushes to everyone.
+     */
+    protected function sendBroadcasts(string $clientId, Component $component): void
+    {
+        foreach ($component->getBroadcasts() as $broadcast) {
+            $message = [
+                'v' => Protocol::VERSION,
+                ...$this->manager->buildPush($broadcast['to'], $broadcast['data']),
+            ];
+
+            if (isset($message['to']['id'])) {
+                $this->emit($clientId, 'diffyne.push', $message);
+            } elseif (isset($message['to']['channel'])) {
+                foreach ($this->subscriptions as $subscriber => $channels) {
+                    if (isset($channels[$message['to']['channel']])) {
+                        $this->emit($subscriber, 'diffyne.push', $message);
+                    }
+                }
+            } else {
+                $this->broadcast('diffyne.push', $message);
+            }
+        }
+
+        $component->clearBroadcasts();
+    }
+
+    /**
+     * Replace a client's channel subscriptions with those whose token is valid.
+     *
+     * The tokens come from the diff:channel-tokens attribute rendered for
+     * channels the user was authorized for. The socket has no session, so the
+     * user each token was issued to is authorized again.
+     *
+     * @param array<string, mixed> $data
+     */
+    #[SocketOn('diffyne.subscribe')]
+    public function handleSubscribe(string $clientId, array $data): void
+    {
+        $authorizer = app(ChannelAuthorizer::class);
+        $channels = [];
+
+        foreach ((array) ($data['channels'] ?? []) as $channel => $token) {
+            $userId = is_string($channel) && is_string($token) ? StateSigner::channelUser($channel, $token) : null;
+            if ($userId === null) {
+                continue;
+            }
+
+            $user = $this->findUser($userId);
+            if ($user !== false && $authorizer->authorize($channel, $user)) {
+                $channels[$channel] = true;
+            }
+        }
+
+        $this->subscriptions[$clientId] = $channels;
+    }
+
+    /**
+     * Find the user a channel token was issued to, null for guests and false when the user no longer exists.
+     */
+    protected function findUser(string $userId): mixed
+    {
+        if ($userId === '') {
+            return null;
+        }
+
+        $guard = config('auth.defaults.guard');
+        $provider = Auth::createUserProvider(config("auth.guards.{$guard}.provider"));
+
+        return $provider?->retrieveById($userId) ?? false;
+    }
+
     /**
      * Handle ping from clients
      *
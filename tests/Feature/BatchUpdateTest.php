@@ -0,0 +1,35 @@
+<?php
+
+test('batch endpoint returns one response per component update', function () {
+    $response = $this->postJson('/_diffyne/update/batch', [
+        'requests' => [
+            counterUpdatePayload(1, ['componentId' => 'diffyne-batch-one']),
+            counterUpdatePayload(2, ['componentId' => 'diffyne-batch-two']),
+        ],
+    ]);
+
+    $response->assertOk()
+        ->assertJsonPath('s', true)
+        ->assertJsonCount(2, 'responses')
+        ->assertJsonPath('responses.0.status', 200)
+        ->assertJsonPath('responses.0.body.c.st.count', 1)
+        ->assertJsonPath('responses.1.body.c.st.count', 2);
+});
+
+test('batch endpoint reports failures per component', function () {
+    $response = $this->postJson('/_diffyne/update/batch', [
+        'requests' => [
+            counterUpdatePayload(1, ['componentId' => 'diffyne-batch-valid']),
+            counterUpdatePayload(3, ['componentId' => 'diffyne-batch-invalid', 'signature' => 'tampered']),
+        ],
+    ]);
+
+    $response->assertOk()
+        ->assertJsonPath('responses.0.status', 200)
+        ->assertJsonPath('responses.1.status', 403);
+});
+
+test('batch endpoint rejects empty batches', function () {
+    $this->postJson('/_diffyne/update/batch', ['requests' => []])
+        ->assertStatus(400);
+});
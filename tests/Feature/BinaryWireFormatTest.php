@@ -0,0 +1,34 @@
+<?php
+
+use Diffyne\Http\Middleware\OptimizeDiffyneResponse;
+use Diffyne\VirtualDOM\MessagePackEncoder;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+test('update responses stay JSON by default', function () {
+    $this->postJson('/_diffyne/update', counterUpdatePayload(4))
+        ->assertOk()
+        ->assertHeader('Content-Type', 'application/json; charset=utf-8')
+        ->assertJsonPath('c.st.count', 4);
+});
+
+test('update responses are MessagePack when the client accepts it', function () {
+    $response = $this->postJson('/_diffyne/update', counterUpdatePayload(4), [
+        'Accept' => MessagePackEncoder::CONTENT_TYPE.', application/json;q=0.9',
+        'Accept-Encoding' => 'identity',
+    ]);
+
+    $response->assertOk()
+        ->assertHeader('Content-Type', MessagePackEncoder::CONTENT_TYPE);
+
+    // The body starts with a map whose first entry is "s" => true
+    expect(substr($response->getContent(), 1, 3))->toBe("\xa1s\xc3");
+});
+
+test('MessagePack responses keep the Vary header they already had', function () {
+    $request = Request::create('/_diffyne/update', 'POST', server: ['HTTP_ACCEPT' => MessagePackEncoder::CONTENT_TYPE]);
+
+    $response = (new OptimizeDiffyneResponse())->handle($request, fn () => new JsonResponse(['s' => true], 200, ['Vary' => 'Origin']));
+
+    expect($response->headers->get('Vary'))->toBe('Origin, Accept');
+});
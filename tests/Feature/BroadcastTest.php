@@ -0,0 +1,144 @@
+<?php
+
+use Diffyne\Attributes\Channel;
+use Diffyne\Attributes\Invokable;
+use Diffyne\Component;
+use Diffyne\Facades\Diffyne;
+use Diffyne\Push\ChannelAuthorizer;
+use Diffyne\Security\StateSigner;
+use Diffyne\WebSocket\DiffyneController as WebSocketController;
+
+#[Channel('orders')]
+#[Channel('stock')]
+class BroadcastingOrders extends Component
+{
+    public int $count = 0;
+
+    #[Invokable]
+    public function place(): void
+    {
+        $this->count++;
+        $this->broadcastTo('orders', ['refresh' => true]);
+    }
+
+    public function render(): string
+    {
+        return '<div>'.$this->count.'</div>';
+    }
+}
+
+test('channel subscriptions are rendered on the component wrapper with their tokens', function () {
+    Diffyne::channel('orders', fn ($user) => true);
+    Diffyne::channel('stock', fn ($user) => true);
+
+    $html = app('diffyne')->mount(BroadcastingOrders::class);
+    preg_match('/diff:channel-tokens="([^"]+)"/', $html, $matches);
+    [$orders, $stock] = explode(',', $matches[1]);
+
+    expect($html)->toContain('diff:channels="orders,stock"')
+        ->and(StateSigner::verifyChannel('orders', $orders, null))->toBeTrue()
+        ->and(StateSigner::verifyChannel('stock', $stock, null))->toBeTrue()
+        ->and(StateSigner::verifyChannel('stock', $orders, null))->toBeFalse();
+});
+
+test('channels the user may not subscribe to are left out', function () {
+    Diffyne::channel('orders', fn ($user) => true);
+    Diffyne::channel('stock', fn ($user) => $user !== null);
+
+    $html = app('diffyne')->mount(BroadcastingOrders::class);
+
+    preg_match('/diff:channel-tokens="([^"]+)"/', $html, $matches);
+
+    expect($html)->toContain('diff:channels="orders"')
+        ->and($matches[1])->not->toContain(',');
+});
+
+test('channel tokens are bound to their user and expire', function () {
+    $this->freezeTime();
+    config(['diffyne.security.channel_token_ttl' => 60]);
+
+    $token = StateSigner::signChannel('orders', 5);
+
+    expect(StateSigner::channelUser('orders', $token))->toBe('5')
+        ->and(StateSigner::verifyChannel('orders', $token, 5))->toBeTrue()
+        ->and(StateSigner::verifyChannel('orders', $token, 6))->toBeFalse()
+        ->and(StateSigner::verifyChannel('orders', $token, null))->toBeFalse()
+        ->and(StateSigner::channelUser('orders', str_replace('.5.', '.6.', $token)))->toBeNull();
+
+    $this->travel(61)->minutes();
+
+    expect(StateSigner::channelUser('orders', $token))->toBeNull();
+});
+
+test('channel patterns pass their placeholder values to the callback', function () {
+    Diffyne::channel('orders.{order}', fn ($user, $order) => $order === '7');
+
+    $authorizer = app(ChannelAuthorizer::class);
+
+    expect($authorizer->authorize('orders.7', null))->toBeTrue()
+        ->and($authorizer->authorize('orders.8', null))->toBeFalse()
+        ->and($authorizer->authorize('invoices', null))->toBeFalse();
+});
+
+test('broadcasts from a request are pushed to streams subscribed to the channel', function () {
+    config(['diffyne.sse.max_duration' => 0]);
+    $state = ['count' => 0];
+
+    $this->postJson('/_diffyne/update', [
+        'type' => 'call',
+        'componentId' => 'diffyne-broadcast-test',
+        'componentClass' => BroadcastingOrders::class,
+        'method' => 'place',
+        'params' => [],
+        'state' => $state,
+        'signature' => StateSigner::sign($state, 'diffyne-broadcast-test'),
+    ])->assertOk()->assertJsonPath('c.st.count', 1);
+
+    Diffyne::channel('orders', fn ($user) => true);
+    $token = StateSigner::signChannel('orders', null);
+    $content = $this->get('/_diffyne/events?lastEventId=0&channels[orders]='.$token)->streamedContent();
+
+    expect($content)->toContain('"to":{"channel":"orders"}')
+        ->and($content)->toContain('"refresh":true');
+
+    expect($this->get('/_diffyne/events?lastEventId=0')->streamedContent())->not->toContain('"channel":"orders"')
+        ->and($this->get('/_diffyne/events?lastEventId=0&channels[orders]=forged')->streamedContent())->not->toContain('"channel":"orders"')
+        ->and($this->get('/_diffyne/events?lastEventId=0&channels[orders]='.StateSigner::signChannel('orders', 5))->streamedContent())->not->toContain('"channel":"orders"');
+
+    // Subscribing authorizes the user again, a token from before a revocation no longer works
+    Diffyne::channel('orders', fn ($user) => false);
+
+    expect($this->get('/_diffyne/events?lastEventId=0&channels[orders]='.$token)->streamedContent())->not->toContain('"channel":"orders"');
+});
+
+test('websocket subscriptions authorize the user the token was issued to again', function () {
+    $controller = new class () extends WebSocketController {
+        /**
+         * @return array<int, string>
+         */
+        public function channelsOf(string $clientId): array
+        {
+            return array_keys($this->subscriptions[$clientId] ?? []);
+        }
+    };
+
+    Diffyne::channel('orders', fn ($user) => true);
+    Diffyne::channel('stock', fn ($user) => false);
+
+    $controller->handleSubscribe('client-1', ['channels' => [
+        'orders' => StateSigner::signChannel('orders', null),
+        'stock' => StateSigner::signChannel('stock', null),
+        'invoices' => 'forged',
+    ]]);
+
+    expect($controller->channelsOf('client-1'))->toBe(['orders']);
+
+    Diffyne::channel('orders', fn ($user) => false);
+    $controller->handleSubscribe('client-1', ['channels' => ['orders' => StateSigner::signChannel('orders', null)]]);
+
+    expect($controller->channelsOf('client-1'))->toBe([]);
+});
+
+test('push targets must name exactly one of id, class or channel', function () {
+    app('diffyne')->buildPush(['id' => 'a', 'channel' => 'orders'], ['refresh' => true]);
+})->throws(InvalidArgumentException::class);
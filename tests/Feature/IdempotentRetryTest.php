@@ -0,0 +1,69 @@
+<?php
+
+use Diffyne\Tests\Fixtures\Counter;
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * Session id the requests are sent with, stored results are scoped to it.
+ */
+const IDEMPOTENCY_SESSION = 'idempotencysessionidempotencysession0001';
+
+beforeEach(function () {
+    $this->withCookie(config('session.cookie'), IDEMPOTENCY_SESSION);
+});
+
+test('a retried call returns the stored result without running the method again', function () {
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0001']))
+        ->assertOk()
+        ->assertJsonPath('c.st.count', 1);
+
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0001']))
+        ->assertOk()
+        ->assertHeader('Idempotent-Replayed', 'true')
+        ->assertJsonPath('c.st.count', 1);
+
+    expect(Counter::$increments)->toBe(1);
+});
+
+test('calls with different idempotency keys both run', function () {
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0001']))->assertOk();
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0002']))->assertOk();
+
+    expect(Counter::$increments)->toBe(2);
+});
+
+test('a retry that arrives while the first attempt runs is asked to come back later', function () {
+    $key = 'diffyne:idempotency:'.hash('sha256', IDEMPOTENCY_SESSION.'|diffyne-counter-test|retry-key-0003');
+    Cache::put($key.':running', true, 60);
+
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0003']))
+        ->assertStatus(503)
+        ->assertHeader('Retry-After', '1')
+        ->assertJsonPath('type', 'request_in_progress');
+
+    expect(Counter::$increments)->toBe(0);
+});
+
+test('a failed attempt is not stored and its retry runs', function () {
+    config(['diffyne.security.verify_state' => 'strict']);
+
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0004', 'signature' => 'tampered']))
+        ->assertStatus(403);
+
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0004']))
+        ->assertOk()
+        ->assertHeaderMissing('Idempotent-Replayed');
+
+    expect(Counter::$increments)->toBe(1);
+});
+
+test('stored results are not replayed to another session', function () {
+    $this->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0005']))->assertOk();
+
+    $this->withCookie(config('session.cookie'), 'othersessionothersessionothersession0001')
+        ->postJson('/_diffyne/update', counterCallPayload('increment', ['idempotencyKey' => 'retry-key-0005']))
+        ->assertOk()
+        ->assertHeaderMissing('Idempotent-Replayed');
+
+    expect(Counter::$increments)->toBe(2);
+});
@@ -0,0 +1,45 @@
+<?php
+
+use Diffyne\Attributes\Lazy;
+use Diffyne\Component;
+
+#[Lazy]
+class LazyDefaultWidget extends Component
+{
+    public function render(): string
+    {
+        return '<div>widget</div>';
+    }
+}
+
+#[Lazy(placeholder: '<p>Loading chart</p>', on: 'visible', error: '<p>Chart failed <button diff:lazy-retry>Again</button></p>')]
+class LazyChartWidget extends Component
+{
+    public function render(): string
+    {
+        return '<div>chart</div>';
+    }
+}
+
+test('lazy components load on page load by default with a retry error template', function () {
+    $html = app('diffyne')->mount(LazyDefaultWidget::class);
+
+    expect($html)->toContain('diff:lazy="load"')
+        ->and($html)->toContain('diffyne-lazy-placeholder')
+        ->and($html)->toMatch('/<template diff:lazy-error>.*diff:lazy-retry.*<\/template>/s');
+});
+
+test('lazy mode follows the configured default', function () {
+    config(['diffyne.lazy.on' => 'idle']);
+
+    expect(app('diffyne')->mount(LazyDefaultWidget::class))->toContain('diff:lazy="idle"');
+});
+
+test('lazy attribute sets the mode, placeholder and error template', function () {
+    $html = app('diffyne')->mount(LazyChartWidget::class);
+
+    expect($html)->toContain('diff:lazy="visible"')
+        ->and($html)->toContain('<p>Loading chart</p>')
+        ->and($html)->toContain('<template diff:lazy-error><p>Chart failed <button diff:lazy-retry>Again</button></p></template>')
+        ->and($html)->not->toContain('diffyne-lazy-placeholder');
+});
@@ -0,0 +1,74 @@
+<?php
+
+use Diffyne\Component;
+use Diffyne\VirtualDOM\DiffEngine;
+use Diffyne\VirtualDOM\HTMLParser;
+use Diffyne\VirtualDOM\Renderer;
+
+class NestedChild extends Component
+{
+    public int $clicks = 0;
+
+    public function render(): string
+    {
+        return '<span>'.$this->clicks.'</span>';
+    }
+}
+
+class NestedParent extends Component
+{
+    public int $count = 0;
+
+    public string $childKey = 'first';
+
+    public function render(): string
+    {
+        return '<div><p>'.$this->count.'</p>'.app('diffyne')->mount(NestedChild::class, [], $this->childKey).'</div>';
+    }
+}
+
+test('nested components get a stable id and a parent link', function () {
+    $renderer = app(Renderer::class);
+    $parent = new NestedParent();
+
+    $first = $renderer->renderInitial($parent);
+    $second = $renderer->renderInitial($parent);
+
+    expect($first['html'])->toContain('diff:id="'.$parent->id.'-first"')
+        ->and($first['html'])->toContain('diff:parent="'.$parent->id.'"')
+        ->and($second['html'])->toContain('diff:id="'.$parent->id.'-first"');
+});
+
+test('parent re-render does not patch inside a nested component', function () {
+    $renderer = app(Renderer::class);
+    $parent = new NestedParent();
+
+    $renderer->snapshotComponent($parent);
+    $parent->count = 5;
+    $patches = array_values($renderer->renderUpdate($parent)['patches']);
+
+    expect($patches)->toHaveCount(1)
+        ->and($patches[0]['type'])->toBe(DiffEngine::PATCH_UPDATE_TEXT)
+        ->and($patches[0]['path'])->toBe([0, 0]);
+});
+
+test('nested component is replaced when its id changes', function () {
+    $renderer = app(Renderer::class);
+    $parent = new NestedParent();
+
+    $renderer->snapshotComponent($parent);
+    $parent->childKey = 'second';
+    $patches = array_values($renderer->renderUpdate($parent)['patches']);
+
+    expect($patches)->toHaveCount(1)
+        ->and($patches[0]['type'])->toBe(DiffEngine::PATCH_REPLACE)
+        ->and($patches[0]['data']['node']['a']['diff:id'])->toBe($parent->id.'-second');
+});
+
+test('diff engine treats component wrappers as opaque', function () {
+    $parser = new HTMLParser();
+    $old = $parser->parse('<div><div diff:id="child" diff:state="{}"><span>1</span></div></div>');
+    $new = $parser->parse('<div><div diff:id="child" diff:state="{&quot;a&quot;:1}"><span>2</span></div></div>');
+
+    expect((new DiffEngine())->diff($old, $new))->toBe([]);
+});
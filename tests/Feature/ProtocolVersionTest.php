@@ -0,0 +1,44 @@
+<?php
+
+use Diffyne\Protocol;
+use Diffyne\Tests\Fixtures\Counter;
+
+test('responses announce the server protocol version', function () {
+    $this->postJson('/_diffyne/update', counterUpdatePayload(2), [Protocol::HEADER => (string) Protocol::VERSION])
+        ->assertOk()
+        ->assertHeader(Protocol::HEADER, (string) Protocol::VERSION)
+        ->assertJsonPath('c.st.count', 2);
+});
+
+test('requests from another protocol version are rejected with a reload hint', function () {
+    $this->postJson('/_diffyne/update', counterUpdatePayload(2), [Protocol::HEADER => '99'])
+        ->assertStatus(426)
+        ->assertHeader(Protocol::HEADER, (string) Protocol::VERSION)
+        ->assertJsonPath('s', false)
+        ->assertJsonPath('type', 'protocol_mismatch')
+        ->assertJsonPath('v', Protocol::VERSION);
+});
+
+test('update requests without a protocol version are rejected as legacy', function () {
+    $this->flushHeaders()
+        ->postJson('/_diffyne/update', counterUpdatePayload(2))
+        ->assertStatus(426)
+        ->assertJsonPath('type', 'protocol_mismatch')
+        ->assertJsonPath('v', Protocol::VERSION);
+
+    $this->flushHeaders()
+        ->postJson('/_diffyne/update/batch', ['requests' => [counterUpdatePayload(2)]])
+        ->assertStatus(426)
+        ->assertJsonPath('type', 'protocol_mismatch');
+
+    expect(Counter::$updates)->toBe(0)
+        ->and(Protocol::isSupported(null))->toBeFalse()
+        ->and(Protocol::isSupported(''))->toBeFalse();
+});
+
+test('routes that cannot send headers are not asked for a protocol version', function () {
+    $this->flushHeaders()
+        ->get('/_diffyne/health')
+        ->assertOk()
+        ->assertHeader(Protocol::HEADER, (string) Protocol::VERSION);
+});
@@ -0,0 +1,20 @@
+<?php
+
+use Diffyne\Security\StateSigner;
+
+test('render request returns full html for the signed state', function () {
+    $this->postJson('/_diffyne/update', counterPayload(['type' => 'render'], ['count' => 7]))
+        ->assertOk()
+        ->assertJsonPath('s', true)
+        ->assertJsonPath('c.i', 'diffyne-counter-test')
+        ->assertJsonPath('c.h', '<div>7</div>')
+        ->assertJsonPath('c.st.count', 7)
+        ->assertJsonMissingPath('c.p');
+});
+
+test('render request rejects tampered state', function () {
+    $signature = StateSigner::sign(['count' => 1], 'diffyne-counter-test');
+
+    $this->postJson('/_diffyne/update', counterPayload(['type' => 'render', 'signature' => $signature], ['count' => 1000]))
+        ->assertStatus(403);
+});
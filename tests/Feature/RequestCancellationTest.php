@@ -0,0 +1,61 @@
+<?php
+
+use Diffyne\Tests\Fixtures\Counter;
+use Diffyne\WebSocket\DiffyneController as WebSocketController;
+
+/**
+ * Session id the requests are sent with, cancellations are scoped to it.
+ */
+const CANCELLATION_SESSION = 'cancellationsessioncancellationsession01';
+
+beforeEach(function () {
+    $this->withCookie(config('session.cookie'), CANCELLATION_SESSION);
+});
+
+test('update request is processed when not cancelled', function () {
+    $this->postJson('/_diffyne/update', counterUpdatePayload(5, ['requestId' => 'req-live']))
+        ->assertOk()
+        ->assertJsonPath('s', true);
+
+    expect(Counter::$updates)->toBe(1);
+});
+
+test('cancelled ajax update is never applied', function () {
+    $this->postJson('/_diffyne/cancel', ['requestId' => 'req-cancelled'])
+        ->assertOk();
+
+    $this->postJson('/_diffyne/update', counterUpdatePayload(5, ['requestId' => 'req-cancelled']))
+        ->assertStatus(409)
+        ->assertJsonPath('type', 'cancelled');
+
+    expect(Counter::$updates)->toBe(0);
+});
+
+test('a cancel from another session does not apply', function () {
+    $this->withCookie(config('session.cookie'), 'othersessionothersessionothersession0001')
+        ->postJson('/_diffyne/cancel', ['requestId' => 'req-foreign'])
+        ->assertOk();
+
+    $this->withCookie(config('session.cookie'), CANCELLATION_SESSION)
+        ->postJson('/_diffyne/update', counterUpdatePayload(5, ['requestId' => 'req-foreign']))
+        ->assertOk();
+
+    expect(Counter::$updates)->toBe(1);
+});
+
+test('cancel endpoint requires a request id', function () {
+    $this->postJson('/_diffyne/cancel', [])
+        ->assertStatus(400);
+
+    $this->postJson('/_diffyne/cancel', ['requestId' => str_repeat('a', 65)])
+        ->assertStatus(400);
+});
+
+test('cancelled websocket update is never applied', function () {
+    $controller = new WebSocketController();
+
+    $controller->handleCancel('client-1', ['requestId' => 'req-ws']);
+    $controller->handlePropertyUpdate('client-1', counterUpdatePayload(5, ['requestId' => 'req-ws']));
+
+    expect(Counter::$updates)->toBe(0);
+});
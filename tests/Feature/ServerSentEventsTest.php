@@ -0,0 +1,87 @@
+<?php
+
+use Diffyne\Facades\Diffyne;
+use Diffyne\Push\PushBuffer;
+use Diffyne\Security\StateSigner;
+
+beforeEach(function () {
+    // One pass over the buffer instead of holding the stream open
+    config(['diffyne.sse.max_duration' => 0]);
+});
+
+test('the event stream resumes after Last-Event-ID', function () {
+    Diffyne::pushEvent('first');
+    Diffyne::pushEvent('second', ['count' => 2]);
+
+    $response = $this->get('/_diffyne/events', ['Last-Event-ID' => '1']);
+
+    $response->assertOk();
+    expect($response->headers->get('Content-Type'))->toContain('text/event-stream');
+
+    $content = $response->streamedContent();
+
+    expect($content)->toContain("id: 2\nevent: diffyne.push\n")
+        ->and($content)->toContain('"name":"second"')
+        ->and($content)->not->toContain('"name":"first"');
+});
+
+test('a new event stream starts after the latest push', function () {
+    Diffyne::pushEvent('before-connect');
+
+    $content = $this->get('/_diffyne/events')->streamedContent();
+
+    expect($content)->not->toContain('before-connect');
+});
+
+test('a reopened stream can pass the last id in the query', function () {
+    Diffyne::pushEvent('missed');
+
+    $content = $this->get('/_diffyne/events?lastEventId=0')->streamedContent();
+
+    expect($content)->toContain("id: 1\n")->and($content)->toContain('missed');
+});
+
+test('pushed state is signed for the addressed component', function () {
+    $session = str_repeat('a', 40);
+    Diffyne::push(['id' => 'diffyne-sse-test', 'session' => $session], ['state' => ['count' => 5]]);
+
+    $content = $this->withCookie(config('session.cookie'), $session)
+        ->get('/_diffyne/events?lastEventId=0')
+        ->streamedContent();
+    preg_match('/^data: (.*)$/m', $content, $matches);
+    $message = json_decode($matches[1], true);
+
+    expect($message['to'])->toBe(['id' => 'diffyne-sse-test'])
+        ->and($message)->not->toHaveKey('owner')
+        ->and($message['c']['st'])->toBe(['count' => 5])
+        ->and($message['c']['sig'])->toBe(StateSigner::sign(['count' => 5], 'diffyne-sse-test'));
+});
+
+test('pushes to a component id only reach the session that owns it', function () {
+    Diffyne::push(['id' => 'diffyne-sse-test', 'session' => str_repeat('a', 40)], ['state' => ['count' => 5]]);
+
+    $content = $this->withCookie(config('session.cookie'), str_repeat('b', 40))
+        ->get('/_diffyne/events?lastEventId=0')
+        ->streamedContent();
+
+    expect($content)->not->toContain('diffyne-sse-test');
+});
+
+test('pushing to a component id outside a request needs its session', function () {
+    Diffyne::push(['id' => 'diffyne-sse-test'], ['refresh' => true]);
+})->throws(InvalidArgumentException::class);
+
+test('state cannot be pushed to a whole component class', function () {
+    Diffyne::push(['class' => 'App\\Diffyne\\Counter'], ['state' => ['count' => 5]]);
+})->throws(InvalidArgumentException::class);
+
+test('push ids are published only after their message is stored', function () {
+    $buffer = app(PushBuffer::class);
+
+    $first = $buffer->append(['events' => [['name' => 'one']]]);
+    $second = $buffer->append(['events' => [['name' => 'two']]]);
+
+    expect($second)->toBe($first + 1)
+        ->and($buffer->lastId())->toBe($second)
+        ->and(array_keys($buffer->since($first - 1)))->toBe([$first, $second]);
+});
@@ -3,6 +3,7 @@
 use Diffyne\DiffyneManager;
 use Diffyne\State\ComponentHydrator;
 use Diffyne\VirtualDOM\Renderer;
+use Illuminate\Foundation\Http\Middleware\VerifyCsrfToken;
 
 test('service provider registers renderer', function () {
     // The service provider should register the Renderer
@@ -28,3 +29,11 @@ test('diffyne manager is registered', function () {
     $manager = app('diffyne');
     expect($manager)->toBeInstanceOf(DiffyneManager::class);
 });
+
+test('state changing routes verify the csrf token', function () {
+    $routes = app('router')->getRoutes();
+
+    foreach (['diffyne.update', 'diffyne.cancel', 'diffyne.updateBatch', 'diffyne.loadLazy', 'diffyne.upload'] as $name) {
+        expect($routes->getByName($name)->excludedMiddleware())->not->toContain(VerifyCsrfToken::class);
+    }
+});
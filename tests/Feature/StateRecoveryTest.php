@@ -0,0 +1,87 @@
+<?php
+
+use Diffyne\Security\StateSigner;
+use Diffyne\Tests\Fixtures\Counter;
+
+test('rejected state signature is reported as signature_mismatch', function () {
+    $this->postJson('/_diffyne/update', counterUpdatePayload(1, ['state' => ['count' => 1000]]))
+        ->assertStatus(403)
+        ->assertJsonPath('type', 'signature_mismatch');
+});
+
+test('re-mounting keeps the server-issued id and returns a signed snapshot', function () {
+    $params = json_encode(['count' => 3]);
+
+    $response = $this->postJson('/_diffyne/update/lazy', [
+        'componentClass' => Counter::class,
+        'componentId' => 'diffyne-recover-test',
+        'params' => $params,
+        'token' => StateSigner::signMount(Counter::class, 'diffyne-recover-test', $params),
+    ]);
+
+    $response->assertOk()
+        ->assertJsonPath('id', 'diffyne-recover-test')
+        ->assertJsonPath('state.count', 3);
+
+    expect(StateSigner::verify($response->json('state'), 'diffyne-recover-test', $response->json('signature')))->toBeTrue();
+});
+
+test('re-mounting rejects an id or params the server did not issue', function () {
+    $params = json_encode(['count' => 3]);
+    $token = StateSigner::signMount(Counter::class, 'diffyne-recover-test', $params);
+
+    $this->postJson('/_diffyne/update/lazy', [
+        'componentClass' => Counter::class,
+        'componentId' => 'diffyne-someone-else',
+        'params' => $params,
+        'token' => $token,
+    ])->assertStatus(403)->assertJsonPath('type', 'signature_mismatch');
+
+    $this->postJson('/_diffyne/update/lazy', [
+        'componentClass' => Counter::class,
+        'componentId' => 'diffyne-recover-test',
+        'params' => json_encode(['count' => 1000]),
+        'token' => $token,
+    ])->assertStatus(403);
+
+    $this->postJson('/_diffyne/update/lazy', [
+        'componentClass' => Counter::class,
+        'componentId' => 'diffyne-recover-test',
+        'params' => $params,
+    ])->assertStatus(403);
+});
+
+test('re-mounting accepts a mount token signed before a key rotation', function () {
+    $params = json_encode(['count' => 3]);
+
+    config(['diffyne.security.signing_key' => 'old-key']);
+    $token = StateSigner::signMount(Counter::class, 'diffyne-recover-test', $params);
+
+    config(['diffyne.security.signing_key' => 'new-key']);
+    $request = [
+        'componentClass' => Counter::class,
+        'componentId' => 'diffyne-recover-test',
+        'params' => $params,
+        'token' => $token,
+    ];
+
+    $this->postJson('/_diffyne/update/lazy', $request)->assertStatus(403);
+
+    config(['diffyne.security.previous_signing_keys' => ['old-key']]);
+    $response = $this->postJson('/_diffyne/update/lazy', $request)->assertOk();
+
+    expect(StateSigner::verify($response->json('state'), 'diffyne-recover-test', $response->json('signature')))->toBeTrue();
+});
+
+test('mounted components carry the params they can be re-mounted with', function () {
+    $html = app('diffyne')->mount(Counter::class, ['count' => 3]);
+
+    expect($html)->toContain('diff:params="{&quot;count&quot;:3}"')
+        ->and($html)->toContain('diff:mount-token="');
+});
+
+test('components mounted with objects are not re-mountable', function () {
+    $html = app('diffyne')->mount(Counter::class, ['count' => 3, 'owner' => new stdClass()]);
+
+    expect($html)->not->toContain('diff:params');
+});
@@ -0,0 +1,26 @@
+<?php
+
+test('stream methods send partial frames before the final response', function () {
+    $response = $this->postJson('/_diffyne/update', counterCallPayload('countInSteps'), ['Accept' => 'application/x-ndjson']);
+
+    $response->assertOk();
+    expect($response->headers->get('Content-Type'))->toContain('application/x-ndjson');
+
+    $frames = array_map(
+        fn ($line) => json_decode($line, true),
+        array_values(array_filter(explode("\n", $response->streamedContent())))
+    );
+
+    expect($frames)->toHaveCount(2)
+        ->and($frames[0]['partial'])->toBeTrue()
+        ->and($frames[0]['c']['st']['count'])->toBe(1)
+        ->and($frames[1])->not->toHaveKey('partial')
+        ->and($frames[1]['c']['st']['count'])->toBe(2)
+        ->and($frames[1]['c'])->toHaveKey('sig');
+});
+
+test('stream methods answer with plain JSON when the client does not accept NDJSON', function () {
+    $this->postJson('/_diffyne/update', counterCallPayload('countInSteps'))
+        ->assertOk()
+        ->assertJsonPath('c.st.count', 2);
+});
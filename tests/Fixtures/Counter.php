@@ -0,0 +1,64 @@
+<?php
+
+namespace Diffyne\Tests\Fixtures;
+
+use Diffyne\Attributes\Invokable;
+use Diffyne\Attributes\Stream;
+use Diffyne\Component;
+
+/**
+ * Counter component shared by the request tests, see counterPayload().
+ */
+class Counter extends Component
+{
+    /**
+     * Times the updated() hook ran, both transports call it once a property is applied.
+     */
+    public static int $updates = 0;
+
+    /**
+     * Times increment() ran.
+     */
+    public static int $increments = 0;
+
+    public int $count = 0;
+
+    #[Invokable]
+    public function increment(): void
+    {
+        static::$increments++;
+        $this->count++;
+    }
+
+    /**
+     * Sends a frame with count 1 before the final response with count 2.
+     */
+    #[Invokable]
+    #[Stream]
+    public function countInSteps(): void
+    {
+        $this->count = 1;
+        $this->stream();
+
+        $this->count = 2;
+    }
+
+    public function updated(string $property): void
+    {
+        static::$updates++;
+    }
+
+    public function render(): string
+    {
+        return '<div>'.$this->count.'</div>';
+    }
+
+    /**
+     * Reset the counters between tests.
+     */
+    public static function reset(): void
+    {
+        static::$updates = 0;
+        static::$increments = 0;
+    }
+}
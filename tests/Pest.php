@@ -1,5 +1,7 @@
 <?php
 
+use Diffyne\Security\StateSigner;
+use Diffyne\Tests\Fixtures\Counter;
 use Diffyne\Tests\TestCase;
 
 /*
@@ -42,3 +44,45 @@ function getApp()
 | global functions to help you to reduce the amount of code you need to write.
 |
 */
+
+/**
+ * Build a signed request payload for the fixture counter, entries of $payload win.
+ *
+ * @param array<string, mixed> $payload
+ * @param array<string, mixed> $state
+ * @return array<string, mixed>
+ */
+function counterPayload(array $payload = [], array $state = ['count' => 0]): array
+{
+    $componentId = $payload['componentId'] ?? 'diffyne-counter-test';
+
+    return [
+        'componentId' => $componentId,
+        'componentClass' => Counter::class,
+        'state' => $state,
+        'signature' => StateSigner::sign($state, $componentId),
+        ...$payload,
+    ];
+}
+
+/**
+ * Build a payload setting the fixture counter's count.
+ *
+ * @param array<string, mixed> $payload
+ * @return array<string, mixed>
+ */
+function counterUpdatePayload(int $value, array $payload = []): array
+{
+    return counterPayload(['type' => 'update', 'property' => 'count', 'value' => $value, ...$payload]);
+}
+
+/**
+ * Build a payload calling a method of the fixture counter.
+ *
+ * @param array<string, mixed> $payload
+ * @return array<string, mixed>
+ */
+function counterCallPayload(string $method, array $payload = []): array
+{
+    return counterPayload(['type' => 'call', 'method' => $method, 'params' => [], ...$payload]);
+}
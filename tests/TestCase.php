@@ -3,6 +3,8 @@
 namespace Diffyne\Tests;
 
 use Diffyne\DiffyneServiceProvider;
+use Diffyne\Protocol;
+use Diffyne\Tests\Fixtures\Counter;
 use Orchestra\Testbench\TestCase as OrchestraTestCase;
 
 abstract class TestCase extends OrchestraTestCase
@@ -10,6 +12,11 @@ abstract class TestCase extends OrchestraTestCase
     protected function setUp(): void
     {
         parent::setUp();
+
+        Counter::reset();
+
+        // Send the protocol version on every request the way diffyne.js does
+        $this->withHeader(Protocol::HEADER, (string) Protocol::VERSION);
     }
 
     protected function getPackageProviders($app): array
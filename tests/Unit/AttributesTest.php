@@ -1,5 +1,6 @@
 <?php
 
+use Diffyne\Attributes\Concurrency;
 use Diffyne\Attributes\Invokable;
 use Diffyne\Attributes\Locked;
 
@@ -30,3 +31,13 @@ test('locked attribute can be applied to properties', function () {
     expect($attributes)->not->toBeEmpty()
         ->and($attributes[0]->getName())->toBe(Locked::class);
 });
+
+test('concurrency attribute can be applied to classes', function () {
+    $reflection = new ReflectionClass(new #[Concurrency('queue')] class () {
+    });
+
+    $attributes = $reflection->getAttributes(Concurrency::class);
+
+    expect($attributes)->not->toBeEmpty()
+        ->and($attributes[0]->newInstance()->policy)->toBe('queue');
+});
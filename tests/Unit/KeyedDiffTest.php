@@ -0,0 +1,66 @@
+<?php
+
+use Diffyne\VirtualDOM\DiffEngine;
+use Diffyne\VirtualDOM\HTMLParser;
+use Diffyne\VirtualDOM\PatchSerializer;
+
+function keyedList(array $keys): string
+{
+    $items = array_map(fn ($key) => "<li diff:key=\"{$key}\">{$key}</li>", $keys);
+
+    return '<ul>'.implode('', $items).'</ul>';
+}
+
+test('reordering keyed children emits a single reorder patch', function () {
+    $parser = new HTMLParser();
+    $patches = (new DiffEngine())->diff(
+        $parser->parse(keyedList(['a', 'b', 'c'])),
+        $parser->parse(keyedList(['c', 'a', 'b']))
+    );
+
+    expect($patches)->toBe([
+        ['type' => DiffEngine::PATCH_REORDER, 'path' => [], 'data' => ['keys' => ['k:c', 'k:a', 'k:b']]],
+    ]);
+});
+
+test('keyed diff removes, reorders, then creates in new index order', function () {
+    $parser = new HTMLParser();
+    $patches = (new DiffEngine())->diff(
+        $parser->parse(keyedList(['a', 'b', 'c'])),
+        $parser->parse(keyedList(['c', 'd', 'a']))
+    );
+
+    expect(array_column($patches, 'type'))->toBe([
+        DiffEngine::PATCH_REMOVE,
+        DiffEngine::PATCH_REORDER,
+        DiffEngine::PATCH_CREATE,
+    ])
+        ->and($patches[0]['path'])->toBe([1])
+        ->and($patches[1]['data']['keys'])->toBe(['k:c', 'k:a'])
+        ->and($patches[2]['path'])->toBe([1]);
+});
+
+test('unkeyed siblings in a keyed list are matched by position', function () {
+    $parser = new HTMLParser();
+    $patches = (new DiffEngine())->diff(
+        $parser->parse('<ul><li>Header</li><li diff:key="a">a</li><li diff:key="b">b</li></ul>'),
+        $parser->parse('<ul><li>Header</li><li diff:key="b">b</li><li diff:key="a">a</li></ul>')
+    );
+
+    expect($patches)->toHaveCount(1)
+        ->and($patches[0]['data']['keys'])->toBe(['u:0', 'k:b', 'k:a']);
+});
+
+test('optimized patches are a list and reorder data is minified', function () {
+    $engine = new DiffEngine();
+    $parser = new HTMLParser();
+    $patches = $engine->optimizePatches($engine->diff(
+        $parser->parse(keyedList(['a', 'b', 'c'])),
+        $parser->parse(keyedList(['b', 'a']))
+    ));
+
+    $response = (new PatchSerializer())->toResponse(['patches' => $patches]);
+
+    expect(array_is_list($patches))->toBeTrue()
+        ->and($response['c']['p'][1])->toBe(['t' => 'o', 'p' => [], 'd' => ['k' => ['k:b', 'k:a']]]);
+});
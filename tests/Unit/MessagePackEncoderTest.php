@@ -0,0 +1,25 @@
+<?php
+
+use Diffyne\VirtualDOM\MessagePackEncoder;
+
+test('scalars use their smallest MessagePack form', function () {
+    $encoder = new MessagePackEncoder();
+
+    expect(bin2hex($encoder->encode(null)))->toBe('c0')
+        ->and(bin2hex($encoder->encode(true)))->toBe('c3')
+        ->and(bin2hex($encoder->encode(5)))->toBe('05')
+        ->and(bin2hex($encoder->encode(-1)))->toBe('ff')
+        ->and(bin2hex($encoder->encode(300)))->toBe('cd012c')
+        ->and(bin2hex($encoder->encode(-200)))->toBe('d1ff38')
+        ->and(bin2hex($encoder->encode(1.5)))->toBe('cb3ff8000000000000')
+        ->and(bin2hex($encoder->encode('ab')))->toBe('a26162');
+});
+
+test('lists become arrays and objects become maps', function () {
+    $encoder = new MessagePackEncoder();
+
+    expect(bin2hex($encoder->encode([1, 2])))->toBe('920102')
+        ->and(bin2hex($encoder->encode(['t' => 'r'])))->toBe('81a174a172')
+        ->and(bin2hex($encoder->encode(new stdClass())))->toBe('80')
+        ->and(bin2hex($encoder->encode([])))->toBe('90');
+});
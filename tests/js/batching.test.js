@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { componentHtml, startDiffyne, jsonResponse, settle } from './helpers.js';
+
+const payload = componentId => ({ type: 'call', componentId, method: 'increment', params: [] });
+
+const ok = componentId => ({ status: 200, body: { s: true, c: { i: componentId, p: [] } } });
+
+/**
+ * Start Diffyne with batching on, each batch is answered by answer(requests)
+ */
+function startBatching(answer = requests => ({ s: true, responses: requests.map(request => ok(request.componentId)) }), config = {}) {
+    const started = startDiffyne('', {
+        config: { batchRequests: true, ...config },
+        respond: (url, body) => url.endsWith('/update/batch')
+            ? jsonResponse(answer(body.requests))
+            : jsonResponse({ s: true, c: { i: body.componentId, p: [] } }),
+    });
+
+    const sent = () => started.fetch.mock.calls.map(([url, options]) => ({
+        url: url.replace('/_diffyne', ''),
+        ids: url.endsWith('/update/batch')
+            ? JSON.parse(options.body).requests.map(request => request.componentId)
+            : [JSON.parse(options.body).componentId],
+    }));
+
+    return { ...started, sent };
+}
+
+describe('request batching', () => {
+    it('sends the requests of one tick in a single batch', async () => {
+        const { diffyne, sent } = startBatching();
+
+        const results = await Promise.all([
+            diffyne.transport.send(payload('c1')),
+            diffyne.transport.send(payload('c2')),
+            diffyne.transport.send(payload('c3')),
+        ]);
+
+        expect(sent()).toEqual([{ url: '/update/batch', ids: ['c1', 'c2', 'c3'] }]);
+        expect(results.map(result => result.c.i)).toEqual(['c1', 'c2', 'c3']);
+    });
+
+    it('sends a request alone when nothing else was queued in its tick', async () => {
+        const { diffyne, sent } = startBatching();
+
+        await diffyne.transport.send(payload('c1'));
+        await diffyne.transport.send(payload('c2'));
+
+        expect(sent()).toEqual([{ url: '/update', ids: ['c1'] }, { url: '/update', ids: ['c2'] }]);
+    });
+
+    it('splits a tick into batches of at most maxBatchSize', async () => {
+        const { diffyne, sent } = startBatching(undefined, { maxBatchSize: 2 });
+
+        await Promise.all(['c1', 'c2', 'c3', 'c4', 'c5'].map(id => diffyne.transport.send(payload(id))));
+
+        expect(sent()).toEqual([
+            { url: '/update/batch', ids: ['c1', 'c2'] },
+            { url: '/update/batch', ids: ['c3', 'c4'] },
+            { url: '/update', ids: ['c5'] },
+        ]);
+    });
+
+    it('only batches requests that share their headers', async () => {
+        const { diffyne, sent } = startBatching();
+
+        await Promise.all([
+            diffyne.transport.queueBatch(payload('c1'), { headers: { 'X-Tenant': 'a' } }),
+            diffyne.transport.queueBatch(payload('c2'), { headers: { 'X-Tenant': 'b' } }),
+            diffyne.transport.queueBatch(payload('c3'), { headers: { 'X-Tenant': 'a' } }),
+        ]);
+
+        expect(sent()).toEqual([{ url: '/update/batch', ids: ['c1', 'c3'] }, { url: '/update', ids: ['c2'] }]);
+    });
+
+    it('settles each request with its own result', async () => {
+        const { diffyne } = startBatching(() => ({
+            s: true,
+            responses: [
+                ok('c1'),
+                { status: 422, body: { s: false, error: 'The given data was invalid.', type: 'validation_error' } },
+            ],
+        }));
+
+        const results = await Promise.allSettled(['c1', 'c2', 'c3'].map(id => diffyne.transport.send(payload(id))));
+
+        expect(results[0]).toMatchObject({ status: 'fulfilled', value: { s: true, c: { i: 'c1' } } });
+        expect(results[1]).toMatchObject({ status: 'rejected', reason: { status: 422, type: 'validation_error' } });
+        expect(results[2]).toMatchObject({ status: 'rejected', reason: { message: 'Missing response in batch' } });
+    });
+
+    it('fails every request of a batch the server rejects', async () => {
+        const { diffyne, fetch } = startBatching();
+        fetch.mockImplementation(async () => jsonResponse({ s: false, error: 'Server Error' }, 500));
+
+        const results = await Promise.allSettled(['c1', 'c2'].map(id => diffyne.transport.send(payload(id))));
+
+        expect(results.map(result => result.reason?.status)).toEqual([500, 500]);
+    });
+
+    it('updates every component clicked in the same tick with one request', async () => {
+        const button = id => `<div><button diff:click="increment">+</button><span>${id}</span></div>`;
+        const { fetch } = startDiffyne(componentHtml('c1', {}, button('c1')) + componentHtml('c2', {}, button('c2')), {
+            config: { batchRequests: true },
+            respond: (url, body) => jsonResponse({
+                s: true,
+                responses: body.requests.map(request => ({
+                    status: 200,
+                    body: { s: true, c: { i: request.componentId, p: [{ t: 't', p: [1, 0], d: { x: 'done' } }], st: {} } },
+                })),
+            }),
+        });
+
+        document.querySelectorAll('button').forEach(element => element.click());
+        await settle();
+
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(fetch.mock.calls[0][0]).toMatch(/\/update\/batch$/);
+        expect([...document.querySelectorAll('span')].map(span => span.textContent)).toEqual(['done', 'done']);
+    });
+});
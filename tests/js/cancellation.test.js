@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { componentHtml, startDiffyne, jsonResponse, updateResponse, settle } from './helpers.js';
+
+const counter = componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>');
+
+/**
+ * Start Diffyne with update requests held open, cancel requests are answered right away
+ */
+function startHeld(config = {}) {
+    const held = [];
+    const started = startDiffyne(counter, {
+        config,
+        respond: (url) => url.endsWith('/cancel')
+            ? jsonResponse({ success: true })
+            : new Promise(resolve => held.push(resolve)),
+    });
+
+    const requests = kind => started.fetch.mock.calls
+        .filter(([url]) => url.endsWith(kind))
+        .map(([, options]) => ({ options, body: JSON.parse(options.body) }));
+
+    return { ...started, held, requests };
+}
+
+describe('request cancellation', () => {
+    it('aborts a superseded request and tells the server to skip it', async () => {
+        const { held, requests } = startHeld({ cancelAfter: 0 });
+        const button = document.querySelector('button');
+
+        button.click();
+        await settle(10);
+        button.click();
+        await settle(10);
+
+        const [first, second] = requests('/update');
+        expect(first.options.signal.aborted).toBe(true);
+        expect(second.options.signal.aborted).toBe(false);
+
+        const cancels = requests('/cancel');
+        expect(cancels).toHaveLength(1);
+        expect(cancels[0].body).toEqual({ requestId: first.body.requestId });
+        expect(cancels[0].options.keepalive).toBe(true);
+
+        held[1](updateResponse('c1', { state: { count: 1 } }));
+        await settle();
+    });
+
+    it('does not report requests aborted within cancelAfter ms', async () => {
+        const { held, requests } = startHeld({ cancelAfter: 1000 });
+        const button = document.querySelector('button');
+
+        button.click();
+        await settle(10);
+        button.click();
+        await settle(10);
+
+        expect(requests('/update')[0].options.signal.aborted).toBe(true);
+        expect(requests('/cancel')).toHaveLength(0);
+
+        held[1](updateResponse('c1', { state: { count: 1 } }));
+        await settle();
+    });
+
+    it('rejects an aborted batch entry and reports it without failing the others', async () => {
+        const { diffyne, held, requests } = startHeld({ cancelAfter: 0 });
+        const aborted = new AbortController();
+
+        const first = diffyne.transport.queueBatch({ type: 'update', componentId: 'c1' }, { signal: aborted.signal });
+        const second = diffyne.transport.queueBatch({ type: 'update', componentId: 'c2' }, {});
+        const firstSettled = expect(first).rejects.toMatchObject({ name: 'AbortError' });
+        await settle(10);
+
+        const [batch] = requests('/update/batch');
+        aborted.abort();
+        await firstSettled;
+
+        expect(requests('/cancel')[0].body).toEqual({ requestId: batch.body.requests[0].requestId });
+
+        held[0](jsonResponse({
+            s: true,
+            responses: [
+                { status: 200, body: { s: true, c: { i: 'c1', p: [] } } },
+                { status: 200, body: { s: true, c: { i: 'c2', p: [] } } },
+            ],
+        }));
+        await expect(second).resolves.toMatchObject({ c: { i: 'c2' } });
+    });
+});
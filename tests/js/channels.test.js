@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { componentHtml, startDiffyne, settle, FakeWebSocket } from './helpers.js';
+
+/**
+ * EventSource stand-in that records the stream URLs
+ */
+class FakeEventSource {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 2;
+    static instances = [];
+
+    constructor(url) {
+        this.url = new URL(url);
+        this.readyState = FakeEventSource.CONNECTING;
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener() {}
+
+    close() {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+}
+
+const subscribed = (id, channels, tokens) => componentHtml(
+    id,
+    {},
+    '<div></div>',
+    `diff:channels="${channels}" diff:channel-tokens="${tokens}"`
+);
+
+describe('channel subscriptions', () => {
+    beforeEach(() => {
+        // Instances of earlier tests re-subscribe while their components are removed
+        vi.stubGlobal('EventSource', FakeEventSource);
+        FakeWebSocket.instances = [];
+        FakeEventSource.instances = [];
+    });
+
+    it('sends the rendered channel tokens when the socket opens', () => {
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        startDiffyne(subscribed('c1', 'orders,users.7', 'token-a,token-b'), {
+            config: { transport: 'websocket', wsUrl: 'ws://localhost:6001' },
+        });
+        const socket = FakeWebSocket.instances[0];
+
+        expect(socket.messages('diffyne.subscribe')).toHaveLength(0);
+        socket.open();
+
+        expect(socket.messages('diffyne.subscribe')).toEqual([
+            { event: 'diffyne.subscribe', data: { channels: { orders: 'token-a', 'users.7': 'token-b' } } },
+        ]);
+    });
+
+    it('leaves out channels the server did not issue a token for', () => {
+        startDiffyne(subscribed('c1', 'orders,admin', 'token-a'), { config: { transport: 'sse' } });
+
+        const params = [...FakeEventSource.instances[0].url.searchParams];
+        expect(params).toEqual([['channels[orders]', 'token-a']]);
+    });
+
+    it('reopens the event stream when a component adds channels', async () => {
+        const { diffyne: { transport } } = startDiffyne(subscribed('c1', 'orders', 'token-a'), { config: { transport: 'sse' } });
+        const first = transport.eventSource;
+
+        document.body.insertAdjacentHTML('beforeend', subscribed('c2', 'orders,invoices', 'token-a,token-c'));
+        await settle();
+
+        const second = transport.eventSource;
+        expect(first.readyState).toBe(FakeEventSource.CLOSED);
+        expect(second.url.searchParams.get('channels[orders]')).toBe('token-a');
+        expect(second.url.searchParams.get('channels[invoices]')).toBe('token-c');
+    });
+
+    it('unsubscribes from channels of destroyed components over the socket', async () => {
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        startDiffyne(subscribed('c1', 'orders', 'token-a') + subscribed('c2', 'orders,invoices', 'token-a,token-c'), {
+            config: { transport: 'websocket', wsUrl: 'ws://localhost:6001' },
+        });
+        const socket = FakeWebSocket.instances[0];
+        socket.open();
+
+        document.querySelector('[diff\\:id="c2"]').remove();
+        await settle();
+
+        expect(socket.messages('diffyne.subscribe').at(-1).data).toEqual({ channels: { orders: 'token-a' } });
+
+        document.querySelector('[diff\\:id="c1"]').remove();
+        await settle();
+
+        expect(socket.messages('diffyne.subscribe').at(-1).data).toEqual({ channels: {} });
+    });
+
+    it('reopens the event stream without the channels of destroyed components', async () => {
+        const { diffyne: { transport } } = startDiffyne(
+            subscribed('c1', 'orders', 'token-a') + subscribed('c2', 'invoices', 'token-c'),
+            { config: { transport: 'sse' } }
+        );
+
+        document.querySelector('[diff\\:id="c2"]').remove();
+        await settle();
+
+        expect([...transport.eventSource.url.searchParams]).toEqual([['channels[orders]', 'token-a']]);
+    });
+});
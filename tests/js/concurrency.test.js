@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from 'vitest';
+import { componentHtml, startDiffyne, updateResponse, settle } from './helpers.js';
+
+const counter = (directive = 'diff:click', attributes = '') => componentHtml(
+    'c1',
+    { count: 0 },
+    `<div><button ${directive}="increment">+</button><span>0</span></div>`,
+    attributes
+);
+
+/**
+ * Start Diffyne with fetch held open until the test answers each request
+ */
+function startHeld(html) {
+    const held = [];
+    const started = startDiffyne(html, {
+        respond: (url, body) => new Promise(resolve => held.push({ body, resolve })),
+    });
+
+    const answer = (index, count) => held[index].resolve(updateResponse('c1', {
+        state: { count },
+        signature: `sig-${count}`,
+        patches: [{ t: 't', p: [1, 0], d: { x: String(count) } }],
+    }));
+
+    return { ...started, held, answer };
+}
+
+describe('request concurrency policies', () => {
+    it('queue runs quick clicks one after another on the previous response', async () => {
+        const { diffyne, fetch, held, answer } = startHeld(counter('diff:click.queue'));
+        const button = document.querySelector('button');
+
+        button.click();
+        button.click();
+        button.click();
+        await settle(10);
+        expect(fetch).toHaveBeenCalledOnce();
+
+        answer(0, 1);
+        await settle();
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(held[1].body).toMatchObject({ state: { count: 1 }, signature: 'sig-1' });
+
+        answer(1, 2);
+        await settle();
+        expect(held[2].body).toMatchObject({ state: { count: 2 }, signature: 'sig-2' });
+
+        answer(2, 3);
+        await settle();
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(diffyne.registry.get('c1').state.count).toBe(3);
+        expect(document.querySelector('span').textContent).toBe('3');
+    });
+
+    it('cancel aborts the running request and applies only the latest one', async () => {
+        const { diffyne, fetch, answer } = startHeld(counter());
+        const button = document.querySelector('button');
+
+        button.click();
+        await settle(10);
+        button.click();
+        await settle(10);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(fetch.mock.calls[1][1].signal.aborted).toBe(false);
+
+        answer(1, 1);
+        answer(0, 7);
+        await settle();
+
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+        expect(document.querySelector('span').textContent).toBe('1');
+    });
+
+    it('parallel sends every click at once and applies responses as they arrive', async () => {
+        const { diffyne, fetch, answer } = startHeld(counter('diff:click', 'diff:concurrency="parallel"'));
+        const button = document.querySelector('button');
+
+        button.click();
+        button.click();
+        await settle(10);
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(fetch.mock.calls.every(([, options]) => !options.signal.aborted)).toBe(true);
+
+        answer(1, 2);
+        await settle();
+        expect(document.querySelector('span').textContent).toBe('2');
+
+        answer(0, 1);
+        await settle();
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+        expect(document.querySelector('span').textContent).toBe('1');
+    });
+
+    it('reads the policy and retry attempts from directive modifiers', () => {
+        const { diffyne } = startDiffyne(counter());
+        const parse = name => diffyne.eventBinder.parseActionModifiers(name);
+
+        expect(parse('diff:click.queue')).toEqual({ concurrency: 'queue' });
+        expect(parse('diff:click.parallel')).toEqual({ concurrency: 'parallel' });
+        expect(parse('diff:submit.prevent.cancel')).toEqual({ concurrency: 'cancel' });
+        expect(parse('diff:click.retry.3')).toEqual({ retry: 3 });
+        expect(parse('diff:click.queue.retry')).toEqual({ concurrency: 'queue', retry: true });
+        expect(parse('diff:click.noretry')).toEqual({ retry: 0 });
+        expect(parse('diff:click')).toEqual({});
+    });
+
+    it('falls back to cancel for an unknown policy', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const { diffyne } = startDiffyne(counter('diff:click', 'diff:concurrency="sometimes"'));
+
+        expect(diffyne.resolveConcurrency(diffyne.registry.get('c1'))).toBe('cancel');
+        expect(diffyne.resolveConcurrency(diffyne.registry.get('c1'), 'queue')).toBe('queue');
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * helpers.js
+ * Shared fixtures for the client tests: component markup, server responses and a fake socket
+ */
+
+import { vi } from 'vitest';
+import { Diffyne } from '../../resources/js/Diffyne.js';
+import { PROTOCOL_HEADER, PROTOCOL_VERSION } from '../../resources/js/protocol/index.js';
+
+/**
+ * Render a component wrapper the way DiffyneManager does
+ */
+export function componentHtml(id, state, content, attributes = '') {
+    const json = JSON.stringify(state).replace(/'/g, '&#39;');
+
+    return `<div diff:id="${id}" diff:class="App\\Counter" diff:name="Counter" diff:state='${json}' diff:signature="sig-0" ${attributes}>${content}</div>`;
+}
+
+/**
+ * Build a fetch() Response with a JSON body
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', [PROTOCOL_HEADER]: String(PROTOCOL_VERSION), ...headers },
+    });
+}
+
+/**
+ * Build an update response for a component
+ */
+export function updateResponse(id, { patches = [], state, signature = 'sig-next' } = {}) {
+    return jsonResponse({ s: true, c: { i: id, p: patches, st: state, sig: signature } });
+}
+
+/**
+ * Put markup in the page and start Diffyne on it, fetch is answered by respond(url, body)
+ */
+export function startDiffyne(html, { config = {}, respond = () => jsonResponse({ s: true }) } = {}) {
+    document.body.innerHTML = html;
+
+    const fetch = vi.fn(async (url, options) => respond(url, options.body ? JSON.parse(options.body) : null, options));
+    vi.stubGlobal('fetch', fetch);
+
+    const diffyne = new Diffyne({ batchRequests: false, retryAttempts: 0, ...config });
+
+    return { diffyne, fetch };
+}
+
+/**
+ * Wait for pending promises, timers and animation frames
+ */
+export function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * WebSocket stand-in that records sent messages and lets tests play the server
+ */
+export class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(message) {
+        this.sent.push(JSON.parse(message));
+    }
+
+    close() {
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose?.({ code: 1000 });
+    }
+
+    /**
+     * Complete the handshake
+     */
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen?.();
+    }
+
+    /**
+     * Deliver a server event
+     */
+    receive(event, data) {
+        this.onmessage?.({ data: JSON.stringify({ event, data }) });
+    }
+
+    /**
+     * Get the sent messages of an event
+     */
+    messages(event) {
+        return this.sent.filter(message => message.event === event);
+    }
+}
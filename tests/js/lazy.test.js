@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { startDiffyne, jsonResponse, settle } from './helpers.js';
+
+/**
+ * Render a lazy placeholder the way DiffyneManager::mountLazy does
+ */
+const placeholder = (mode = 'load', { token = 'mount-token' } = {}) => `
+    <div diff:id="c1" diff:class="App\\Feed" diff:name="Feed" diff:params='{"limit":5}'
+        ${token === null ? '' : `diff:mount-token="${token}"`} diff:lazy="${mode}" data-diffyne-lazy data-diffyne-component>
+        <p class="placeholder">Loading…</p>
+        <template diff:lazy-error><p class="error">Failed</p><button diff:lazy-retry>Retry</button></template>
+    </div>`;
+
+const loaded = () => jsonResponse({
+    success: true,
+    html: '<div><span>5 items</span></div>',
+    state: { limit: 5 },
+    fingerprint: 'fp',
+    signature: 'sig-1',
+});
+
+let previous = null;
+
+/**
+ * Start Diffyne on a placeholder, lazy loads are answered by the given responses in turn
+ */
+function startLazy(mode, responses = [loaded], options = {}) {
+    const queue = [...responses];
+
+    // The instance of the previous test would load the new placeholder as well
+    if (previous) {
+        previous.scheduleLazyComponent = () => {};
+    }
+
+    const started = startDiffyne(placeholder(mode, options), {
+        respond: url => url.endsWith('/update/lazy') ? queue.shift()() : jsonResponse({ s: true }),
+    });
+    previous = started.diffyne;
+
+    return started;
+}
+
+const lazyRequests = fetch => fetch.mock.calls.filter(([url]) => url.endsWith('/update/lazy'));
+
+describe('lazy components', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('loads right away and registers the component', async () => {
+        const { diffyne, fetch } = startLazy('load');
+        await settle(150);
+
+        expect(JSON.parse(lazyRequests(fetch)[0][1].body)).toMatchObject({
+            componentClass: 'App\\Feed',
+            componentId: 'c1',
+            params: '{"limit":5}',
+            token: 'mount-token',
+        });
+        expect(document.querySelector('span').textContent).toBe('5 items');
+        expect(diffyne.registry.get('c1')).toMatchObject({ signature: 'sig-1', state: { limit: 5 } });
+        expect(document.querySelector('[diff\\:id]').hasAttribute('data-diffyne-lazy')).toBe(false);
+    });
+
+    it('waits until a visible placeholder comes near the viewport', async () => {
+        const observers = [];
+        vi.stubGlobal('IntersectionObserver', class {
+            constructor(callback, options) {
+                this.callback = callback;
+                this.options = options;
+                this.observed = new Set();
+                observers.push(this);
+            }
+
+            observe(element) { this.observed.add(element); }
+
+            unobserve(element) { this.observed.delete(element); }
+        });
+
+        const { fetch } = startLazy('visible');
+        await settle(150);
+
+        const [observer] = observers;
+        const element = document.querySelector('[diff\\:id="c1"]');
+        expect(lazyRequests(fetch)).toHaveLength(0);
+        expect(observer.options.rootMargin).toBe('200px');
+        expect(observer.observed.has(element)).toBe(true);
+
+        observer.callback([{ target: element, isIntersecting: false }]);
+        await settle();
+        expect(lazyRequests(fetch)).toHaveLength(0);
+
+        observer.callback([{ target: element, isIntersecting: true }]);
+        await settle();
+        expect(lazyRequests(fetch)).toHaveLength(1);
+        expect(observer.observed.has(element)).toBe(false);
+        expect(document.querySelector('span').textContent).toBe('5 items');
+    });
+
+    it('waits for the browser to be idle', async () => {
+        const idle = [];
+        vi.stubGlobal('requestIdleCallback', (callback, options) => idle.push({ callback, options }));
+
+        const { fetch } = startLazy('idle');
+        await settle(150);
+
+        expect(lazyRequests(fetch)).toHaveLength(0);
+        expect(idle[0].options).toEqual({ timeout: 2000 });
+
+        idle.forEach(({ callback }) => callback());
+        await settle();
+        expect(lazyRequests(fetch)).toHaveLength(1);
+        expect(document.querySelector('span').textContent).toBe('5 items');
+    });
+
+    it('shows the error template and loads again from retry', async () => {
+        const { fetch } = startLazy('load', [
+            () => jsonResponse({ success: false, error: 'Failed to load component' }, 500),
+            loaded,
+        ]);
+        await settle(150);
+
+        expect(document.querySelector('.error')).not.toBeNull();
+        expect(document.querySelector('.placeholder')).toBeNull();
+
+        document.querySelector('[diff\\:lazy-retry]').click();
+        expect(document.querySelector('.placeholder')).not.toBeNull();
+        await settle();
+
+        expect(lazyRequests(fetch)).toHaveLength(2);
+        expect(document.querySelector('span').textContent).toBe('5 items');
+    });
+
+    it('does not load a component rendered in another protocol version', async () => {
+        const mismatch = vi.fn(event => event.preventDefault());
+        window.addEventListener('diffyne:protocol-mismatch', mismatch);
+
+        const { diffyne } = startLazy('load', [
+            () => jsonResponse({ success: true, html: '<div><span>5 items</span></div>', state: {}, signature: 'sig-1' }, 200, { 'X-Diffyne-Protocol': '99' }),
+        ]);
+        await settle(150);
+        window.removeEventListener('diffyne:protocol-mismatch', mismatch);
+
+        expect(mismatch).toHaveBeenCalledTimes(1);
+        expect(mismatch.mock.calls[0][0].detail.serverVersion).toBe('99');
+        expect(document.querySelector('span')).toBeNull();
+        expect(document.querySelector('.error')).not.toBeNull();
+        expect(diffyne.registry.get('c1')).toBeUndefined();
+    });
+
+    it('does not send a placeholder rendered without a mount token', async () => {
+        const { diffyne, fetch } = startLazy('load', [], { token: null });
+        await settle(150);
+        diffyne.loadLazyComponents();
+        await settle();
+
+        expect(lazyRequests(fetch)).toHaveLength(0);
+        expect(document.querySelector('.error')).not.toBeNull();
+        expect(diffyne.registry.get('c1')).toBeUndefined();
+        expect(console.error).toHaveBeenCalledWith('[Diffyne Error]', expect.stringContaining('has no mount token'));
+
+        // Retrying cannot help, the button reloads the page instead
+        document.querySelector('[diff\\:lazy-retry]').click();
+        await settle();
+        expect(lazyRequests(fetch)).toHaveLength(0);
+        expect(document.querySelector('.placeholder')).toBeNull();
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { decodeMessagePack } from '../../resources/js/utils/msgpack.js';
+
+/**
+ * Decode a hex string such as the PHP encoder tests compare against
+ */
+const decodeHex = hex => decodeMessagePack(Uint8Array.from(hex.match(/../g) || [], byte => parseInt(byte, 16)));
+
+describe('MessagePack decoder', () => {
+    it('decodes nil, booleans and every integer width', () => {
+        expect(decodeHex('c0')).toBe(null);
+        expect(decodeHex('c2')).toBe(false);
+        expect(decodeHex('c3')).toBe(true);
+        expect(decodeHex('05')).toBe(5);
+        expect(decodeHex('ff')).toBe(-1);
+        expect(decodeHex('cc80')).toBe(128);
+        expect(decodeHex('cd012c')).toBe(300);
+        expect(decodeHex('ce00010000')).toBe(65536);
+        expect(decodeHex('cf0000000100000000')).toBe(2 ** 32);
+        expect(decodeHex('d080')).toBe(-128);
+        expect(decodeHex('d1ff38')).toBe(-200);
+        expect(decodeHex('d2ffff0000')).toBe(-65536);
+        expect(decodeHex('d3ffffffff00000000')).toBe(-(2 ** 32));
+    });
+
+    it('decodes floats', () => {
+        expect(decodeHex('ca3fc00000')).toBe(1.5);
+        expect(decodeHex('cb3ff8000000000000')).toBe(1.5);
+    });
+
+    it('decodes strings of every length prefix as UTF-8', () => {
+        expect(decodeHex('a26162')).toBe('ab');
+        expect(decodeHex('a3e282ac')).toBe('€');
+        expect(decodeHex('d9026162')).toBe('ab');
+        expect(decodeHex('da00026162')).toBe('ab');
+        expect(decodeHex('db000000026162')).toBe('ab');
+        expect(decodeHex('a0')).toBe('');
+    });
+
+    it('decodes arrays and maps into arrays and objects', () => {
+        expect(decodeHex('920102')).toEqual([1, 2]);
+        expect(decodeHex('dc00020102')).toEqual([1, 2]);
+        expect(decodeHex('dd000000020102')).toEqual([1, 2]);
+        expect(decodeHex('81a174a172')).toEqual({ t: 'r' });
+        expect(decodeHex('de0001a174a172')).toEqual({ t: 'r' });
+        expect(decodeHex('df00000001a174a172')).toEqual({ t: 'r' });
+        expect(decodeHex('80')).toEqual({});
+        expect(decodeHex('90')).toEqual([]);
+    });
+
+    it('decodes a patch response', () => {
+        // {"s":true,"c":{"i":"c1","p":[{"t":"t","p":[0],"d":{"x":"1"}}]}}
+        expect(decodeHex('82a173c3a16382a169a26331a1709183a174a174a1709100a16481a178a131')).toEqual({
+            s: true,
+            c: { i: 'c1', p: [{ t: 't', p: [0], d: { x: '1' } }] },
+        });
+    });
+
+    it('decodes bin values into byte arrays', () => {
+        expect(decodeHex('c403010203')).toEqual(new Uint8Array([1, 2, 3]));
+        expect(decodeHex('c50002abcd')).toEqual(new Uint8Array([0xab, 0xcd]));
+        expect(decodeHex('c60000000100')).toEqual(new Uint8Array([0]));
+        expect(decodeHex('c400')).toEqual(new Uint8Array([]));
+    });
+
+    it('reads from a view into a larger buffer', () => {
+        const bytes = new Uint8Array([0xff, 0xcd, 0x01, 0x2c, 0xff]);
+
+        expect(decodeMessagePack(bytes.subarray(1, 4))).toBe(300);
+        expect(decodeMessagePack(bytes.buffer.slice(1, 4))).toBe(300);
+    });
+
+    it('rejects ext types', () => {
+        expect(() => decodeHex('d40100')).toThrow('Unsupported MessagePack type 0xd4');
+        expect(() => decodeHex('c7010100')).toThrow('Unsupported MessagePack type 0xc7');
+    });
+
+    it('rejects truncated data', () => {
+        ['', 'cd01', 'cb3ff8', 'a361', 'd903', 'c40301', 'c6000000', '9201', 'dc0002', '81a174', 'dfffffffff']
+            .forEach(hex => expect(() => decodeHex(hex), hex).toThrow('Unexpected end of MessagePack data'));
+    });
+
+    it('rejects bytes after the value', () => {
+        expect(() => decodeHex('0102')).toThrow('Trailing bytes after MessagePack value');
+    });
+});
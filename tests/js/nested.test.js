@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { isOwnElement, queryOwn } from '../../resources/js/utils/helpers.js';
+import { componentHtml, startDiffyne, updateResponse, settle } from './helpers.js';
+
+const child = componentHtml(
+    'child',
+    { name: 'child' },
+    '<div><button diff:click="save">Save child</button><input diff:model="name" value="child"><span diff:error="name"></span></div>'
+);
+
+const parent = componentHtml(
+    'parent',
+    { name: 'parent' },
+    `<div><button diff:click="save">Save parent</button><input diff:model="name" value="parent"><span diff:error="name"></span>${child}</div>`
+);
+
+/**
+ * Get the parsed bodies of the requests sent so far
+ */
+const bodies = fetch => fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+
+describe('element ownership', () => {
+    it('tells a component\'s own elements from those of nested components', () => {
+        document.body.innerHTML = parent;
+        const parentWrapper = document.querySelector('[diff\\:id="parent"]');
+        const childWrapper = document.querySelector('[diff\\:id="child"]');
+        const [parentButton, childButton] = document.querySelectorAll('button');
+
+        expect(isOwnElement(parentButton, parentWrapper)).toBe(true);
+        expect(isOwnElement(childButton, parentWrapper)).toBe(false);
+        expect(isOwnElement(childButton, childWrapper)).toBe(true);
+        expect(isOwnElement(childWrapper, parentWrapper)).toBe(false);
+
+        expect(queryOwn(parentWrapper, 'button')).toEqual([parentButton]);
+        expect(queryOwn(childWrapper, 'button')).toEqual([childButton]);
+        expect(queryOwn(parentWrapper, '[diff\\:id]')).toEqual([]);
+    });
+});
+
+describe('nested components', () => {
+    it('hydrates the child with its parent', () => {
+        const { diffyne } = startDiffyne(parent);
+
+        expect(diffyne.registry.get('parent').parentId).toBeNull();
+        expect(diffyne.registry.get('child').parentId).toBe('parent');
+    });
+
+    it('sends a click inside the child to the child only', async () => {
+        const { fetch } = startDiffyne(parent, { respond: (url, body) => updateResponse(body.componentId, { state: {} }) });
+
+        document.querySelectorAll('button')[1].click();
+        await settle();
+
+        expect(bodies(fetch)).toEqual([expect.objectContaining({ componentId: 'child', method: 'save' })]);
+    });
+
+    it('keeps model input inside the child out of the parent\'s state', () => {
+        const { diffyne } = startDiffyne(parent);
+        const childInput = document.querySelectorAll('input')[1];
+
+        childInput.value = 'typed';
+        childInput.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(diffyne.registry.get('child').state.name).toBe('typed');
+        expect(diffyne.registry.get('parent').state.name).toBe('parent');
+    });
+
+    it('applies the parent\'s state and errors to its own elements only', async () => {
+        const { diffyne } = startDiffyne(parent, {
+            respond: () => updateResponse('parent', { state: { name: 'renamed' } }),
+        });
+        const [parentInput, childInput] = document.querySelectorAll('input');
+
+        document.querySelector('button').click();
+        await settle();
+        diffyne.errorService.display(diffyne.registry.get('parent').element, { name: ['Too short.'] });
+
+        expect(parentInput.value).toBe('renamed');
+        expect(childInput.value).toBe('child');
+
+        const [parentError, childError] = document.querySelectorAll('[diff\\:error]');
+        expect(parentError.textContent).toContain('Too short.');
+        expect(childError.textContent).toBe('');
+    });
+});
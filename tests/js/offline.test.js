@@ -0,0 +1,223 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { OfflineQueueService } from '../../resources/js/services/OfflineQueueService.js';
+import { Logger } from '../../resources/js/utils/helpers.js';
+import { componentHtml, startDiffyne, updateResponse, jsonResponse, settle } from './helpers.js';
+
+const counter = componentHtml('c1', { count: 0 }, '<div><button diff:click="increment" diff:optimistic="count=count+1">+</button></div>');
+
+let online = true;
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    sessionStorage.clear();
+    online = true;
+    Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+});
+
+afterEach(() => {
+    delete navigator.onLine;
+});
+
+async function goOnline() {
+    online = true;
+    window.dispatchEvent(new Event('online'));
+    await settle(100);
+}
+
+describe('offline action queue', () => {
+    it('stores calls made offline and replays them with their idempotency key', async () => {
+        online = false;
+        const { diffyne, fetch } = startDiffyne(counter, {
+            config: { offline: true },
+            respond: () => updateResponse('c1', { state: { count: 1 } }),
+        });
+        await diffyne.offlineQueue.ready;
+
+        document.querySelector('button').click();
+        await settle();
+
+        const [record] = await diffyne.offlineQueue.getAll();
+        expect(fetch).not.toHaveBeenCalled();
+        expect(record.payload.method).toBe('increment');
+        expect(record.payload.idempotencyKey).toBeTruthy();
+        expect(document.querySelector('[diff\\:id="c1"]').hasAttribute('data-diffyne-offline')).toBe(true);
+
+        await goOnline();
+
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(JSON.parse(fetch.mock.calls[0][1].body).idempotencyKey).toBe(record.payload.idempotencyKey);
+        expect(await diffyne.offlineQueue.getAll()).toEqual([]);
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+        expect(document.querySelector('[diff\\:id="c1"]').hasAttribute('data-diffyne-offline')).toBe(false);
+    });
+
+    it('keeps the optimistic change until the replay settles', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        online = false;
+        const { diffyne } = startDiffyne(counter, {
+            config: { offline: true },
+            respond: () => jsonResponse({ s: false, error: 'Sold out' }, 422),
+        });
+        await diffyne.offlineQueue.ready;
+        const component = diffyne.registry.get('c1');
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(component.state.count).toBe(1);
+
+        await goOnline();
+
+        // The server rejected the replay, so the change rolls back
+        expect(component.optimisticUpdates).toEqual([]);
+        expect(component.state.count).toBe(0);
+    });
+
+    it('discards stored actions of components that are no longer on the page and announces it', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const dropped = vi.fn();
+        window.addEventListener('diffyne:offline-dropped', dropped);
+        online = false;
+        const { diffyne, fetch } = startDiffyne(counter, { config: { offline: true } });
+        await diffyne.offlineQueue.ready;
+
+        await diffyne.offlineQueue.store({ type: 'call', componentId: 'gone', method: 'increment', params: [] }, 'App\\Chart||0');
+        await goOnline();
+        window.removeEventListener('diffyne:offline-dropped', dropped);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(await diffyne.offlineQueue.getAll()).toEqual([]);
+        expect(dropped).toHaveBeenCalledOnce();
+        expect(dropped.mock.calls[0][0].detail).toMatchObject({ action: { componentId: 'gone' }, reason: 'missing' });
+    });
+
+    it('replays actions stored before a reload on the component rendered with a new id', async () => {
+        online = false;
+        const { diffyne, fetch } = startDiffyne(counter, {
+            config: { offline: true },
+            respond: () => updateResponse('c1', { state: { count: 1 } }),
+        });
+        await diffyne.offlineQueue.ready;
+
+        // Stored by the page before the reload, where the server rendered the component as diffyne-old
+        await diffyne.offlineQueue.store(
+            { type: 'call', componentId: 'diffyne-old', componentClass: 'App\\Counter', method: 'increment', params: [] },
+            'App\\Counter||0'
+        );
+        await goOnline();
+
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ componentId: 'c1', method: 'increment' });
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+        expect(await diffyne.offlineQueue.getAll()).toEqual([]);
+    });
+
+    it('identifies components by class, mount parameters and position', () => {
+        const { diffyne } = startDiffyne(
+            componentHtml('a', { count: 0 }, '<div></div>')
+            + componentHtml('b', { count: 0 }, '<div></div>')
+            + componentHtml('c', { count: 0 }, '<div></div>', `diff:params='{"step":2}'`),
+            { config: { offline: true } }
+        );
+        const identity = id => diffyne.componentIdentity(diffyne.registry.get(id));
+
+        expect(identity('a')).toBe('App\\Counter||0');
+        expect(identity('b')).toBe('App\\Counter||1');
+        expect(identity('c')).toBe('App\\Counter|{"step":2}|0');
+    });
+
+    it('drops the stored actions of a component when it is removed', async () => {
+        online = false;
+        const { diffyne, fetch } = startDiffyne(counter, {
+            config: { offline: true },
+            respond: () => updateResponse('c1', { state: { count: 1 } }),
+        });
+        await diffyne.offlineQueue.ready;
+
+        document.querySelector('button').click();
+        await settle();
+        expect(diffyne.offlineLayers.size).toBe(1);
+
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const dropped = vi.fn();
+        window.addEventListener('diffyne:offline-dropped', dropped);
+        document.body.innerHTML = '';
+        await settle();
+        window.removeEventListener('diffyne:offline-dropped', dropped);
+
+        expect(dropped.mock.calls.map(([event]) => event.detail.reason)).toEqual(['destroyed']);
+
+        expect(await diffyne.offlineQueue.getAll()).toEqual([]);
+        expect(diffyne.offlineQueue.hasPending()).toBe(false);
+        expect(diffyne.offlineLayers.size).toBe(0);
+
+        // A component rendered again with the same id starts from its own state
+        document.body.innerHTML = counter;
+        await settle();
+        await goOnline();
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(diffyne.registry.get('c1').state.count).toBe(0);
+    });
+});
+
+describe('OfflineQueueService', () => {
+    const open = async () => {
+        const queue = new OfflineQueueService(new Logger(false));
+        await queue.ready;
+        return queue;
+    };
+
+    it('only returns the records of its own page', async () => {
+        sessionStorage.setItem('diffyne:page', 'tab-a');
+        await (await open()).store({ type: 'call', componentId: 'c1' });
+
+        sessionStorage.setItem('diffyne:page', 'tab-b');
+        const otherTab = await open();
+
+        expect(otherTab.hasPending()).toBe(false);
+        expect(await otherTab.getAll()).toEqual([]);
+
+        sessionStorage.setItem('diffyne:page', 'tab-a');
+        const reloaded = await open();
+
+        expect(reloaded.hasPending()).toBe(true);
+        expect((await reloaded.getAll())[0].payload.componentId).toBe('c1');
+    });
+
+    it('drops records older than a day when it opens', async () => {
+        const queue = await open();
+        await queue.transaction('readwrite', store => store.add({
+            payload: { type: 'call', componentId: 'c1' },
+            scope: queue.scope,
+            createdAt: Date.now() - 25 * 60 * 60 * 1000,
+        }));
+
+        expect((await open()).hasPending()).toBe(false);
+    });
+
+    it('counts a record removed twice only once', async () => {
+        const queue = await open();
+        const first = await queue.store({ type: 'call', componentId: 'c1' });
+        await queue.store({ type: 'call', componentId: 'c2' });
+
+        await queue.remove(first);
+        await queue.remove(first);
+
+        expect(queue.size).toBe(1);
+        expect(await queue.removeComponent('c2')).toHaveLength(1);
+        expect(queue.hasPending()).toBe(false);
+    });
+
+    it('removes the records of a component stored under an earlier id by its identity', async () => {
+        const queue = await open();
+        await queue.store({ type: 'call', componentId: 'diffyne-old' }, 'App\\Counter||0');
+        await queue.store({ type: 'call', componentId: 'diffyne-other' }, 'App\\Counter||1');
+
+        expect((await queue.removeComponent('diffyne-new', 'App\\Counter||0')).map(record => record.payload.componentId))
+            .toEqual(['diffyne-old']);
+        expect(queue.size).toBe(1);
+    });
+});
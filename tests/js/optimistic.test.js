@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest';
+import { componentHtml, startDiffyne, updateResponse, jsonResponse, settle } from './helpers.js';
+
+const todo = componentHtml(
+    'c1',
+    { done: false, likes: 3 },
+    '<div><button diff:click="like" diff:optimistic="likes=likes+1; done=!done">Like</button><b diff:text="likes">3</b></div>'
+);
+
+describe('optimistic updates', () => {
+    it('shows the expected result before the server answers', async () => {
+        const { diffyne } = startDiffyne(todo, { respond: () => new Promise(() => {}) });
+
+        document.querySelector('button').click();
+        await settle(0);
+
+        expect(diffyne.registry.get('c1').state).toMatchObject({ likes: 4, done: true });
+        expect(document.querySelector('b').textContent).toBe('4');
+    });
+
+    it('sends the confirmed state, not the optimistic one', async () => {
+        const { fetch } = startDiffyne(todo, { respond: () => new Promise(() => {}) });
+
+        document.querySelector('button').click();
+        await settle(0);
+
+        expect(JSON.parse(fetch.mock.calls[0][1].body).state).toEqual({ done: false, likes: 3 });
+    });
+
+    it('keeps the server result once the request succeeds', async () => {
+        const { diffyne } = startDiffyne(todo, {
+            respond: () => updateResponse('c1', { state: { done: true, likes: 10 } }),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        const component = diffyne.registry.get('c1');
+        expect(component.state).toMatchObject({ likes: 10, done: true });
+        expect(component.optimisticUpdates).toEqual([]);
+        expect(document.querySelector('b').textContent).toBe('10');
+    });
+
+    it('rolls back to the server state when the request fails', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const { diffyne } = startDiffyne(todo, {
+            respond: () => jsonResponse({ s: false, error: 'Nope' }, 500),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(diffyne.registry.get('c1').state).toMatchObject({ likes: 3, done: false });
+        expect(document.querySelector('b').textContent).toBe('3');
+    });
+
+    it('re-applies pending changes on top of an earlier response', async () => {
+        const answers = [];
+        const { diffyne } = startDiffyne(todo.replace('diff:click="like"', 'diff:click.parallel="like"'), {
+            respond: () => new Promise(resolve => answers.push(resolve)),
+        });
+
+        document.querySelector('button').click();
+        document.querySelector('button').click();
+        await settle(0);
+
+        expect(diffyne.registry.get('c1').state.likes).toBe(5);
+
+        answers[0](updateResponse('c1', { state: { done: true, likes: 4 } }));
+        await settle();
+
+        // The first like is confirmed, the second one still shows on top of it
+        expect(diffyne.registry.get('c1').state).toMatchObject({ likes: 5, done: false });
+    });
+
+    it('takes down the changes of queued calls a later call cancels', async () => {
+        const answers = [];
+        const { diffyne } = startDiffyne(
+            todo.replace('diff:click="like"', 'diff:click.queue="like"').replace('</button>', '</button><i diff:click="save">Save</i>'),
+            {
+                respond: (url, body, { signal }) => new Promise((resolve, reject) => {
+                    answers.push(resolve);
+                    signal?.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+                }),
+            }
+        );
+
+        document.querySelector('button').click();
+        document.querySelector('button').click();
+        await settle(0);
+
+        const component = diffyne.registry.get('c1');
+        expect(component.state.likes).toBe(5);
+        expect(component.optimisticUpdates).toHaveLength(2);
+
+        // The default cancel policy aborts the running like and drops the queued one
+        document.querySelector('i').click();
+        await settle(0);
+        answers.at(-1)(updateResponse('c1', { state: { done: false, likes: 3 } }));
+        await settle();
+
+        expect(component.optimisticUpdates).toEqual([]);
+        expect(component.state).toMatchObject({ likes: 3, done: false });
+        expect(document.querySelector('b').textContent).toBe('3');
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PatchApplier } from '../../resources/js/core/PatchApplier.js';
+
+function mountContent(html) {
+    document.body.innerHTML = `<div diff:id="c1">${html}</div>`;
+    return document.querySelector('[diff\\:id="c1"]').firstElementChild;
+}
+
+const li = (key, text) => ({ t: 'li', a: key === null ? {} : { 'diff:key': key }, c: [{ x: text }] });
+const texts = list => [...list.children].map(el => el.textContent);
+
+/**
+ * Deterministic pseudo random numbers so failures can be reproduced
+ */
+function random(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+function shuffle(items, next) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+describe('longest increasing run', () => {
+    const applier = new PatchApplier();
+
+    it('keeps the nodes already in order', () => {
+        expect([...applier.longestIncreasingRun([2, 0, 1, 3])].sort()).toEqual([1, 2, 3]);
+        expect(applier.longestIncreasingRun([]).size).toBe(0);
+        expect(applier.longestIncreasingRun([3, 2, 1]).size).toBe(1);
+    });
+
+    it('finds an increasing run as long as the brute force answer', () => {
+        const next = random(7);
+        const longest = positions => {
+            const lengths = positions.map(() => 1);
+            for (let a = 0; a < positions.length; a++) {
+                for (let b = 0; b < a; b++) {
+                    if (positions[b] < positions[a]) lengths[a] = Math.max(lengths[a], lengths[b] + 1);
+                }
+            }
+            return Math.max(0, ...lengths);
+        };
+
+        for (let round = 0; round < 50; round++) {
+            const positions = shuffle([...Array(1 + Math.floor(next() * 12)).keys()], next);
+            const run = [...applier.longestIncreasingRun(positions)].sort((a, b) => a - b);
+
+            expect(run.length).toBe(longest(positions));
+            run.slice(1).forEach((index, i) => expect(positions[run[i]]).toBeLessThan(positions[index]));
+        }
+    });
+});
+
+describe('keyed reorder', () => {
+    it('moves only the nodes outside the longest run and keeps their identity', () => {
+        const root = mountContent('<div><ul><li diff:key="a">a</li><li diff:key="b">b</li><li diff:key="c">c</li><li diff:key="d">d</li></ul></div>');
+        const list = root.querySelector('ul');
+        const before = Object.fromEntries([...list.children].map(el => [el.textContent, el]));
+        const insertBefore = vi.spyOn(list, 'insertBefore');
+
+        new PatchApplier().applyPatches(root, [{ t: 'o', p: [0], d: { k: ['k:d', 'k:a', 'k:b', 'k:c'] } }]);
+
+        expect(texts(list)).toEqual(['d', 'a', 'b', 'c']);
+        expect(insertBefore).toHaveBeenCalledOnce();
+        [...list.children].forEach(el => expect(el).toBe(before[el.textContent]));
+    });
+
+    it('resolves later paths against the reordered outline', () => {
+        const next = random(42);
+
+        for (let round = 0; round < 30; round++) {
+            const keys = [...Array(2 + Math.floor(next() * 8)).keys()].map(i => (next() < 0.3 ? null : `item${i}`));
+            const identities = [];
+            let unkeyed = 0;
+            keys.forEach(key => identities.push(key === null ? `u:${unkeyed++}` : `k:${key}`));
+
+            const root = mountContent(`<div><ul>${keys.map((key, i) => (key === null ? `<li>${i}</li>` : `<li diff:key="${key}">${i}</li>`)).join('\n')}</ul></div>`);
+            const list = root.querySelector('ul');
+            const nodes = Object.fromEntries([...list.children].map((el, i) => [identities[i], el]));
+            const order = shuffle(identities, next);
+
+            new PatchApplier().applyPatches(root, [
+                { t: 'o', p: [0], d: { k: order } },
+                ...order.map((_, i) => ({ t: 't', p: [0, i, 0], d: { x: `pos${i}` } })),
+            ]);
+
+            expect([...list.children]).toEqual(order.map(identity => nodes[identity]));
+            expect(texts(list)).toEqual(order.map((_, i) => `pos${i}`));
+        }
+    });
+
+    it('rejects keys that do not match the children', () => {
+        const root = mountContent('<div><ul><li diff:key="a">a</li></ul></div>');
+
+        expect(() => new PatchApplier().applyPatches(root, [{ t: 'o', p: [0], d: { k: ['k:z'] } }]))
+            .toThrow('reorder keys do not match the children');
+    });
+});
+
+describe('patch path resolution', () => {
+    it('replays removals, creates and updates in server order', () => {
+        const root = mountContent(`<div>
+            <ul>
+                <li>a</li>
+                <li>b</li>
+                <li>c</li>
+                <li>d</li>
+            </ul>
+        </div>`);
+
+        new PatchApplier().applyPatches(root, [
+            { t: 'r', p: [0, 3] },
+            { t: 'r', p: [0, 1] },
+            { t: 'c', p: [0, 1], d: { node: li(null, 'x') } },
+            { t: 't', p: [0, 2, 0], d: { x: 'C' } },
+            { t: 'c', p: [0, 3], d: { node: li(null, 'y') } },
+        ]);
+
+        expect(texts(root.querySelector('ul'))).toEqual(['a', 'x', 'C', 'y']);
+    });
+
+    it('patches inside a node created earlier in the batch', () => {
+        const root = mountContent('<div><ul></ul></div>');
+
+        new PatchApplier().applyPatches(root, [
+            { t: 'c', p: [0, 0], d: { node: { t: 'li', a: {}, c: [{ t: 'span', a: {}, c: [{ x: 'new' }] }] } } },
+            { t: 'a', p: [0, 0, 0], d: { s: { class: 'badge' } } },
+            { t: 't', p: [0, 0, 0, 0], d: { x: 'fresh' } },
+        ]);
+
+        expect(root.querySelector('ul').innerHTML).toBe('<li><span class="badge">fresh</span></li>');
+    });
+
+    it('does not follow paths into nested components', () => {
+        const root = mountContent('<div><div diff:id="child"><p>inside</p></div></div>');
+
+        expect(() => new PatchApplier().applyPatches(root, [{ t: 't', p: [0, 0, 0], d: { x: 'x' } }]))
+            .toThrow('enters a nested component');
+        expect(root.querySelector('p').textContent).toBe('inside');
+    });
+});
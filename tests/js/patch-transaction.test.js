@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PatchApplier } from '../../resources/js/core/PatchApplier.js';
+import { componentHtml, startDiffyne, jsonResponse, settle } from './helpers.js';
+
+const markup = '<div><h1 class="title">Cart</h1><ul><li>one</li><li>two</li></ul></div>';
+
+function mountContent() {
+    document.body.innerHTML = `<div diff:id="c1">${markup}</div>`;
+    return document.querySelector('[diff\\:id="c1"]').firstElementChild;
+}
+
+function capture(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the patches to fail');
+}
+
+describe('transactional patching', () => {
+    it('rejects a batch with an unresolvable path before touching the DOM', () => {
+        const root = mountContent();
+
+        const error = capture(() => new PatchApplier().applyPatches(root, [
+            { t: 't', p: [0, 0], d: { x: 'Basket' } },
+            { t: 'r', p: [1, 5] },
+        ]));
+
+        expect(error.type).toBe('patch_failed');
+        expect(error.details).toMatchObject({ index: 1, phase: 'validate', path: [1, 5] });
+        expect(root.outerHTML).toBe(markup);
+    });
+
+    it('rolls back every patch of the batch when one throws while applying', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const root = mountContent();
+
+        const error = capture(() => new PatchApplier().applyPatches(root, [
+            { t: 't', p: [0, 0], d: { x: 'Basket' } },
+            { t: 'a', p: [0], d: { s: { class: 'title big' }, r: [] } },
+            { t: 'c', p: [1, 2], d: { node: { t: 'li', a: {}, c: [{ x: 'three' }] } } },
+            { t: 'r', p: [1, 0] },
+            { t: 'a', p: [1], d: { s: { 'not valid': 'x' } } },
+        ]));
+
+        expect(error.details).toMatchObject({ index: 4, phase: 'apply' });
+        expect(root.outerHTML).toBe(markup);
+    });
+
+    it('restores the value, checked and selected properties of a failed batch', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        document.body.innerHTML = `<div diff:id="c1"><form>
+            <input name="qty" value="1"><input type="checkbox" name="gift">
+            <input type="radio" name="size" value="s" checked><input type="radio" name="size" value="m">
+            <select name="color"><option value="red">Red</option><option value="blue">Blue</option></select>
+        </form></div>`;
+        const root = document.querySelector('form');
+        const [qty, gift, small, medium] = root.querySelectorAll('input');
+        const select = root.querySelector('select');
+        qty.value = '7';
+
+        const error = capture(() => new PatchApplier().applyPatches(root, [
+            { t: 'a', p: [0], d: { s: { value: '2' } } },
+            { t: 'a', p: [1], d: { s: { checked: 'checked' } } },
+            { t: 'a', p: [3], d: { s: { checked: 'checked' } } },
+            { t: 'a', p: [4, 1], d: { s: { selected: 'selected' } } },
+            { t: 'a', p: [4], d: { s: { 'not valid': 'x' } } },
+        ]));
+
+        expect(error.details).toMatchObject({ index: 4, phase: 'apply' });
+        expect(qty.value).toBe('7');
+        expect(gift.checked).toBe(false);
+        expect([small.checked, medium.checked]).toEqual([true, false]);
+        expect(select.value).toBe('red');
+    });
+
+    it('rolls back when a node cannot be removed', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const root = mountContent();
+        vi.spyOn(root.querySelector('ul'), 'removeChild').mockImplementation(() => {
+            throw new Error('removeChild failed');
+        });
+
+        const error = capture(() => new PatchApplier().applyPatches(root, [
+            { t: 't', p: [0, 0], d: { x: 'Basket' } },
+            { t: 'r', p: [1, 1] },
+        ]));
+
+        expect(error.details).toMatchObject({ index: 1, phase: 'apply', reason: 'removeChild failed' });
+        expect(root.outerHTML).toBe(markup);
+    });
+
+    it('re-renders the component from the server after a failed batch', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const failed = vi.fn();
+        window.addEventListener('diffyne:patch-failed', failed);
+
+        const { diffyne, fetch } = startDiffyne(componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>'), {
+            respond: (url, body) => body.type === 'render'
+                ? jsonResponse({ s: true, c: { i: 'c1', h: '<div><button diff:click="increment">+</button><span>1</span></div>', st: { count: 1 }, sig: 'sig-2' } })
+                : jsonResponse({ s: true, c: { i: 'c1', p: [{ t: 't', p: [4, 0], d: { x: '1' } }], st: { count: 1 }, sig: 'sig-1' } }),
+        });
+
+        document.querySelector('button').click();
+        await settle(100);
+
+        expect(failed).toHaveBeenCalledOnce();
+        expect(failed.mock.calls[0][0].detail).toMatchObject({ componentId: 'c1', phase: 'validate' });
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ type: 'render', state: { count: 1 }, signature: 'sig-1' });
+        expect(document.querySelector('span').textContent).toBe('1');
+        expect(diffyne.registry.get('c1').signature).toBe('sig-2');
+        window.removeEventListener('diffyne:patch-failed', failed);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Diffyne } from '../../resources/js/Diffyne.js';
+import { PluginManager } from '../../resources/js/core/PluginManager.js';
+import { Logger } from '../../resources/js/utils/helpers.js';
+import { componentHtml, startDiffyne, updateResponse, settle } from './helpers.js';
+
+const counter = componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>');
+
+describe('plugin hooks', () => {
+    beforeEach(() => {
+        Diffyne.plugins = [];
+    });
+
+    it('runs onHydrate for components on the page', () => {
+        const onHydrate = vi.fn();
+        startDiffyne(counter, { config: { plugins: [{ onHydrate }] } });
+
+        expect(onHydrate).toHaveBeenCalledOnce();
+        expect(onHydrate.mock.calls[0][0].component.id).toBe('c1');
+    });
+
+    it('lets beforeRequest change the payload and headers', async () => {
+        const plugin = {
+            beforeRequest(context) {
+                context.options.headers['X-Tenant'] = 'acme';
+                return { payload: { ...context.payload, params: [5] } };
+            },
+        };
+        const { fetch } = startDiffyne(counter, {
+            config: { plugins: [plugin] },
+            respond: () => updateResponse('c1', { state: { count: 1 } }),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        const [, options] = fetch.mock.calls[0];
+        expect(options.headers['X-Tenant']).toBe('acme');
+        expect(JSON.parse(options.body).params).toEqual([5]);
+    });
+
+    it('lets beforeRequest veto the request', async () => {
+        const { diffyne, fetch } = startDiffyne(counter, {
+            config: { plugins: [{ beforeRequest: () => false }] },
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(diffyne.registry.get('c1').state.count).toBe(0);
+    });
+
+    it('runs beforePatch and afterPatch around the patches of a response', async () => {
+        const order = [];
+        const plugin = {
+            beforePatch: ({ patches }) => { order.push(['before', document.querySelector('span').textContent, patches.length]); },
+            afterPatch: () => { order.push(['after', document.querySelector('span').textContent]); },
+        };
+        startDiffyne(counter, {
+            config: { plugins: [plugin] },
+            respond: () => updateResponse('c1', {
+                patches: [{ t: 't', p: [1, 0], d: { x: '1' } }],
+                state: { count: 1 },
+            }),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(order).toEqual([['before', '0', 1], ['after', '1']]);
+    });
+
+    it('skips the patches when beforePatch vetoes them but keeps the new state', async () => {
+        const { diffyne } = startDiffyne(counter, {
+            config: { plugins: [{ beforePatch: () => false }] },
+            respond: () => updateResponse('c1', {
+                patches: [{ t: 't', p: [1, 0], d: { x: '1' } }],
+                state: { count: 1 },
+            }),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('0');
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+    });
+});
+
+describe('PluginManager', () => {
+    const manager = () => new PluginManager(new Logger(false));
+
+    it('rejects unknown hooks', () => {
+        expect(() => manager().on('beforeSend', () => {})).toThrow("Unknown Diffyne hook 'beforeSend'");
+    });
+
+    it('installs a plugin once', () => {
+        const plugins = manager();
+        const install = vi.fn();
+        const plugin = { install };
+
+        plugins.install(plugin, {});
+        plugins.install(plugin, {});
+
+        expect(install).toHaveBeenCalledOnce();
+    });
+
+    it('awaits async handlers in order and stops at a veto', async () => {
+        const plugins = manager();
+        const last = vi.fn();
+        plugins.on('beforeRequest', async context => ({ step: context.step + 1 }));
+        plugins.on('beforeRequest', async () => false);
+        plugins.on('beforeRequest', last);
+
+        const context = { step: 1 };
+
+        expect(await plugins.runAsync('beforeRequest', context)).toBe(false);
+        expect(context.step).toBe(2);
+        expect(last).not.toHaveBeenCalled();
+    });
+
+    it('removes a handler through the returned unsubscribe function', () => {
+        const plugins = manager();
+        const off = plugins.on('onError', () => false);
+
+        off();
+
+        expect(plugins.has('onError')).toBe(false);
+        expect(plugins.run('onError', {})).toBe(true);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PROTOCOL_HEADER, PROTOCOL_VERSION, LEGACY_VERSION } from '../../resources/js/protocol/index.js';
+import { componentHtml, startDiffyne, jsonResponse, updateResponse, settle, FakeWebSocket } from './helpers.js';
+
+const counter = componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>');
+
+/**
+ * Start Diffyne on the counter and record protocol mismatch events
+ */
+function startMismatched(respond) {
+    const mismatches = [];
+    window.addEventListener('diffyne:protocol-mismatch', event => {
+        mismatches.push(event.detail);
+        event.preventDefault();
+    });
+
+    return { ...startDiffyne(counter, { respond }), mismatches };
+}
+
+describe('protocol version negotiation', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('announces its protocol version on every request', async () => {
+        const { fetch } = startDiffyne(counter, { respond: () => updateResponse('c1', { state: { count: 1 } }) });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(PROTOCOL_VERSION).toBe(2);
+        expect(fetch.mock.calls[0][1].headers[PROTOCOL_HEADER]).toBe('2');
+    });
+
+    it('rejects a response written in another protocol version without applying it', async () => {
+        const { diffyne, mismatches } = startMismatched(() => jsonResponse(
+            { s: true, c: { i: 'c1', p: [{ t: 't', p: [1, 0], d: { x: '1' } }], st: { count: 1 } } },
+            200,
+            { [PROTOCOL_HEADER]: '1' }
+        ));
+
+        await expect(diffyne.transport.send({ type: 'call', componentId: 'c1' }))
+            .rejects.toMatchObject({ type: 'protocol_mismatch', details: { clientVersion: 2, serverVersion: '1' } });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('0');
+        expect(diffyne.registry.get('c1').state.count).toBe(0);
+        expect(mismatches).toHaveLength(1);
+        expect(mismatches[0]).toMatchObject({ clientVersion: 2, serverVersion: '1' });
+    });
+
+    it('treats a response without a version as a legacy server', async () => {
+        const { diffyne, mismatches } = startMismatched(() => new Response(JSON.stringify({ s: true }), {
+            headers: { 'Content-Type': 'application/json' },
+        }));
+
+        await expect(diffyne.transport.send({ type: 'call', componentId: 'c1' }))
+            .rejects.toMatchObject({ type: 'protocol_mismatch', details: { serverVersion: LEGACY_VERSION } });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(mismatches).toEqual([expect.objectContaining({ serverVersion: LEGACY_VERSION })]);
+    });
+
+    it('reads error pages without a version as plain errors', async () => {
+        const { diffyne, mismatches } = startMismatched(() => new Response('<html>Bad gateway</html>', {
+            status: 502,
+            headers: { 'Content-Type': 'text/html' },
+        }));
+
+        await expect(diffyne.transport.send({ type: 'call', componentId: 'c1' }))
+            .rejects.toMatchObject({ status: 502 });
+        expect(mismatches).toHaveLength(0);
+    });
+
+    it('reports the version the server expects when it refuses the request', async () => {
+        const { mismatches } = startMismatched(() => jsonResponse(
+            { s: false, error: 'Diffyne protocol version 2 is not supported by the server (expects 3).', type: 'protocol_mismatch', v: 3 },
+            426,
+            { [PROTOCOL_HEADER]: '3' }
+        ));
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(mismatches).toHaveLength(1);
+        expect(mismatches[0].clientVersion).toBe(2);
+    });
+
+    it('asks to reload once however many requests fail', async () => {
+        const { mismatches } = startMismatched(() => jsonResponse({ s: true }, 200, { [PROTOCOL_HEADER]: '1' }));
+        const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+
+        const button = document.querySelector('button');
+        button.click();
+        await settle();
+        button.click();
+        await settle();
+
+        expect(mismatches).toHaveLength(1);
+        expect(confirm).not.toHaveBeenCalled();
+    });
+
+    it('ignores pushes written in another protocol version', async () => {
+        const { diffyne, mismatches } = startMismatched();
+
+        diffyne.handlePush({ v: 1, to: { id: 'c1' }, s: true, c: { i: 'c1', p: [{ t: 't', p: [1, 0], d: { x: '9' } }] } });
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('0');
+        expect(mismatches).toEqual([expect.objectContaining({ serverVersion: 1 })]);
+    });
+
+    it('does not send over a socket whose server greets without a version', async () => {
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        const { diffyne } = startDiffyne(counter, { config: { transport: 'websocket', wsUrl: 'ws://localhost:6001' } });
+        const socket = FakeWebSocket.instances.at(-1);
+
+        socket.open();
+        socket.receive('diffyne.connected', { clientId: 'client-1' });
+
+        await expect(diffyne.transport.send({ type: 'call', componentId: 'c1' }))
+            .rejects.toMatchObject({ type: 'protocol_mismatch', details: { serverVersion: LEGACY_VERSION } });
+        expect(socket.messages('diffyne.call')).toHaveLength(0);
+        socket.close();
+    });
+});
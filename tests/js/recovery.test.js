@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { componentHtml, startDiffyne, jsonResponse, updateResponse, settle, FakeWebSocket } from './helpers.js';
+
+const remountable = componentHtml(
+    'c1',
+    { count: 5 },
+    '<div><button diff:click="increment">+</button><span>5</span></div>',
+    'diff:params="{&quot;start&quot;:0}" diff:mount-token="mount-token"'
+);
+
+const remounted = () => jsonResponse({
+    success: true,
+    id: 'c1',
+    html: '<div><button diff:click="increment">+</button><span>0</span></div>',
+    state: { count: 0 },
+    fingerprint: 'fp',
+    signature: 'fresh',
+    eventListeners: [],
+});
+
+const mismatch = () => jsonResponse({ success: false, error: 'Invalid state signature.', type: 'signature_mismatch' }, 403);
+
+describe('state recovery', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('re-mounts a component whose state was rejected and replays the action once', async () => {
+        const { diffyne, fetch } = startDiffyne(remountable, {
+            respond: (url, body) => {
+                if (url.endsWith('/update/lazy')) return remounted();
+                return body.signature === 'fresh'
+                    ? updateResponse('c1', { state: { count: 1 }, patches: [{ t: 't', p: [1, 0], d: { x: '1' } }] })
+                    : mismatch();
+            },
+        });
+
+        document.querySelector('button').click();
+        await settle(100);
+
+        const bodies = fetch.mock.calls.map(([url, options]) => [url, JSON.parse(options.body)]);
+        expect(bodies[1]).toEqual(['/_diffyne/update/lazy', expect.objectContaining({
+            componentClass: 'App\\Counter', componentId: 'c1', params: '{"start":0}', token: 'mount-token',
+        })]);
+        expect(bodies[2][1]).toMatchObject({ method: 'increment', state: { count: 0 }, signature: 'fresh' });
+        expect(bodies[2][1].idempotencyKey).not.toBe(bodies[0][1].idempotencyKey);
+        expect(fetch).toHaveBeenCalledTimes(3);
+
+        expect(diffyne.registry.get('c1').state.count).toBe(1);
+        expect(document.querySelector('span').textContent).toBe('1');
+    });
+
+    it('replays the payload beforeRequest produced without running the hooks again', async () => {
+        const beforeRequest = vi.fn(context => ({ payload: { ...context.payload, params: [5] } }));
+        const { fetch } = startDiffyne(remountable, {
+            config: { plugins: [{ beforeRequest }] },
+            respond: (url, body) => {
+                if (url.endsWith('/update/lazy')) return remounted();
+                return body.signature === 'fresh' ? updateResponse('c1', { state: { count: 5 } }) : mismatch();
+            },
+        });
+
+        document.querySelector('button').click();
+        await settle(100);
+
+        expect(beforeRequest).toHaveBeenCalledOnce();
+        expect(JSON.parse(fetch.mock.calls[2][1].body)).toMatchObject({ params: [5], signature: 'fresh' });
+    });
+
+    it('does not re-mount components without a mount token', async () => {
+        const { fetch } = startDiffyne(remountable.replace('diff:mount-token="mount-token"', ''), { respond: mismatch });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(fetch).toHaveBeenCalledOnce();
+    });
+
+    it('gives up when the replay is rejected again', async () => {
+        const { fetch } = startDiffyne(remountable, {
+            respond: url => (url.endsWith('/update/lazy') ? remounted() : mismatch()),
+        });
+
+        document.querySelector('button').click();
+        await settle(100);
+
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('re-mounts and replays over the socket when the WebSocket server rejects the state', async () => {
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        FakeWebSocket.instances = [];
+        const { diffyne, fetch } = startDiffyne(remountable, {
+            config: { transport: 'websocket', wsUrl: 'ws://localhost:6001' },
+            respond: remounted,
+        });
+        const socket = FakeWebSocket.instances[0];
+        socket.open();
+
+        document.querySelector('button').click();
+        await settle(0);
+
+        const [rejected] = socket.messages('diffyne.call');
+        socket.receive('diffyne.error', {
+            requestId: rejected.data.requestId, s: false, error: 'Invalid state signature.', type: 'signature_mismatch',
+        });
+        await settle();
+
+        expect(fetch).toHaveBeenCalledOnce();
+        const replay = socket.messages('diffyne.call')[1];
+        expect(replay.data).toMatchObject({ signature: 'fresh', state: { count: 0 } });
+
+        socket.receive('diffyne.response', { requestId: replay.data.requestId, s: true, c: { i: 'c1', p: [], st: { count: 1 }, sig: 'next' } });
+        await settle();
+
+        expect(diffyne.registry.get('c1')).toMatchObject({ signature: 'next', state: { count: 1 } });
+    });
+
+    it('announces an expired session and lets the app handle it', async () => {
+        const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+        const handled = vi.fn(event => event.preventDefault());
+        window.addEventListener('diffyne:session-expired', handled);
+        startDiffyne(remountable, { respond: () => jsonResponse({ message: 'CSRF token mismatch.' }, 419) });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(handled).toHaveBeenCalledOnce();
+        expect(handled.mock.calls[0][0].detail.component.id).toBe('c1');
+        expect(confirm).not.toHaveBeenCalled();
+        window.removeEventListener('diffyne:session-expired', handled);
+    });
+});
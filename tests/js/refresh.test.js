@@ -0,0 +1,181 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DOMMorpher } from '../../resources/js/core/DOMMorpher.js';
+import { componentHtml, startDiffyne, jsonResponse, updateResponse, settle } from './helpers.js';
+
+/**
+ * Build the response of a render request
+ */
+const renderResponse = (html, state, signature = 'sig-render') => jsonResponse({
+    s: true,
+    c: { i: 'c1', h: html, st: state, f: 'fp-render', sig: signature },
+});
+
+/**
+ * Morph markup into a fresh container and return the container
+ */
+function morph(from, to) {
+    const container = document.createElement('div');
+    container.innerHTML = from;
+    document.body.replaceChildren(container);
+    new DOMMorpher().morphHTML(container, to);
+    return container;
+}
+
+describe('DOMMorpher', () => {
+    it('updates matching nodes in place', () => {
+        const container = document.createElement('div');
+        container.innerHTML = '<p class="a">one</p><span>two</span>';
+        const [p, span] = container.children;
+
+        new DOMMorpher().morphHTML(container, '<p class="b">uno</p><span title="x">dos</span><em>tres</em>');
+
+        expect(container.innerHTML).toBe('<p class="b">uno</p><span title="x">dos</span><em>tres</em>');
+        expect(container.children[0]).toBe(p);
+        expect(container.children[1]).toBe(span);
+    });
+
+    it('moves keyed nodes instead of re-creating them', () => {
+        const container = morph(
+            '<ul><li diff:key="a">A</li><li diff:key="b">B</li><li diff:key="c">C</li></ul>',
+            '<ul><li diff:key="c">C</li><li diff:key="a">A!</li></ul>'
+        );
+        const items = container.querySelectorAll('li');
+
+        expect([...items].map(li => li.textContent)).toEqual(['C', 'A!']);
+        expect(items[0].getAttribute('diff:key')).toBe('c');
+        expect(container.querySelectorAll('li')).toHaveLength(2);
+    });
+
+    it('keeps node identity of keyed nodes across a reorder', () => {
+        const container = document.createElement('ul');
+        container.innerHTML = '<li diff:key="a">A</li><li diff:key="b">B</li>';
+        const [a, b] = container.children;
+
+        new DOMMorpher().morphHTML(container, '<li diff:key="b">B</li><li diff:key="a">A</li>');
+
+        expect([...container.children]).toEqual([b, a]);
+    });
+
+    it('keeps the attributes Diffyne sets at runtime', () => {
+        const container = morph('<button data-diffyne-loading="true" disabled>Save</button>', '<button>Save</button>');
+        const button = container.querySelector('button');
+
+        expect(button.hasAttribute('disabled')).toBe(false);
+        expect(button.getAttribute('data-diffyne-loading')).toBe('true');
+    });
+
+    it('leaves nested components alone and swaps one for another', () => {
+        const container = morph(
+            '<section><div diff:id="child-1"><b>child content</b></div><div diff:id="child-2">old</div></section>',
+            '<section><div diff:id="child-1"></div><div diff:id="child-3">new</div></section>'
+        );
+
+        expect(container.querySelector('[diff\\:id="child-1"]').innerHTML).toBe('<b>child content</b>');
+        expect(container.querySelector('[diff\\:id="child-2"]')).toBeNull();
+        expect(container.querySelector('[diff\\:id="child-3"]').textContent).toBe('new');
+    });
+
+    it('syncs form values except on the focused control', () => {
+        const container = morph(
+            '<input name="a" value="1"><input name="b" value="1"><input type="checkbox" checked><textarea>old</textarea>',
+            '<input name="a" value="2"><input name="b" value="2"><input type="checkbox"><textarea>new</textarea>'
+        );
+        const [a, b] = container.querySelectorAll('input');
+        b.focus();
+        b.value = 'typing';
+
+        new DOMMorpher().morphHTML(container, '<input name="a" value="3"><input name="b" value="3"><input type="checkbox"><textarea>new</textarea>');
+
+        expect(a.value).toBe('3');
+        expect(b.value).toBe('typing');
+        expect(container.querySelector('[type="checkbox"]').checked).toBe(false);
+        expect(container.querySelector('textarea').value).toBe('new');
+    });
+});
+
+describe('refreshing a component', () => {
+    it('renders from the signed server state and morphs the result in place', async () => {
+        const { diffyne, fetch } = startDiffyne(
+            componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>'),
+            { respond: () => renderResponse('<div><button diff:click="increment">+</button><span>5</span></div>', { count: 5 }) }
+        );
+        const component = diffyne.registry.get('c1');
+        const button = document.querySelector('button');
+        component.updateState({ count: 99 });
+
+        await diffyne.refresh('c1');
+        await settle();
+
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({
+            type: 'render',
+            componentId: 'c1',
+            state: { count: 0 },
+            signature: 'sig-0',
+        });
+        expect(document.querySelector('button')).toBe(button);
+        expect(document.querySelector('span').textContent).toBe('5');
+        expect(component).toMatchObject({ state: { count: 5 }, serverState: { count: 5 }, signature: 'sig-render', fingerprint: 'fp-render' });
+    });
+
+    it('waits for a running request and renders from its result', async () => {
+        const held = [];
+        const { diffyne, fetch } = startDiffyne(
+            componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button><span>0</span></div>'),
+            { respond: (url, body) => body.type === 'render'
+                ? renderResponse('<div><button diff:click="increment">+</button><span>1</span></div>', body.state)
+                : new Promise(resolve => held.push(resolve)) }
+        );
+
+        document.querySelector('button').click();
+        await settle(10);
+        const refreshed = diffyne.refresh('c1');
+        await settle(10);
+        expect(fetch).toHaveBeenCalledOnce();
+
+        held[0](updateResponse('c1', { state: { count: 1 }, signature: 'sig-1' }));
+        await refreshed;
+
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).toMatchObject({ type: 'render', state: { count: 1 }, signature: 'sig-1' });
+    });
+});
+
+describe('polling', () => {
+    const polling = key => `<div><p diff:poll="40" diff:key="${key}">tick</p></div>`;
+
+    it('stops polling an element a refresh replaced', async () => {
+        const { diffyne, fetch } = startDiffyne(componentHtml('c1', {}, polling('a')), {
+            respond: (url, body) => body.type === 'render'
+                ? renderResponse(polling('b'), {})
+                : updateResponse('c1', { state: {} }),
+        });
+        const old = document.querySelector('p');
+
+        await diffyne.refresh('c1');
+        const timers = diffyne.eventBinder.pollTimers.get('c1');
+        const current = document.querySelector('p');
+
+        expect(current).not.toBe(old);
+        expect([...timers.keys()]).toEqual([current]);
+
+        fetch.mockClear();
+        await settle(90);
+        expect(fetch.mock.calls.length).toBeGreaterThan(0);
+        expect(fetch.mock.calls.length).toBeLessThanOrEqual(2);
+    });
+
+    it('stops polling an element a patch removed', async () => {
+        const clearInterval = vi.spyOn(window, 'clearInterval');
+        const { diffyne, fetch } = startDiffyne(componentHtml('c1', {}, polling('a')), {
+            respond: () => updateResponse('c1', { state: {}, patches: [{ t: 'r', p: [0] }] }),
+        });
+
+        await settle(90);
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(document.querySelector('p')).toBeNull();
+
+        await settle(100);
+        expect(fetch).toHaveBeenCalledOnce();
+        expect(clearInterval).toHaveBeenCalled();
+        expect(diffyne.eventBinder.pollTimers.get('c1').size).toBe(0);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RequestPipeline, csrfMiddleware } from '../../resources/js/core/RequestPipeline.js';
+import { componentHtml, startDiffyne, updateResponse, settle } from './helpers.js';
+
+function stubFetch() {
+    const fetch = vi.fn(async () => new Response('{}', { status: 200 }));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+}
+
+describe('RequestPipeline', () => {
+    afterEach(() => {
+        document.head.innerHTML = '';
+    });
+
+    it('runs middlewares in order around the request', async () => {
+        const fetch = stubFetch();
+        const pipeline = new RequestPipeline();
+        const order = [];
+
+        pipeline.use(async (request, next) => {
+            order.push('outer');
+            request.headers['X-One'] = '1';
+            const response = await next();
+            order.push('outer done');
+            return response;
+        });
+        pipeline.use((request, next) => {
+            order.push(`inner sees ${request.headers['X-One']}`);
+            return next();
+        });
+
+        await pipeline.send('/x', { method: 'post', kind: 'update' });
+
+        expect(order).toEqual(['outer', 'inner sees 1', 'outer done']);
+        expect(fetch.mock.calls[0][1]).toMatchObject({ method: 'POST', headers: { 'X-One': '1' }, credentials: 'same-origin' });
+    });
+
+    it('lets a middleware answer without sending the request', async () => {
+        const fetch = stubFetch();
+        const pipeline = new RequestPipeline();
+        pipeline.use(() => new Response('cached', { status: 200 }));
+
+        const response = await pipeline.send('/x');
+
+        expect(await response.text()).toBe('cached');
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('removes a middleware through the returned function', async () => {
+        stubFetch();
+        const pipeline = new RequestPipeline();
+        const middleware = vi.fn((request, next) => next());
+        const remove = pipeline.use(middleware);
+
+        remove();
+        await pipeline.send('/x');
+
+        expect(middleware).not.toHaveBeenCalled();
+    });
+
+    it('uses the configured credentials mode', async () => {
+        const fetch = stubFetch();
+
+        await new RequestPipeline({ credentials: 'include' }).send('/x');
+
+        expect(fetch.mock.calls[0][1].credentials).toBe('include');
+    });
+
+    it('adds the CSRF token to unsafe methods unless one is set', async () => {
+        document.head.innerHTML = '<meta name="csrf-token" content="token-1">';
+        const fetch = stubFetch();
+        const pipeline = new RequestPipeline();
+        pipeline.use(csrfMiddleware);
+
+        await pipeline.send('/x', { method: 'POST' });
+        await pipeline.send('/x', { method: 'GET' });
+        await pipeline.send('/x', { method: 'POST', headers: { 'X-CSRF-TOKEN': 'mine' } });
+
+        expect(fetch.mock.calls.map(([, options]) => options.headers['X-CSRF-TOKEN'])).toEqual(['token-1', undefined, 'mine']);
+    });
+
+    it('rejects middlewares that are not functions', () => {
+        expect(() => new RequestPipeline().use({})).toThrow('Diffyne middleware must be a function');
+    });
+});
+
+describe('Diffyne request middlewares', () => {
+    it('sends component updates through app middlewares', async () => {
+        const kinds = [];
+        const { fetch } = startDiffyne(componentHtml('c1', { count: 0 }, '<div><button diff:click="increment">+</button></div>'), {
+            config: {
+                middleware: [(request, next) => {
+                    kinds.push(request.kind);
+                    request.headers.Authorization = 'Bearer abc';
+                    return next();
+                }],
+            },
+            respond: () => updateResponse('c1', { state: { count: 1 } }),
+        });
+
+        document.querySelector('button').click();
+        await settle();
+
+        expect(kinds).toEqual(['update']);
+        expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer abc');
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { startDiffyne, jsonResponse, updateResponse } from './helpers.js';
+
+const payload = { type: 'call', componentId: 'c1', method: 'place', params: [], state: { count: 0 } };
+
+const unavailable = (headers = {}) => jsonResponse({ s: false, error: 'Service Unavailable' }, 503, headers);
+
+/**
+ * Start Diffyne without components, fetch answers with the given responses in turn
+ */
+function startRetrying(responses, config = {}) {
+    const queue = [...responses];
+
+    return startDiffyne('', {
+        config: { retryAttempts: 2, retryDelay: 100, maxRetryDelay: 1000, ...config },
+        respond: () => {
+            const next = queue.shift();
+            if (next instanceof Error) throw next;
+            return next();
+        },
+    });
+}
+
+describe('retrying transient failures', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(Math, 'random').mockReturnValue(1);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('retries with one idempotency key until the request succeeds', async () => {
+        const { diffyne, fetch } = startRetrying([
+            new TypeError('Failed to fetch'),
+            unavailable,
+            () => updateResponse('c1', { state: { count: 1 } }),
+        ]);
+
+        const sent = diffyne.transport.send(payload);
+        await vi.advanceTimersByTimeAsync(100);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(200);
+
+        await expect(sent).resolves.toMatchObject({ s: true, c: { st: { count: 1 } } });
+        const keys = fetch.mock.calls.map(([, options]) => JSON.parse(options.body).idempotencyKey);
+        expect(keys).toHaveLength(3);
+        expect(new Set(keys).size).toBe(1);
+        expect(keys[0]).toBeTruthy();
+    });
+
+    it('doubles the delay per attempt up to maxRetryDelay', () => {
+        const { diffyne } = startRetrying([], { retryDelay: 400, maxRetryDelay: 1000 });
+        const error = Object.assign(new Error('Bad Gateway'), { status: 502 });
+
+        expect(diffyne.transport.getRetryDelay(error, 0)).toBe(400);
+        expect(diffyne.transport.getRetryDelay(error, 1)).toBe(800);
+        expect(diffyne.transport.getRetryDelay(error, 2)).toBe(1000);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        const { diffyne, fetch } = startRetrying([
+            () => unavailable({ 'Retry-After': '0.5' }),
+            () => updateResponse('c1', { state: { count: 1 } }),
+        ]);
+
+        const sent = diffyne.transport.send(payload);
+        await vi.advanceTimersByTimeAsync(499);
+        expect(fetch).toHaveBeenCalledOnce();
+        await vi.advanceTimersByTimeAsync(1);
+
+        await expect(sent).resolves.toMatchObject({ s: true });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up when Retry-After is longer than maxRetryDelay', async () => {
+        const { diffyne, fetch } = startRetrying([() => unavailable({ 'Retry-After': '120' })]);
+
+        await expect(diffyne.transport.send(payload)).rejects.toMatchObject({ status: 503, retryAfter: 120000 });
+        expect(fetch).toHaveBeenCalledOnce();
+    });
+
+    it('does not retry failures that are not transient', async () => {
+        const { diffyne, fetch } = startRetrying([
+            () => jsonResponse({ s: false, error: 'Invalid state signature.', type: 'signature_mismatch' }, 403),
+        ]);
+
+        await expect(diffyne.transport.send(payload)).rejects.toMatchObject({ type: 'signature_mismatch' });
+        expect(fetch).toHaveBeenCalledOnce();
+    });
+
+    it('stops after retryAttempts retries', async () => {
+        const { diffyne, fetch } = startRetrying([unavailable, unavailable, unavailable, unavailable]);
+
+        const sent = diffyne.transport.send(payload);
+        const rejected = expect(sent).rejects.toMatchObject({ status: 503 });
+        await vi.advanceTimersByTimeAsync(1000);
+
+        await rejected;
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('stops waiting for a retry when the request is aborted', async () => {
+        const { diffyne, fetch } = startRetrying([unavailable, unavailable]);
+        const controller = new AbortController();
+
+        const sent = diffyne.transport.send(payload, { signal: controller.signal });
+        const rejected = expect(sent).rejects.toMatchObject({ name: 'AbortError' });
+        await vi.advanceTimersByTimeAsync(50);
+        controller.abort();
+
+        await rejected;
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(fetch).toHaveBeenCalledOnce();
+    });
+});
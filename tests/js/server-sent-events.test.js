@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { componentHtml, startDiffyne, settle } from './helpers.js';
+
+/**
+ * EventSource stand-in that lets tests play the server's pushes and disconnects
+ */
+class FakeEventSource {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 2;
+
+    constructor(url) {
+        this.url = new URL(url);
+        this.readyState = FakeEventSource.CONNECTING;
+        this.listeners = {};
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    close() {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+
+    open() {
+        this.readyState = FakeEventSource.OPEN;
+        this.onopen?.();
+    }
+
+    /**
+     * Deliver a push event with its id
+     */
+    push(id, message) {
+        const data = typeof message === 'string' ? message : JSON.stringify(message);
+        this.listeners['diffyne.push']?.({ lastEventId: String(id), data });
+    }
+
+    /**
+     * Drop the connection, EventSource retries by itself unless it is closed
+     */
+    fail(readyState = FakeEventSource.CONNECTING) {
+        this.readyState = readyState;
+        this.onerror?.(new Event('error'));
+    }
+}
+
+const counter = componentHtml('c1', { count: 0 }, '<div><span>0</span></div>', 'diff:channels="orders" diff:channel-tokens="token-a"');
+
+const setCount = count => ({
+    v: 2,
+    to: { id: 'c1' },
+    s: true,
+    c: { i: 'c1', p: [{ t: 't', p: [0, 0], d: { x: String(count) } }], st: { count }, sig: `sig-${count}` },
+});
+
+/**
+ * Start Diffyne with the sse transport and a quick reconnect backoff
+ */
+function startStream() {
+    const started = startDiffyne(counter, { config: { transport: 'sse', reconnectDelay: 10, maxReconnectDelay: 10 } });
+    const { transport } = started.diffyne;
+    const reconnect = vi.spyOn(transport, 'connectEventStream');
+
+    return { ...started, reconnect, source: () => transport.eventSource };
+}
+
+describe('server-sent events', () => {
+    beforeEach(() => {
+        // Instances of earlier tests reopen their streams while their components are removed
+        vi.stubGlobal('EventSource', FakeEventSource);
+    });
+
+    it('applies pushes and remembers the id of the last one', async () => {
+        const { diffyne, source } = startStream();
+
+        source().open();
+        source().push(4, setCount(4));
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('4');
+        expect(diffyne.registry.get('c1').state.count).toBe(4);
+        expect(diffyne.transport.lastEventId).toBe('4');
+    });
+
+    it('lets EventSource retry by itself while it is reconnecting', async () => {
+        const { reconnect, source } = startStream();
+
+        source().open();
+        source().fail();
+        await settle();
+
+        expect(reconnect).not.toHaveBeenCalled();
+    });
+
+    it('reopens a closed stream after the last push it received', async () => {
+        const { diffyne, reconnect, source } = startStream();
+        const first = source();
+
+        first.open();
+        first.push(7, setCount(1));
+        await settle();
+        first.fail(FakeEventSource.CLOSED);
+        await settle();
+
+        expect(reconnect).toHaveBeenCalledOnce();
+        const reopened = source();
+        expect(reopened).not.toBe(first);
+        expect(reopened.url.searchParams.get('lastEventId')).toBe('7');
+        expect(reopened.url.searchParams.get('channels[orders]')).toBe('token-a');
+
+        // The server replays what the page missed from its push buffer
+        reopened.open();
+        reopened.push(8, setCount(2));
+        reopened.push(9, setCount(3));
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('3');
+        expect(diffyne.transport.lastEventId).toBe('9');
+        expect(diffyne.transport.eventStreamRetries).toBe(0);
+    });
+
+    it('backs off between reopen attempts until one succeeds', async () => {
+        const { diffyne, reconnect, source } = startStream();
+
+        source().fail(FakeEventSource.CLOSED);
+        await settle();
+        source().fail(FakeEventSource.CLOSED);
+        expect(diffyne.transport.eventStreamRetries).toBe(2);
+        await settle();
+
+        expect(reconnect).toHaveBeenCalledTimes(2);
+        expect(source().url.searchParams.has('lastEventId')).toBe(false);
+        source().open();
+        expect(diffyne.transport.eventStreamRetries).toBe(0);
+    });
+
+    it('does not reopen a stream that was replaced during the backoff', async () => {
+        const { diffyne, reconnect, source } = startStream();
+        const first = source();
+
+        first.fail(FakeEventSource.CLOSED);
+        diffyne.transport.subscribe({ orders: 'token-a', stock: 'token-b' });
+        const resubscribed = source();
+        await settle();
+
+        expect(reconnect).toHaveBeenCalledOnce();
+        expect(first.readyState).toBe(FakeEventSource.CLOSED);
+        expect(source()).toBe(resubscribed);
+        expect(resubscribed.url.searchParams.get('channels[stock]')).toBe('token-b');
+    });
+
+    it('skips a push that is not valid JSON', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const { source } = startStream();
+
+        source().open();
+        source().push(1, '{not json');
+        source().push(2, setCount(2));
+        await settle();
+
+        expect(document.querySelector('span').textContent).toBe('2');
+    });
+});
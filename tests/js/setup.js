@@ -0,0 +1,9 @@
+import { afterAll } from 'vitest';
+
+// Diffyne looks for lazy components 100ms after it starts and observes the
+// DOM for teardown, let both run before jsdom goes away
+afterAll(async () => {
+    await new Promise(resolve => setTimeout(resolve, 150));
+    document.body.innerHTML = '';
+    await new Promise(resolve => setTimeout(resolve, 0));
+});
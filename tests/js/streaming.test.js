@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { PROTOCOL_HEADER } from '../../resources/js/protocol/index.js';
+import { componentHtml, startDiffyne, settle } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Build an NDJSON response whose body the test writes chunk by chunk
+ */
+function ndjsonResponse(headers = {}) {
+    let controller;
+    const body = new ReadableStream({ start: c => { controller = c; } });
+
+    return {
+        response: new Response(body, { headers: { 'Content-Type': 'application/x-ndjson', [PROTOCOL_HEADER]: '2', ...headers } }),
+        write: text => controller.enqueue(typeof text === 'string' ? encoder.encode(text) : text),
+        close: () => controller.close(),
+    };
+}
+
+const frame = (count, partial = true) => JSON.stringify({
+    s: true,
+    partial: partial || undefined,
+    c: { i: 'c1', p: [{ t: 't', p: [1, 0], d: { x: String(count) } }], st: { count }, sig: partial ? undefined : 'sig-final' },
+});
+
+describe('streamed responses', () => {
+    it('joins frames split across chunks and reads a final line without a newline', async () => {
+        const { diffyne } = startDiffyne('');
+        const stream = ndjsonResponse({ [PROTOCOL_HEADER]: '2' });
+        const frames = [];
+
+        const read = diffyne.transport.readStream(stream.response, f => frames.push(f));
+        const first = frame(1);
+        stream.write(first.slice(0, 10));
+        stream.write(`${first.slice(10)}\n${frame(2).slice(0, 5)}`);
+        stream.write(`${frame(2).slice(5)}\n\n`);
+        stream.write(frame(3, false));
+        stream.close();
+
+        const final = await read;
+        expect(frames.map(f => f.c.st.count)).toEqual([1, 2]);
+        expect(frames.every(f => f.v === 2)).toBe(true);
+        expect(final).toMatchObject({ s: true, v: 2, c: { st: { count: 3 }, sig: 'sig-final' } });
+    });
+
+    it('decodes a character split between chunks', async () => {
+        const { diffyne } = startDiffyne('');
+        const stream = ndjsonResponse();
+        const bytes = encoder.encode(`${JSON.stringify({ s: true, c: { i: 'c1', st: { text: '€' } } })}\n`);
+        const split = bytes.indexOf(0xe2) + 1;
+
+        const read = diffyne.transport.readStream(stream.response, () => {});
+        stream.write(bytes.slice(0, split));
+        stream.write(bytes.slice(split));
+        stream.close();
+
+        await expect(read).resolves.toMatchObject({ c: { st: { text: '€' } } });
+    });
+
+    it('fails a stream that ends without a final response', async () => {
+        const { diffyne } = startDiffyne('');
+        const stream = ndjsonResponse();
+
+        const read = diffyne.transport.readStream(stream.response, () => {});
+        stream.write(`${frame(1)}\n`);
+        stream.close();
+
+        await expect(read).rejects.toThrow('Stream ended without a final response');
+    });
+
+    it('fails a stream cut off in the middle of a frame', async () => {
+        const { diffyne } = startDiffyne('');
+        const stream = ndjsonResponse();
+
+        const read = diffyne.transport.readStream(stream.response, () => {});
+        stream.write(`${frame(1)}\n${frame(2, false).slice(0, 8)}`);
+        stream.close();
+
+        await expect(read).rejects.toThrow(SyntaxError);
+    });
+
+    it('applies frames of a #[Stream] method as they arrive, then the final response', async () => {
+        const stream = ndjsonResponse();
+        const { diffyne, fetch } = startDiffyne(
+            componentHtml('c1', { count: 0 }, '<div><button diff:click="generate">go</button><span>0</span></div>', 'diff:stream="generate"'),
+            { respond: () => stream.response }
+        );
+
+        document.querySelector('button').click();
+        await settle(10);
+        expect(fetch.mock.calls[0][1].headers.Accept).toContain('application/x-ndjson');
+
+        stream.write(`${frame(1)}\n`);
+        await settle();
+        expect(document.querySelector('span').textContent).toBe('1');
+        expect(diffyne.registry.get('c1').signature).toBe('sig-0');
+
+        stream.write(frame(2, false));
+        stream.close();
+        await settle();
+        expect(document.querySelector('span').textContent).toBe('2');
+        expect(diffyne.registry.get('c1').signature).toBe('sig-final');
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+import { componentHtml, startDiffyne, updateResponse, settle } from './helpers.js';
+
+const counter = (id, inner = '') => componentHtml(id, { count: 0 }, `<div><button diff:click="increment">+</button>${inner}</div>`);
+
+describe('component teardown', () => {
+    it('destroys a component when its wrapper leaves the DOM', async () => {
+        const onDestroy = vi.fn();
+        const destroyed = vi.fn();
+        window.addEventListener('diffyne:destroyed', destroyed);
+        const { diffyne } = startDiffyne(counter('c1'), { config: { plugins: [{ onDestroy }] } });
+
+        document.querySelector('[diff\\:id="c1"]').remove();
+        await settle(0);
+
+        expect(diffyne.registry.get('c1')).toBeUndefined();
+        expect(onDestroy).toHaveBeenCalledOnce();
+        expect(destroyed.mock.calls[0][0].detail.componentId).toBe('c1');
+        window.removeEventListener('diffyne:destroyed', destroyed);
+    });
+
+    it('keeps a component whose wrapper was moved elsewhere in the page', async () => {
+        const { diffyne } = startDiffyne(`<section></section>${counter('c1')}`);
+        const wrapper = document.querySelector('[diff\\:id="c1"]');
+
+        document.querySelector('section').appendChild(wrapper);
+        await settle(0);
+
+        expect(diffyne.registry.get('c1').element).toBe(wrapper);
+    });
+
+    it('destroys nested components along with their parent', async () => {
+        const { diffyne } = startDiffyne(counter('parent', counter('child')));
+
+        document.querySelector('[diff\\:id="parent"]').remove();
+        await settle(0);
+
+        expect(diffyne.registry.get('parent')).toBeUndefined();
+        expect(diffyne.registry.get('child')).toBeUndefined();
+    });
+
+    it('aborts the request of a removed component and drops its response', async () => {
+        let signal;
+        let answer;
+        const { diffyne } = startDiffyne(counter('c1'), {
+            respond: (url, body, options) => {
+                signal = options.signal;
+                return new Promise(resolve => { answer = resolve; });
+            },
+        });
+
+        document.querySelector('button').click();
+        await settle(0);
+        document.querySelector('[diff\\:id="c1"]').remove();
+        await settle(0);
+
+        expect(signal.aborted).toBe(true);
+
+        answer(updateResponse('c1', { state: { count: 1 } }));
+        await settle();
+
+        expect(diffyne.registry.get('c1')).toBeUndefined();
+    });
+
+    it('forgets the recovery and optimistic layers of a removed component', async () => {
+        const { diffyne } = startDiffyne(counter('c1'), { respond: () => new Promise(() => {}) });
+        const component = diffyne.registry.get('c1');
+        component.element.setAttribute('diff:params', '{}');
+        component.element.setAttribute('diff:mount-token', 'mount-token');
+
+        diffyne.recoverFrom(component, { type: 'signature_mismatch' });
+        diffyne.optimistic.apply(component, 'count=count+1');
+        expect(diffyne.recoveries.has('c1')).toBe(true);
+
+        component.element.remove();
+        await settle(0);
+
+        expect(diffyne.recoveries.has('c1')).toBe(false);
+        expect(component.optimisticUpdates).toEqual([]);
+        expect(component.optimisticProperties.size).toBe(0);
+    });
+
+    it('hydrates components added to the page later', async () => {
+        const { diffyne } = startDiffyne('<main></main>');
+
+        document.querySelector('main').innerHTML = counter('late');
+        await settle(0);
+
+        expect(diffyne.registry.get('late').element).toBe(document.querySelector('[diff\\:id="late"]'));
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PatchApplier } from '../../resources/js/core/PatchApplier.js';
+import { settle } from './helpers.js';
+
+function mountContent(html) {
+    document.body.innerHTML = `<div diff:id="c1">${html}</div>`;
+    return document.querySelector('[diff\\:id="c1"]').firstElementChild;
+}
+
+const toast = {
+    t: 'p',
+    a: { 'diff:transition.enter': 'fade', 'diff:transition.enter-start': 'hidden', 'diff:transition.enter-end': 'shown' },
+    c: [{ x: 'Saved' }],
+};
+
+describe('enter and leave transitions', () => {
+    it('runs the enter stages on created nodes and cleans up after', async () => {
+        const root = mountContent('<div></div>');
+
+        new PatchApplier().applyPatches(root, [{ t: 'c', p: [0], d: { node: toast } }]);
+
+        const p = root.querySelector('p');
+        expect([...p.classList]).toEqual(['fade', 'hidden']);
+
+        await settle();
+
+        expect(p.hasAttribute('class')).toBe(false);
+    });
+
+    it('keeps a leaving node until its transition ends without shifting later paths', async () => {
+        const root = mountContent('<div><ul><li diff:transition.leave="fade-out">a</li><li>b</li></ul></div>');
+        const leaving = root.querySelector('li');
+        vi.spyOn(window, 'getComputedStyle').mockImplementation(el => ({
+            transitionDuration: el === leaving ? '0.2s' : '0s',
+            transitionDelay: '0s',
+            animationDuration: '0s',
+            animationDelay: '0s',
+        }));
+
+        new PatchApplier().applyPatches(root, [
+            { t: 'r', p: [0, 0] },
+            { t: 't', p: [0, 0, 0], d: { x: 'B' } },
+        ]);
+
+        expect(root.querySelector('ul').textContent).toBe('aB');
+        expect(leaving.classList.contains('fade-out')).toBe(true);
+
+        await settle();
+        expect(leaving.isConnected).toBe(true);
+
+        leaving.dispatchEvent(new Event('transitionend'));
+        expect(leaving.isConnected).toBe(false);
+        expect(root.querySelector('ul').textContent).toBe('B');
+    });
+
+    it('removes a leaving node when transitionend never fires', async () => {
+        const root = mountContent('<div><span diff:transition.leave="fade-out">x</span></div>');
+        const leaving = root.querySelector('span');
+        vi.spyOn(window, 'getComputedStyle').mockReturnValue({
+            transitionDuration: '0.01s', transitionDelay: '0s', animationDuration: '0s', animationDelay: '0s',
+        });
+
+        new PatchApplier().applyPatches(root, [{ t: 'r', p: [0] }]);
+        await settle(150);
+
+        expect(leaving.isConnected).toBe(false);
+    });
+});
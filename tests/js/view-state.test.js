@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { PatchApplier } from '../../resources/js/core/PatchApplier.js';
+
+/**
+ * Put a component wrapper in the page and return its content root
+ */
+function mountContent(html) {
+    document.body.innerHTML = `<div diff:id="c1">${html}</div>`;
+    return document.querySelector('[diff\\:id="c1"]').firstElementChild;
+}
+
+const input = (attributes = {}) => ({ t: 'input', a: { type: 'text', value: 'hello world', ...attributes }, c: [] });
+
+// Re-render the form around the input, which creates a new input element
+const replaceForm = (attributes = {}) => [{ t: 'R', p: [0], d: { node: { t: 'form', a: {}, c: [input(attributes)] } } }];
+
+describe('view state across patches', () => {
+    const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'scrollTop');
+
+    afterEach(() => {
+        Object.defineProperty(Element.prototype, 'scrollTop', descriptor);
+    });
+
+    it('moves focus and the caret to the re-created input', () => {
+        const root = mountContent('<div><form><input id="name" type="text" value="hello world"></form></div>');
+        const before = document.getElementById('name');
+        before.focus();
+        before.setSelectionRange(2, 5);
+
+        new PatchApplier().applyPatches(root, replaceForm({ id: 'name' }));
+
+        const after = document.getElementById('name');
+        expect(after).not.toBe(before);
+        expect(document.activeElement).toBe(after);
+        expect([after.selectionStart, after.selectionEnd]).toEqual([2, 5]);
+    });
+
+    it('finds an element without id or key by its path', () => {
+        const root = mountContent('<div><form><input type="text" value="hello world"></form></div>');
+        document.querySelector('input').focus();
+
+        new PatchApplier().applyPatches(root, replaceForm());
+
+        expect(document.activeElement).toBe(document.querySelector('input'));
+    });
+
+    it('leaves focus alone when the component opts out with diff:preserve.off', () => {
+        const root = mountContent('<div diff:preserve.off><form><input id="name" type="text"></form></div>');
+        document.getElementById('name').focus();
+
+        new PatchApplier().applyPatches(root, replaceForm({ id: 'name' }));
+
+        expect(document.activeElement).toBe(document.body);
+    });
+
+    it('restores the scroll offset of a re-created container', () => {
+        // jsdom has no layout, keep scrollTop per element so it can be read back
+        const offsets = new WeakMap();
+        Object.defineProperty(Element.prototype, 'scrollTop', {
+            configurable: true,
+            get() { return offsets.get(this) ?? 0; },
+            set(value) { offsets.set(this, value); },
+        });
+        const root = mountContent('<div><ul diff:key="list"><li>a</li></ul></div>');
+        const applier = new PatchApplier();
+        document.querySelector('ul').scrollTop = 120;
+        document.querySelector('ul').dispatchEvent(new Event('scroll'));
+
+        applier.applyPatches(root, [
+            { t: 'R', p: [0], d: { node: { t: 'ul', a: { 'diff:key': 'list' }, c: [{ t: 'li', a: {}, c: [{ x: 'b' }] }] } } },
+        ]);
+
+        expect(document.querySelector('ul').textContent).toBe('b');
+        expect(document.querySelector('ul').scrollTop).toBe(120);
+    });
+
+    it('only reads the scroll offsets of elements that were scrolled', () => {
+        const reads = [];
+        Object.defineProperty(Element.prototype, 'scrollTop', {
+            configurable: true,
+            get() { reads.push(this); return 0; },
+        });
+        const rows = Array.from({ length: 50 }, (_, i) => `<tr><td>${i}</td></tr>`).join('');
+        const root = mountContent(`<div><div class="scroller"><table>${rows}</table></div></div>`);
+        const applier = new PatchApplier();
+        const scroller = document.querySelector('.scroller');
+        scroller.dispatchEvent(new Event('scroll'));
+
+        applier.applyPatches(root, [{ t: 'R', p: [0, 0, 0, 0], d: { node: { t: 'tr', a: {}, c: [] } } }]);
+
+        expect(reads).toEqual([scroller]);
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { componentHtml, startDiffyne, jsonResponse, FakeWebSocket } from './helpers.js';
+
+const config = {
+    transport: 'websocket',
+    wsUrl: 'ws://localhost:6001',
+    reconnectDelay: 1000,
+    maxReconnectDelay: 8000,
+    heartbeatInterval: 25000,
+    heartbeatTimeout: 10000,
+};
+
+function start(respond) {
+    return startDiffyne(componentHtml('c1', { count: 0 }, '<div><span>0</span></div>'), { config, respond });
+}
+
+const lastSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+describe('websocket connection', () => {
+    let statuses;
+    const record = event => statuses.push(event.detail.status);
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        FakeWebSocket.instances = [];
+        statuses = [];
+        window.addEventListener('diffyne:connection', record);
+    });
+
+    afterEach(() => {
+        window.removeEventListener('diffyne:connection', record);
+        vi.useRealTimers();
+    });
+
+    it('announces status changes and reconnects after the backoff delay', async () => {
+        vi.spyOn(Math, 'random').mockReturnValue(1);
+        const { diffyne } = start();
+
+        lastSocket().open();
+        lastSocket().close();
+
+        expect(statuses).toEqual(['open', 'closed']);
+        expect(diffyne.connectionStatus).toBe('closed');
+
+        await vi.advanceTimersByTimeAsync(999);
+        expect(FakeWebSocket.instances).toHaveLength(1);
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(FakeWebSocket.instances).toHaveLength(2);
+        expect(statuses.at(-1)).toBe('connecting');
+
+        lastSocket().open();
+        expect(statuses.at(-1)).toBe('open');
+    });
+
+    it('doubles the reconnect delay per failed attempt up to the maximum, with jitter', () => {
+        const { diffyne } = start();
+        const transport = diffyne.transport;
+
+        vi.spyOn(Math, 'random').mockReturnValue(1);
+        expect([0, 1, 2, 3, 4, 5].map(attempt => transport.getReconnectDelay(attempt)))
+            .toEqual([1000, 2000, 4000, 8000, 8000, 8000]);
+
+        Math.random.mockReturnValue(0);
+        expect(transport.getReconnectDelay(2)).toBe(2000);
+    });
+
+    it('drops a connection that does not answer the heartbeat', async () => {
+        start();
+        const socket = lastSocket();
+        socket.open();
+
+        await vi.advanceTimersByTimeAsync(25000);
+        expect(socket.messages('diffyne.ping')).toHaveLength(1);
+
+        // Any message counts as an answer
+        socket.receive('diffyne.pong', {});
+        await vi.advanceTimersByTimeAsync(25000);
+        expect(socket.readyState).toBe(FakeWebSocket.OPEN);
+        expect(socket.messages('diffyne.ping')).toHaveLength(2);
+
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(socket.readyState).toBe(FakeWebSocket.CLOSED);
+        expect(statuses).toContain('closed');
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(FakeWebSocket.instances).toHaveLength(2);
+    });
+
+    it('sends requests made while connecting once the socket opens', async () => {
+        const { diffyne } = start();
+        const pending = diffyne.transport.send({ type: 'call', componentId: 'c1', method: 'increment' });
+
+        expect(lastSocket().sent).toEqual([]);
+
+        lastSocket().open();
+        const [message] = lastSocket().messages('diffyne.call');
+        lastSocket().receive('diffyne.response', { requestId: message.data.requestId, s: true, c: { i: 'c1', p: [] } });
+
+        await expect(pending).resolves.toMatchObject({ s: true });
+    });
+
+    it('fails sent requests when the socket closes and keeps unsent ones for the next connection', async () => {
+        const { diffyne, fetch } = start();
+        const transport = diffyne.transport;
+        lastSocket().open();
+
+        const sent = transport.send({ type: 'call', componentId: 'c1', method: 'increment' }, { retry: 0 });
+        lastSocket().readyState = FakeWebSocket.CONNECTING;
+        const unsent = transport.send({ type: 'call', componentId: 'c1', method: 'increment' }, { retry: 0 });
+        lastSocket().close();
+
+        await expect(sent).rejects.toMatchObject({ type: 'connection_closed' });
+
+        await vi.advanceTimersByTimeAsync(1000);
+        lastSocket().open();
+        const [message] = lastSocket().messages('diffyne.call');
+        lastSocket().receive('diffyne.response', { requestId: message.data.requestId, s: true, c: { i: 'c1', p: [] } });
+
+        await expect(unsent).resolves.toMatchObject({ s: true });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('queues requests made while waiting to reconnect and sends them once the socket opens', async () => {
+        const { diffyne, fetch } = start();
+        lastSocket().open();
+        lastSocket().close();
+
+        const pending = diffyne.transport.send({ type: 'call', componentId: 'c1', method: 'increment' }, { retry: 0 });
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(fetch).not.toHaveBeenCalled();
+
+        const socket = lastSocket();
+        expect(FakeWebSocket.instances).toHaveLength(2);
+        expect(socket.sent).toEqual([]);
+
+        socket.open();
+        const [message] = socket.messages('diffyne.call');
+        socket.receive('diffyne.response', { requestId: message.data.requestId, s: true, c: { i: 'c1', p: [] } });
+
+        await expect(pending).resolves.toMatchObject({ s: true });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('sends a queued request over AJAX when the socket does not open before it times out', async () => {
+        const { diffyne, fetch } = start(() => jsonResponse({ s: true, via: 'ajax' }));
+        lastSocket().open();
+        lastSocket().close();
+
+        const pending = diffyne.transport.send({ type: 'call', componentId: 'c1', method: 'increment' }, { retry: 0, timeout: 5000 });
+        await vi.advanceTimersByTimeAsync(5000);
+
+        await expect(pending).resolves.toMatchObject({ via: 'ajax' });
+        expect(fetch).toHaveBeenCalledOnce();
+
+        await vi.advanceTimersByTimeAsync(1000);
+        lastSocket().open();
+        expect(lastSocket().messages('diffyne.call')).toEqual([]);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { componentHtml, startDiffyne, FakeWebSocket } from './helpers.js';
+
+const config = { transport: 'websocket', wsUrl: 'ws://localhost:6001', requestTimeout: 5000 };
+
+describe('websocket response dispatcher', () => {
+    let transport;
+    let socket;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('WebSocket', FakeWebSocket);
+        FakeWebSocket.instances = [];
+
+        ({ diffyne: { transport } } = startDiffyne(componentHtml('c1', { count: 0 }, '<div></div>'), { config }));
+        socket = FakeWebSocket.instances[0];
+        socket.open();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    const call = (options = {}) => transport.send({ type: 'call', componentId: 'c1', method: 'increment' }, { retry: 0, ...options });
+    const requestIds = () => socket.messages('diffyne.call').map(message => message.data.requestId);
+
+    it('settles each request with the response carrying its id, in any order', async () => {
+        const first = call();
+        const second = call();
+        const [firstId, secondId] = requestIds();
+
+        socket.receive('diffyne.response', { requestId: secondId, s: true, n: 2 });
+        socket.receive('diffyne.response', { requestId: firstId, s: true, n: 1 });
+
+        await expect(first).resolves.toMatchObject({ n: 1 });
+        await expect(second).resolves.toMatchObject({ n: 2 });
+        expect(transport.pendingResponses.size).toBe(0);
+    });
+
+    it('rejects a request with the diffyne.error sent for it', async () => {
+        const request = call();
+
+        socket.receive('diffyne.error', { requestId: requestIds()[0], s: false, error: 'Invalid state signature.', type: 'signature_mismatch' });
+
+        await expect(request).rejects.toMatchObject({ type: 'signature_mismatch', message: 'Invalid state signature.' });
+    });
+
+    it('ignores responses for requests it does not know', async () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const request = call();
+
+        socket.receive('diffyne.response', { requestId: 'someone-else', s: true });
+        socket.receive('diffyne.error', { s: false, error: 'Malformed message' });
+
+        expect(transport.pendingResponses.size).toBe(1);
+        expect(error).toHaveBeenCalledWith('[Diffyne Error]', '[Diffyne WS] Server error:', 'Malformed message');
+
+        socket.receive('diffyne.response', { requestId: requestIds()[0], s: true });
+        await expect(request).resolves.toMatchObject({ s: true });
+    });
+
+    it('times out after requestTimeout and tells the server to skip the request', async () => {
+        const request = call();
+        const settled = expect(request).rejects.toMatchObject({ type: 'timeout' });
+
+        await vi.advanceTimersByTimeAsync(5000);
+
+        await settled;
+        expect(socket.messages('diffyne.cancel')).toEqual([{ event: 'diffyne.cancel', data: { requestId: requestIds()[0] } }]);
+        expect(transport.pendingResponses.size).toBe(0);
+    });
+
+    it('uses the timeout given with the request', async () => {
+        const request = call({ timeout: 50 });
+        const settled = expect(request).rejects.toMatchObject({ type: 'timeout' });
+
+        await vi.advanceTimersByTimeAsync(50);
+
+        await settled;
+    });
+
+    it('cancels an aborted request on the server', async () => {
+        const controller = new AbortController();
+        const request = call({ signal: controller.signal });
+
+        controller.abort();
+
+        await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+        expect(socket.messages('diffyne.cancel')).toHaveLength(1);
+
+        // A late response for it is ignored
+        socket.receive('diffyne.response', { requestId: requestIds()[0], s: true });
+        expect(transport.pendingResponses.size).toBe(0);
+    });
+});